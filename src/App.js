@@ -1,832 +1,5522 @@
-﻿import React, { useState, useCallback, useMemo } from 'react';
-import { Upload, TrendingUp, DollarSign, PieChart, Calendar, FileText, Calculator, Target, AlertCircle, CheckCircle } from 'lucide-react';
-import { LineChart, Line, AreaChart, Area, BarChart, Bar, PieChart as RechartsPieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+﻿import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+import { Upload, TrendingUp, DollarSign, PieChart, Calendar, FileText, Calculator, Target, AlertCircle, CheckCircle, Tags, ArrowLeftRight, Wallet, PiggyBank, Repeat, Download, Lock } from 'lucide-react';
+import { LineChart, Line, AreaChart, Area, BarChart, Bar, ComposedChart, PieChart as RechartsPieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { PatternDetector, BANK_PROFILES, BankProfileDetector, StatementPeriodDetector, ACCOUNT_TYPES, AccountDetector, OCR_REVIEW_CONFIDENCE, OCRExtractor, BALANCE_TOLERANCE, StatementReconciler } from './pdfParser';
+import { PDFParserWorker } from './pdfParserClient';
 
-// ============================================================================
-// MODULAR PDF PARSER - All modules embedded in single file
-// ============================================================================
+// Transaction categorization
+// Categories and rules are user data (saved in the settings store). These
+// defaults seed a fresh workspace and can be edited or deleted in the Rules tab.
+const DEFAULT_CATEGORIES = [
+  'Income', 'Housing', 'Insurance', 'Medical', 'Transport', 'Food & Dining', 'Utilities',
+  'Banking', 'Investment', 'Shopping', 'Entertainment', 'Professional', 'Other'
+].map(name => ({ name, parent: null })).concat([
+  // The tax engine reads income sources, medical aid and RA contributions from these
+  { name: 'Salary', parent: 'Income' },
+  { name: 'Freelance', parent: 'Income' },
+  { name: 'Rental', parent: 'Income' },
+  { name: 'Interest', parent: 'Income' },
+  { name: 'Medical aid', parent: 'Medical' },
+  { name: 'Retirement annuity', parent: 'Investment' }
+]);
 
-// PDF Text Extraction Module
-const PDFTextExtractor = {
-  async loadPDFJS() {
-    if (!window.pdfjsLib) {
-      await new Promise((resolve, reject) => {
-        const script = document.createElement('script');
-        script.src = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js';
-        script.onload = resolve;
-        script.onerror = reject;
-        document.head.appendChild(script);
-      });
-      window.pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+// Keywords are debit "contains" rules; an object adds a subcategory or sign
+const DEFAULT_RULE_KEYWORDS = {
+  'Housing': ['SBSA HOMEL', 'bond', 'mortgage', 'rates', 'levy'],
+  'Insurance': ['DISCINSURE', 'insurance', 'CARTRACK'],
+  'Medical': [
+    { pattern: 'DISC PREM', subcategory: 'Medical aid' },
+    { pattern: 'medical aid', subcategory: 'Medical aid' }
+  ],
+  'Transport': ['ENGEN', 'SHELL', 'SASOL', 'petrol', 'ACSA'],
+  'Food & Dining': ['WOOLWORTHS', 'CHECKERS', 'PICK N PAY', 'SPAR', 'MCD'],
+  'Utilities': ['AFRIHOST', 'MTN', 'VODACOM', 'TELKOM', 'internet', 'prepaid elec'],
+  'Banking': ['fixed monthly fee', 'bank fees', 'overdraft'],
+  'Investment': ['INVESTEC', 'OM UNITTRU', { pattern: '10XRA COL', subcategory: 'Retirement annuity' }],
+  'Shopping': ['CLICKS', 'DIS-CHEM', 'TAKEALOT'],
+  'Entertainment': ['Netflix', 'DSTV', 'YouTube', 'Spotify', 'Apple'],
+  'Professional': ['SARS', 'PERSONAL TAX'],
+  'Income': [
+    { pattern: 'interest', sign: 'credit', subcategory: 'Interest' },
+    { pattern: 'salary', sign: 'credit', subcategory: 'Salary' }
+  ]
+};
+
+const CategoryRuleEngine = {
+  createRule(fields = {}) {
+    return {
+      id: `rule-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+      enabled: true,
+      priority: 0,
+      matchType: 'contains',   // contains | regex | exact
+      pattern: '',
+      amountMin: '',           // bounds on the absolute amount
+      amountMax: '',
+      sign: 'any',             // any | debit | credit
+      dateFrom: '',
+      dateTo: '',
+      category: 'Other',
+      subcategory: '',
+      ...fields
+    };
+  },
+
+  defaultRules() {
+    return Object.entries(DEFAULT_RULE_KEYWORDS).flatMap(([category, keywords]) =>
+      keywords.map((keyword, index) => this.createRule({
+        id: `default-${category}-${index}`,
+        sign: 'debit',
+        category,
+        ...(typeof keyword === 'string' ? { pattern: keyword } : keyword)
+      }))
+    );
+  },
+
+  // Returns an error message, or null when the rule can be saved
+  validateRule(rule) {
+    if (!rule.pattern.trim()) return 'Enter text or a pattern to match';
+    if (rule.matchType === 'regex') {
+      try {
+        new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        return error.message;
+      }
+    }
+    if (rule.amountMin !== '' && rule.amountMax !== '' && parseFloat(rule.amountMin) > parseFloat(rule.amountMax)) {
+      return 'Minimum amount is above the maximum';
     }
+    return null;
   },
 
-  async extractPositionedText(file) {
-    await this.loadPDFJS();
-    const arrayBuffer = await file.arrayBuffer();
-    const pdf = await window.pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-    
-    console.log('=== PDF TEXT EXTRACTION ===');
-    console.log('PDF loaded, pages:', pdf.numPages);
-    
-    const allPages = [];
-    
-    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-      const page = await pdf.getPage(pageNum);
-      const textContent = await page.getTextContent();
-      
-      const textItems = textContent.items.map(item => ({
-        text: item.str.trim(),
-        x: Math.round(item.transform[4]),
-        y: Math.round(item.transform[5]),
-        width: Math.round(item.width),
-        height: Math.round(item.height)
-      })).filter(item => item.text.length > 0);
-      
-      console.log(`Page ${pageNum}: ${textItems.length} text items extracted`);
-      
-      allPages.push({
-        pageNum,
-        textItems,
-        rawTextContent: textContent
-      });
+  matchesDescription(rule, description) {
+    const text = description.toUpperCase();
+    const pattern = rule.pattern.trim();
+    switch (rule.matchType) {
+      case 'exact':
+        return text.trim() === pattern.toUpperCase();
+      case 'regex':
+        try {
+          return new RegExp(pattern, 'i').test(description);
+        } catch (error) {
+          return false;
+        }
+      default:
+        return text.includes(pattern.toUpperCase());
     }
-    
-    return allPages;
+  },
+
+  matches(rule, transaction) {
+    if (!rule.enabled || !rule.pattern.trim()) return false;
+
+    const absAmount = Math.abs(transaction.amount);
+    if (rule.sign === 'debit' && transaction.amount >= 0) return false;
+    if (rule.sign === 'credit' && transaction.amount < 0) return false;
+    if (rule.amountMin !== '' && absAmount < parseFloat(rule.amountMin)) return false;
+    if (rule.amountMax !== '' && absAmount > parseFloat(rule.amountMax)) return false;
+    if (rule.dateFrom && transaction.date < rule.dateFrom) return false;
+    if (rule.dateTo && transaction.date > rule.dateTo) return false;
+
+    return this.matchesDescription(rule, transaction.description);
+  },
+
+  // Highest priority wins; equal priorities keep list order
+  sortRules(rules) {
+    return rules
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => (b.rule.priority - a.rule.priority) || (a.index - b.index))
+      .map(({ rule }) => rule);
+  },
+
+  findRule(transaction, rules) {
+    return this.sortRules(rules).find(rule => this.matches(rule, transaction)) || null;
   }
 };
 
-// Text Processing Module
-const TextProcessor = {
-  groupTextIntoRows(textItems, pageNum, tolerance = 8) {  // Increased tolerance
-    const sortedItems = textItems.sort((a, b) => {
-      if (Math.abs(a.y - b.y) < tolerance) {
-        return a.x - b.x;
-      }
-      return b.y - a.y;
+const TransactionCategorizer = {
+  categorizeTransaction(transaction, rules) {
+    const rule = CategoryRuleEngine.findRule(transaction, rules);
+    if (rule) {
+      return { category: rule.category, subcategory: rule.subcategory || null, categoryRuleId: rule.id };
+    }
+    return { category: null, subcategory: null, categoryRuleId: null };
+  },
+
+  isIncome(description, amount) {
+    return amount > 0 && !description.toLowerCase().includes('transfer');
+  },
+
+  processTransaction(transaction, rules = CategoryRuleEngine.defaultRules()) {
+    const matched = this.categorizeTransaction(transaction, rules);
+    // A rule that files a credit under an expense category (e.g. a refund) makes it non-income
+    const isIncomeTransaction = this.isIncome(transaction.description, transaction.amount) &&
+      (!matched.category || matched.category === 'Income');
+    return {
+      ...transaction,
+      ...matched,
+      category: matched.category || (isIncomeTransaction ? 'Income' : 'Other'),
+      isIncome: isIncomeTransaction,
+      isTransfer: Boolean(transaction.isTransfer)  // Set by TransferDetector
+    };
+  },
+
+  // Re-run the rules over existing transactions. Manual entries and
+  // transactions the user recategorised by hand keep the category they picked.
+  applyRules(transactions, rules) {
+    return transactions.map(t => (t.isManual || t.categorySource === 'manual' ? t : this.processTransaction(t, rules)));
+  }
+};
+
+// Transfer Detection Module
+// Pairs an outflow from one account with an equal inflow into another account
+// a few days apart, and flags own-account reference patterns. Pairs stay
+// "suggested" until the user confirms them; "rejected" marks a user override.
+const TRANSFER_WINDOW_DAYS = 3;
+
+// Only wording that names one of the user's own accounts: "Transfer to J Smith"
+// is a payment to someone else unless the other side turns up and pairs
+const OWN_ACCOUNT_PATTERNS = [
+  /\bown acc(ount)?\b/i,
+  /\b(transfer|trf) (to|from) (my )?(savings|cheque|call|money market|credit card|home loan|bond)\b/i,
+  /\bint(ernal)?[- ]?acc(ount)? (trf|transfer)\b/i,
+  /\bcredit card (payment|repayment)\b/i,
+  /\binter[- ]account\b/i,
+  /\bsweep to\b|\bsweep from\b/i
+];
+
+const TransferDetector = {
+  // Statements stand in for accounts on data imported before accounts existed
+  accountKey(transaction) {
+    return transaction.accountId || transaction.statementId || 'manual';
+  },
+
+  daysBetween(a, b) {
+    return Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+  },
+
+  matchesOwnAccountPattern(description) {
+    return OWN_ACCOUNT_PATTERNS.some(pattern => pattern.test(description));
+  },
+
+  detect(transactions) {
+    // Suggested pairs are recomputed every time; confirmed and rejected ones are
+    // kept unless the other half of a pair has been removed
+    const pairSizes = {};
+    transactions.forEach(t => {
+      if (t.transferPairId) pairSizes[t.transferPairId] = (pairSizes[t.transferPairId] || 0) + 1;
     });
-    
-    const rows = [];
-    let currentRow = [];
-    let lastY = null;
-    
-    sortedItems.forEach(item => {
-      if (lastY === null || Math.abs(item.y - lastY) < tolerance) {
-        currentRow.push(item);
-      } else {
-        if (currentRow.length > 0) {
-          rows.push([...currentRow]);
+    const result = transactions.map(t => (t.transferStatus === 'suggested' || (t.transferPairId && pairSizes[t.transferPairId] < 2)
+      ? { ...t, transferStatus: null, transferPairId: null }
+      : t));
+
+    const isCandidate = t => !t.isManual && !t.transferStatus && !t.isDuplicate;
+    const inflows = result.filter(t => t.amount > 0 && isCandidate(t));
+    const paired = new Set();
+    const pairs = [];
+
+    result
+      .filter(t => t.amount < 0 && isCandidate(t))
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .forEach(outflow => {
+        const match = inflows
+          .filter(inflow =>
+            !paired.has(inflow.id) &&
+            Math.abs(inflow.amount + outflow.amount) < 0.005 &&
+            this.accountKey(inflow) !== this.accountKey(outflow) &&
+            this.daysBetween(inflow.date, outflow.date) <= TRANSFER_WINDOW_DAYS
+          )
+          .sort((a, b) => this.daysBetween(a.date, outflow.date) - this.daysBetween(b.date, outflow.date))[0];
+
+        if (match) {
+          paired.add(match.id);
+          paired.add(outflow.id);
+          pairs.push([outflow.id, match.id]);
         }
-        currentRow = [item];
-      }
-      lastY = item.y;
+      });
+
+    const pairIds = {};
+    pairs.forEach(([outId, inId]) => {
+      pairIds[outId] = `${outId}~${inId}`;
+      pairIds[inId] = `${outId}~${inId}`;
     });
-    
-    if (currentRow.length > 0) {
-      rows.push(currentRow);
+
+    if (pairs.length > 0) {
+      console.log(`🔁 Transfer detection: ${pairs.length} suggested pair(s)`);
     }
-    
-    console.log(`Page ${pageNum} - Grouped into ${rows.length} rows`);
-    return rows;
-  },
 
-  debugRows(rows, pageNum, maxRows = 10) {
-    console.log(`\n=== PAGE ${pageNum} ROW ANALYSIS ===`);
-    rows.slice(0, maxRows).forEach((row, index) => {
-      const rowText = row.map(item => item.text).join(' | ');
-      console.log(`Row ${index + 1}: "${rowText}"`);
+    return result.map(t => {
+      const next = pairIds[t.id] ? { ...t, transferStatus: 'suggested', transferPairId: pairIds[t.id] } : t;
+      const isPaired = next.transferStatus === 'suggested' || next.transferStatus === 'confirmed';
+      const isPatternTransfer = !next.transferStatus && !next.isManual && this.matchesOwnAccountPattern(next.description);
+      return { ...next, isTransfer: isPaired || isPatternTransfer };
     });
+  },
+
+  setPairStatus(transactions, pairId, status) {
+    return this.detect(transactions.map(t => (t.transferPairId === pairId
+      ? { ...t, transferStatus: status, transferPairId: status === 'rejected' ? null : pairId }
+      : t)));
+  },
+
+  setStatus(transactions, id, status) {
+    return this.detect(transactions.map(t => (t.id === id ? { ...t, transferStatus: status } : t)));
   }
 };
 
-// Pattern Detection Module
-const PatternDetector = {
-  // More flexible date patterns for SA banks
-  datePatterns: [
-    /^\d{1,2}[-\/\s]\d{1,2}[-\/\s]\d{4}$/,    // DD/MM/YYYY
-    /^\d{4}[-\/\s]\d{1,2}[-\/\s]\d{1,2}$/,    // YYYY/MM/DD  
-    /^\d{1,2}\s+\w{3}\s+\d{4}$/,              // DD MMM YYYY
-    /^\w{3}\s+\d{1,2},?\s+\d{4}$/,            // MMM DD, YYYY
-    /^\d{1,2}\s+\w+\s+\d{4}$/,                // DD Month YYYY
-    /^\d{2}\s\w{3}$/,                         // DD MMM
-    /^\d{1,2}\s\w{3}$/,                       // D MMM
-    /^\d{2}\/\d{2}$/,                         // DD/MM
-    /^\d{1,2}\/\d{1,2}$/                      // D/M
-  ],
+// Merchant Normalisation Module
+// Reduces a statement description to a stable merchant name, so
+// "POS PURCHASE WOOLWORTHS 4587*1234 05 JAN" and "WOOLWORTHS CAVENDISH" group together.
+const DESCRIPTION_PREFIXES = [
+  'POS PURCHASE', 'POS LOCAL PURCHASE', 'CARD PURCHASE', 'DEBIT ORDER', 'DEBIT ORDER PAYMENT',
+  'IB PAYMENT TO', 'PAYMENT TO', 'PAYMENT FROM', 'PURCHASE', 'FNB APP PAYMENT TO', 'DIGITAL PAYMENT DT',
+  'MAGTAPE DEBIT', 'MAGTAPE CREDIT', 'RECURRING PAYMENT', 'CREDIT TRANSFER', 'IMMEDIATE PAYMENT'
+].sort((a, b) => b.length - a.length);
 
-  // More flexible amount patterns
-  amountPatterns: [
-    /^[\-\+]?\s*R?\s*\d{1,3}(?:[,\s]\d{3})*(?:\.\d{2})?$/,  // R1,234.56
-    /^\d{1,3}(?:[,\s]\d{3})*\.\d{2}$/,                       // 1,234.56
-    /^\d+\.\d{2}$/,                                          // 123.45
-    /^[\-\+]?\d{1,8}\.?\d{0,2}$/,                           // Simple numbers
-    /^\d{1,3}(?:\s\d{3})*\.\d{2}$/                          // Space-separated thousands
-  ],
+const MerchantNormalizer = {
+  normalize(description) {
+    let text = description.toUpperCase()
+      .replace(/\d{4,}\*+\d*|\*+\d{2,}/g, ' ')            // masked card numbers
+      .replace(/\b\d{1,2}\s+(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)\b/g, ' ')
+      .replace(/\b\d{1,2}[/.-]\d{1,2}([/.-]\d{2,4})?\b/g, ' ')
+      .replace(/[^A-Z0-9&' ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
 
-  isDate(text) {
-    const cleanText = text.trim();
-    return this.datePatterns.some(pattern => pattern.test(cleanText));
+    const prefix = DESCRIPTION_PREFIXES.find(p => text.startsWith(`${p} `));
+    if (prefix) {
+      text = text.substring(prefix.length).trim();
+    }
+
+    // Drop reference numbers and keep the leading words that name the merchant
+    const words = text.split(' ').filter(word => !/\d{3,}/.test(word) && word.length > 1);
+    return words.slice(0, 2).join(' ') || text;
   },
 
-  isAmount(text) {
-    const cleanText = text.replace(/\s+/g, '').trim();
-    if (cleanText.length === 0) return false;
-    
-    const isAmountPattern = this.amountPatterns.some(pattern => pattern.test(cleanText));
-    const parsedAmount = this.parseAmount(text);
-    
-    return isAmountPattern && parsedAmount !== null && Math.abs(parsedAmount) >= 0.01;
+  words(description) {
+    return new Set(this.normalize(description).split(' ').filter(Boolean));
   },
 
-  parseAmount(amountStr) {
-    try {
-      let cleaned = amountStr
-        .replace(/[R\s$€£¥]/gi, '')
-        .replace(/[,]/g, '')  // Remove commas
-        .replace(/\s+/g, '')  // Remove all spaces
-        .trim();
-      
-      let isNegative = false;
-      if (cleaned.includes('-') || amountStr.toLowerCase().includes('dr')) {
-        isNegative = true;
-        cleaned = cleaned.replace(/[-]/g, '');
-      }
-      
-      const numericAmount = parseFloat(cleaned);
-      if (isNaN(numericAmount) || numericAmount <= 0) {
-        return null;
-      }
-      
-      return isNegative ? -numericAmount : numericAmount;
-    } catch (error) {
-      return null;
-    }
+  // Regex that finds the merchant in raw descriptions ("NETFLIX COM" matches "NETFLIX.COM")
+  toPattern(merchant) {
+    return merchant.split(' ').join('\\W+');
+  }
+};
+
+// Category Suggestion Module
+// Suggests a category for "Other" items from how the same or similar
+// merchants were categorised elsewhere in the workspace.
+const CategorySuggester = {
+  similarity(wordsA, wordsB) {
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    const total = new Set([...wordsA, ...wordsB]).size;
+    return total === 0 ? 0 : shared / total;
   },
 
-  standardizeDate(dateStr) {
-    try {
-      let date;
-      
-      if (/^\d{1,2}[-\/\s]\d{1,2}[-\/\s]\d{4}$/.test(dateStr)) {
-        const parts = dateStr.split(/[-\/\s]/);
-        date = new Date(parts[2], parts[1] - 1, parts[0]);
-      } else if (/^\d{2}\s\w{3}$/.test(dateStr) || /^\d{1,2}\s\w{3}$/.test(dateStr)) {
-        // Handle DD MMM format - assume current year
-        date = new Date(dateStr + ' 2024');
-      } else {
-        date = new Date(dateStr);
-      }
-      
-      if (isNaN(date)) {
-        return dateStr;
+  // Returns a map of transaction id -> { category, subcategory } for every "Other" item
+  suggestAll(transactions) {
+    const categorised = transactions
+      .filter(t => t.category !== 'Other' && t.category !== 'Income')
+      .map(t => ({ t, words: MerchantNormalizer.words(t.description) }));
+    const suggestions = {};
+
+    transactions.filter(t => t.category === 'Other').forEach(transaction => {
+      const words = MerchantNormalizer.words(transaction.description);
+      const votes = {};
+
+      categorised.forEach(({ t: other, words: otherWords }) => {
+        if ((other.amount < 0) !== (transaction.amount < 0)) return;
+        const score = this.similarity(words, otherWords);
+        if (score < 0.5) return;
+
+        const key = `${other.category}|${other.subcategory || ''}`;
+        votes[key] = (votes[key] || 0) + score;
+      });
+
+      const best = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+      if (best) {
+        const [category, subcategory] = best[0].split('|');
+        suggestions[transaction.id] = { category, subcategory: subcategory || null };
       }
-      
-      return date.toISOString().split('T')[0];
-    } catch (error) {
-      return dateStr;
-    }
+    });
+
+    return suggestions;
   }
 };
 
-// Enhanced Transaction Detection Module  
-// Enhanced Transaction Detection Module with Conservative Parsing
-const TransactionDetector = {
-  isHeaderRow(rowText) {
-    const headerKeywords = [
-      'date', 'description', 'amount', 'balance', 'debit', 'credit',
-      'transaction', 'reference', 'details', 'account', 'statement',
-      'opening', 'closing', 'brought forward', 'carried forward',
-      'customer care', 'website', 'standard bank', 'account holder'
-    ];
-    const lowerText = rowText.toLowerCase();
-    const hasHeaderKeyword = headerKeywords.some(keyword => lowerText.includes(keyword));
-    
-    return hasHeaderKeyword;
+// Duplicate Detection Module
+// Finds lines that appear in more than one statement of the same account, e.g.
+// from overlapping statement periods or a PDF and a CSV of the same month.
+// Repeats within one statement are never duplicates: two R35 coffees on one
+// day are two coffees. Matches stay "suspected" until the user reviews them;
+// "confirmed" drops the copy from analytics and "rejected" keeps both.
+const DUPLICATE_WINDOW_DAYS = 3;
+const DUPLICATE_DESCRIPTION_SIMILARITY = 0.5;
+
+const DuplicateDetector = {
+  cents(value) {
+    return value === null || value === undefined ? '' : Math.round(value * 100);
   },
 
-  // More conservative transaction detection
-  detectTransactionInRow(row, rowIndex, pageNum) {
-    const rowText = row.map(item => item.text).join(' ');
-    
-    console.log(`\n--- Analyzing Row ${rowIndex + 1} on Page ${pageNum} ---`);
-    console.log(`Row text: "${rowText}"`);
-    
-    // Skip obviously non-transaction rows
-    if (this.isHeaderRow(rowText)) {
-      console.log(`❌ Skipped: Header row`);
-      return null;
-    }
-    
-    if (rowText.length < 10 || row.length < 3) {
-      console.log(`❌ Skipped: Too simple (${rowText.length} chars, ${row.length} items)`);
-      return null;
-    }
-    
-    // Look for typical Standard Bank transaction patterns
-    const hasDatePattern = row.some(item => 
-      /^\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)/.test(item.text) ||
-      /^\d{4}$/.test(item.text) // Year
-    );
-    
-    if (!hasDatePattern) {
-      console.log(`❌ Skipped: No clear date pattern`);
-      return null;
+  // Account, date, amount, running balance and merchant; detect() appends the
+  // line's position among identical lines of its statement
+  fingerprint(transaction) {
+    return [
+      TransferDetector.accountKey(transaction),
+      transaction.date,
+      this.cents(transaction.amount),
+      this.cents(transaction.balance),
+      MerchantNormalizer.normalize(transaction.description)
+    ].join('|');
+  },
+
+  // Different exports of the same line agree on the running balance when both
+  // print one; otherwise the date and merchant must agree
+  isSimilar(a, b) {
+    const hasBalances = a.balance !== null && a.balance !== undefined && b.balance !== null && b.balance !== undefined;
+    if (hasBalances) {
+      return this.cents(a.balance) === this.cents(b.balance) &&
+        TransferDetector.daysBetween(a.date, b.date) <= DUPLICATE_WINDOW_DAYS;
     }
-    
-    // Find transaction amounts - be more selective
-    const transactionAmounts = [];
-    const descriptions = [];
-    const dates = [];
-    
-    row.forEach((item, index) => {
-      const text = item.text.trim();
-      
-      // Date detection
-      if (PatternDetector.isDate(text)) {
-        dates.push({ text, index });
-      }
-      
-      // Amount detection - be more conservative
-      if (PatternDetector.isAmount(text)) {
-        const amount = PatternDetector.parseAmount(text);
-        if (amount !== null && Math.abs(amount) >= 1 && Math.abs(amount) <= 500000) {
-          // Reasonable transaction limits
-          transactionAmounts.push({ value: amount, text, index });
-          console.log(`💰 Found reasonable amount: "${text}" = ${amount}`);
+    return a.date === b.date && CategorySuggester.similarity(
+      MerchantNormalizer.words(a.description), MerchantNormalizer.words(b.description)
+    ) >= DUPLICATE_DESCRIPTION_SIMILARITY;
+  },
+
+  // Suspected matches are recomputed every time; a confirmed match is kept
+  // while its original is still there, and rejected lines are left alone
+  detect(transactions) {
+    // Earlier lines are the originals; each original absorbs at most one copy
+    const positions = {};
+    const byFingerprint = {};
+    const byAmount = {};
+    const claimed = new Set();
+    let found = 0;
+
+    const marked = transactions.map(t => {
+      if (t.isManual) return t;
+
+      const base = this.fingerprint(t);
+      const positionKey = `${t.statementId}|${base}`;
+      positions[positionKey] = (positions[positionKey] || 0) + 1;
+      const fingerprint = `${base}#${positions[positionKey]}`;
+      const amountKey = `${TransferDetector.accountKey(t)}|${this.cents(t.amount)}`;
+
+      let original = null;
+      let reason = null;
+      if (t.duplicateStatus !== 'rejected') {
+        const exact = byFingerprint[fingerprint];
+        if (exact && exact.statementId !== t.statementId && !claimed.has(exact.id)) {
+          original = exact;
+          reason = 'Identical line';
+        } else {
+          original = (byAmount[amountKey] || []).find(candidate =>
+            candidate.statementId !== t.statementId && !claimed.has(candidate.id) && this.isSimilar(candidate, t)
+          ) || null;
+          reason = original ? 'Same amount and balance or merchant' : null;
         }
       }
-      
-      // Description items
-      if (text.length > 2 && !PatternDetector.isDate(text) && !PatternDetector.isAmount(text)) {
-        descriptions.push({ text, index });
+
+      if (original) {
+        claimed.add(original.id);
+        found++;
+        return {
+          ...t,
+          duplicateOf: original.id,
+          duplicateReason: reason,
+          duplicateStatus: t.duplicateStatus === 'confirmed' && t.duplicateOf === original.id ? 'confirmed' : 'suspected'
+        };
       }
+
+      const next = t.duplicateStatus === 'rejected' ? t : { ...t, duplicateStatus: null, duplicateOf: null, duplicateReason: null };
+      byFingerprint[fingerprint] = byFingerprint[fingerprint] || next;
+      byAmount[amountKey] = [...(byAmount[amountKey] || []), next];
+      return next;
     });
-    
-    console.log(`📊 Found: ${dates.length} dates, ${transactionAmounts.length} amounts, ${descriptions.length} descriptions`);
-    
-    // Require at least one amount to create a transaction
-    if (transactionAmounts.length === 0) {
-      console.log(`❌ Rejected: No valid amounts found`);
-      return null;
+
+    if (found > 0) {
+      console.log(`🧬 Duplicate detection: ${found} line(s) also appear in another statement`);
     }
-    
-    // Use first/best date
-    const primaryDate = dates.length > 0 ? dates[0].text : 'Unknown';
-    
-    // Build description from non-amount items
-    const description = descriptions
-      .filter(d => d.text.length > 2)
-      .map(d => d.text)
-      .join(' ')
-      .substring(0, 100)
-      .trim() || 'Transaction';
-    
-    // Only create ONE transaction per row (use the most significant amount)
-    const bestAmount = transactionAmounts.sort((a, b) => Math.abs(b.value) - Math.abs(a.value))[0];
-    
-    const transaction = {
-      date: PatternDetector.standardizeDate(primaryDate),
-      description: description,
-      amount: bestAmount.value,
-      type: bestAmount.value >= 0 ? 'credit' : 'debit',
-      source: `Page ${pageNum}, Row ${rowIndex + 1}`,
-      rawData: rowText.substring(0, 200),
-      debug: {
-        originalAmounts: transactionAmounts.map(a => a.text),
-        selectedAmount: bestAmount.text,
-        dateFound: primaryDate
-      }
-    };
-    
-    console.log(`✅ Created transaction: ${transaction.date} | ${description.substring(0, 30)}... | R${bestAmount.value}`);
-    return transaction;
+
+    return marked.map(t => ({
+      ...t,
+      isDuplicate: t.duplicateStatus === 'suspected' || t.duplicateStatus === 'confirmed'
+    }));
   },
 
-  parseTransactionsFromRows(rows, pageNum) {
-    console.log(`\n=== CONSERVATIVE TRANSACTION DETECTION PAGE ${pageNum} ===`);
-    const transactions = [];
-    
-    rows.forEach((row, rowIndex) => {
-      const result = this.detectTransactionInRow(row, rowIndex, pageNum);
-      if (result) {
-        transactions.push(result);
+  setStatus(transactions, ids, status) {
+    const idSet = new Set(ids);
+    return this.detect(transactions.map(t => (idSet.has(t.id) ? { ...t, duplicateStatus: status } : t)));
+  },
+
+  // Statements of the same account whose periods (or, without a printed
+  // period, transaction date ranges) overlap
+  findOverlaps(statements, transactions) {
+    const ranges = statements.map(statement => {
+      if (statement.period) return { statement, ...statement.period };
+      const dates = transactions.filter(t => t.statementId === statement.id).map(t => t.date).sort();
+      return { statement, start: dates[0], end: dates[dates.length - 1] };
+    }).filter(range => range.start && range.end);
+
+    const overlaps = {};
+    ranges.forEach(a => ranges.forEach(b => {
+      if (a.statement.id === b.statement.id || !a.statement.accountId || a.statement.accountId !== b.statement.accountId) return;
+      if (a.start <= b.end && b.start <= a.end) {
+        overlaps[a.statement.id] = [...(overlaps[a.statement.id] || []), b.statement];
       }
-    });
-    
-    console.log(`📈 Page ${pageNum} conservative result: ${transactions.length} transactions found`);
-    return transactions;
+    }));
+    return overlaps;
+  },
+
+  // Backups and re-imports carry their own ids, so the same record is only kept once
+  mergeById(current, incoming) {
+    const ids = new Set(current.map(item => item.id));
+    return [...current, ...incoming.filter(item => !ids.has(item.id))];
   }
 };
 
-// Transaction categorization
-const EXPENSE_CATEGORIES = {
-  'Housing': ['SBSA HOMEL', 'bond', 'mortgage', 'rates', 'levy', 'POINT GARDEN'],
-  'Insurance': ['DISCINSURE', 'insurance', 'CARTRACK'],
-  'Medical': ['DISC PREM', 'medical aid'],
-  'Transport': ['ENGEN', 'BP PINELAND', 'petrol', 'ACSA'],
-  'Food & Dining': ['WOOLWORTHS', 'Checkers', 'MCD', 'BOOTLEGGER', 'Tops Sunrise'],
-  'Utilities': ['AFRIHOST', 'MTN', 'VIRGIN', 'internet', 'phone'],
-  'Banking': ['fixed monthly fee', 'bank fees', 'overdraft'],
-  'Investment': ['INVESTEC', 'OM UNITTRU', '10XRA COL'],
-  'Shopping': ['CLICKS', 'PNA', 'ROZPRINT'],
-  'Entertainment': ['Netflix', 'DSTV', 'YouTube', 'Apple'],
-  'Professional': ['SARS', 'tax', 'PERSONAL TAX'],
-  'Other': []
-};
+// Recurring Payment Module
+// Groups debits by merchant and finds those that repeat weekly, monthly or
+// yearly at a steady amount: debit orders, subscriptions and premiums. Each
+// series reports its next expected date and yearly cost, and flags price
+// increases, missed debit orders and a merchant debiting twice in one cycle.
+const RECURRING_CADENCES = [
+  { id: 'weekly', name: 'Weekly', days: 7, toleranceDays: 2, perYear: 52, minCount: 4 },
+  { id: 'monthly', name: 'Monthly', days: 30.44, toleranceDays: 5, perYear: 12, minCount: 3 },
+  { id: 'annual', name: 'Annual', days: 365.25, toleranceDays: 15, perYear: 1, minCount: 2 }
+];
 
-const TransactionCategorizer = {
-  categorizeTransaction(description) {
-    const desc = description.toUpperCase();
-    for (const [category, keywords] of Object.entries(EXPENSE_CATEGORIES)) {
-      if (keywords.some(keyword => desc.includes(keyword.toUpperCase()))) {
-        return category;
-      }
-    }
-    return 'Other';
+// Share of the typical amount a payment may differ by and still belong to the series
+const RECURRING_AMOUNT_TOLERANCE = 0.2;
+// Share of payments (and of gaps between them) that must fit the pattern
+const RECURRING_MIN_REGULARITY = 0.75;
+
+const RecurringDetector = {
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
   },
 
-  isIncome(description, amount) {
-    return amount > 0 && !description.toLowerCase().includes('transfer');
+  // Monthly and annual dates keep their day of the month (31 Jan + 1 month = 28/29 Feb)
+  addCadence(isoDate, cadence, count = 1) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    if (cadence.id === 'weekly') return PatternDetector.toISODate(new Date(year, month - 1, day + 7 * count));
+
+    const months = cadence.id === 'annual' ? 12 * count : count;
+    const lastDay = new Date(year, month - 1 + months + 1, 0).getDate();
+    return PatternDetector.toISODate(new Date(year, month - 1 + months, Math.min(day, lastDay)));
   },
 
-  processTransaction(transaction) {
-    const isIncomeTransaction = this.isIncome(transaction.description, transaction.amount);
-    return {
-      ...transaction,
-      category: isIncomeTransaction ? 'Income' : this.categorizeTransaction(transaction.description),
-      isIncome: isIncomeTransaction,
-      isTransfer: false  // Simplified for now
-    };
+  // The cadence whose period is closest to the typical gap between payments
+  findCadence(payments) {
+    const gaps = payments.slice(1).map((p, i) => TransferDetector.daysBetween(payments[i].date, p.date));
+    if (gaps.length === 0) return null;
+    const typicalGap = this.median(gaps);
+    return RECURRING_CADENCES.find(cadence => Math.abs(typicalGap - cadence.days) <= cadence.toleranceDays) || null;
   },
 
-  deduplicateTransactions(transactions) {
-    const seen = new Set();
-    return transactions.filter(t => {
-      const key = `${t.date}-${t.description}-${t.amount}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
+  // Walks one merchant's payments in date order. A payment well inside one
+  // cycle of the previous one is a duplicate debit; a gap of several cycles
+  // means the payments in between were missed.
+  analyseSeries(payments, cadence) {
+    const series = [payments[0]];
+    const duplicates = [];
+    const missed = [];
+    let regularGaps = 0;
+
+    payments.slice(1).forEach(payment => {
+      const previous = series[series.length - 1];
+      const cycles = Math.round(TransferDetector.daysBetween(previous.date, payment.date) / cadence.days);
+      if (cycles === 0) {
+        duplicates.push({ date: payment.date, amount: Math.abs(payment.amount), ids: [previous.id, payment.id] });
+        return;
+      }
+
+      const expected = this.addCadence(previous.date, cadence, cycles);
+      if (TransferDetector.daysBetween(expected, payment.date) <= cadence.toleranceDays * cycles) regularGaps++;
+      for (let i = 1; i < cycles; i++) missed.push(this.addCadence(previous.date, cadence, i));
+      series.push(payment);
     });
-  }
-};
 
-// Main PDF Parser
-const BankStatementPDFParser = {
-  async parseFile(file) {
-    try {
-      console.log(`\n=== PARSING FILE: ${file.name} ===`);
-      
-      const pages = await PDFTextExtractor.extractPositionedText(file);
-      let allTransactions = [];
-      
-      for (const page of pages) {
-        const { pageNum, textItems } = page;
-        const rows = TextProcessor.groupTextIntoRows(textItems, pageNum);
-        const pageTransactions = TransactionDetector.parseTransactionsFromRows(rows, pageNum);
-        allTransactions.push(...pageTransactions);
+    return { series, duplicates, missed, regularity: series.length > 1 ? regularGaps / (series.length - 1) : 0 };
+  },
+
+  // Overdue payments are judged against the last date on the statements, not
+  // today, so a statement that has not been uploaded yet is not a missed debit
+  detect(transactions, today) {
+    const dates = transactions.map(t => t.date).sort();
+    const asOf = dates.length > 0 && dates[dates.length - 1] < today ? dates[dates.length - 1] : today;
+    const byMerchant = {};
+    transactions
+      .filter(t => t.amount < 0 && !t.isTransfer && !t.isDuplicate)
+      .forEach(t => {
+        const merchant = MerchantNormalizer.normalize(t.description);
+        if (merchant) byMerchant[merchant] = [...(byMerchant[merchant] || []), t];
+      });
+
+    const recurring = Object.entries(byMerchant).map(([merchant, items]) => {
+      const payments = [...items].sort((a, b) => a.date.localeCompare(b.date));
+      const typicalAmount = this.median(payments.map(p => Math.abs(p.amount)));
+      const steady = payments.filter(p => Math.abs(Math.abs(p.amount) - typicalAmount) <= typicalAmount * RECURRING_AMOUNT_TOLERANCE);
+      if (steady.length < payments.length * RECURRING_MIN_REGULARITY) return null;
+
+      const cadence = this.findCadence(steady);
+      if (!cadence) return null;
+
+      const { series, duplicates, missed, regularity } = this.analyseSeries(steady, cadence);
+      if (series.length < cadence.minCount || regularity < RECURRING_MIN_REGULARITY) return null;
+
+      const last = series[series.length - 1];
+      const amount = Math.abs(last.amount);
+
+      // The latest change in amount, reported when it went up
+      let changeIndex = series.length - 1;
+      while (changeIndex > 0 && Math.abs(Math.abs(series[changeIndex].amount) - Math.abs(series[changeIndex - 1].amount)) < 0.005) {
+        changeIndex--;
       }
-      
-      console.log(`\n🎯 FINAL RESULT: ${allTransactions.length} transactions found`);
-      return allTransactions;
-      
-    } catch (error) {
-      console.error('PDF parsing error:', error);
-      throw new Error(`Failed to parse PDF: ${error.message}`);
-    }
+      const before = changeIndex > 0 ? Math.abs(series[changeIndex - 1].amount) : null;
+      const after = changeIndex > 0 ? Math.abs(series[changeIndex].amount) : null;
+
+      // Overdue within one cycle counts as a missed debit order; beyond that the series has ended
+      let nextExpected = this.addCadence(last.date, cadence);
+      let status = 'active';
+      if (TransferDetector.daysBetween(nextExpected, asOf) > cadence.toleranceDays && nextExpected < asOf) {
+        const cyclesSinceLast = TransferDetector.daysBetween(last.date, asOf) / cadence.days;
+        if (Math.round(cyclesSinceLast) >= 3) {
+          status = 'ended';
+        } else {
+          status = 'overdue';
+          missed.push(nextExpected);
+          // The first payment date still to come, not a whole cycle past it
+          nextExpected = this.addCadence(last.date, cadence, Math.floor(cyclesSinceLast) + 1);
+        }
+      }
+
+      return {
+        id: merchant,
+        merchant,
+        description: last.description,
+        category: last.category,
+        cadence,
+        amount,
+        annualCost: amount * cadence.perYear,
+        count: series.length,
+        first: series[0].date,
+        last: last.date,
+        nextExpected: status === 'ended' ? null : nextExpected,
+        status,
+        priceIncrease: before !== null && after > before
+          ? { from: before, to: after, date: series[changeIndex].date, change: (after - before) / before }
+          : null,
+        missed,
+        duplicates,
+        transactionIds: series.map(t => t.id)
+      };
+    }).filter(Boolean);
+
+    console.log(`🔁 Recurring payments: ${recurring.filter(r => r.status !== 'ended').length} active of ${recurring.length} found`);
+    return recurring.sort((a, b) => (a.status === 'ended') - (b.status === 'ended') || b.annualCost - a.annualCost);
+  },
+
+  // Price increases, missed and duplicate debit orders across all active series
+  flags(recurring) {
+    const flags = [];
+    recurring.filter(r => r.status !== 'ended').forEach(r => {
+      if (r.priceIncrease) {
+        flags.push({ id: `${r.id}-increase`, type: 'increase', recurring: r,
+          message: `${r.merchant} went up from R${r.priceIncrease.from.toFixed(2)} to R${r.priceIncrease.to.toFixed(2)} on ${r.priceIncrease.date} (+${(r.priceIncrease.change * 100).toFixed(1)}%)` });
+      }
+      r.missed.forEach(date => flags.push({ id: `${r.id}-missed-${date}`, type: 'missed', recurring: r,
+        message: `${r.merchant}: no debit around ${date}` }));
+      r.duplicates.forEach(duplicate => flags.push({ id: `${r.id}-duplicate-${duplicate.date}`, type: 'duplicate', recurring: r,
+        message: `${r.merchant} debited R${duplicate.amount.toFixed(2)} twice in one ${r.cadence.id === 'weekly' ? 'week' : (r.cadence.id === 'monthly' ? 'month' : 'year')} (${duplicate.date})` }));
+    });
+    return flags;
   }
 };
 
 // ============================================================================
-// MAIN APP COMPONENT
+// STATEMENT IMPORTERS - CSV, OFX and QIF alongside PDF
 // ============================================================================
 
-// South African Tax Brackets 2025/2026
-const TAX_BRACKETS_2025_26 = [
-  { min: 0, max: 262150, rate: 0.18, baseAmount: 0 },
-  { min: 262151, max: 410460, rate: 0.26, baseAmount: 47187 },
-  { min: 410461, max: 555600, rate: 0.31, baseAmount: 85737 },
-  { min: 555601, max: 708310, rate: 0.36, baseAmount: 130740 },
-  { min: 708311, max: 1500000, rate: 0.39, baseAmount: 185696 },
-  { min: 1500001, max: 1958310, rate: 0.41, baseAmount: 494445 },
-  { min: 1958311, max: Infinity, rate: 0.45, baseAmount: 682335 }
-];
+// Shared helpers for importers that read bank exports rather than PDF layouts
+const ExportRowBuilder = {
+  buildTransaction({ date, description, amount, balance = null, source, rawData, bank, period = null }) {
+    const isoDate = PatternDetector.standardizeDate(date.trim(), period);
+    return {
+      date: isoDate,
+      outsidePeriod: StatementPeriodDetector.isOutsidePeriod(isoDate, period),
+      description: (description || '').replace(/\s+/g, ' ').trim().substring(0, 100) || 'Transaction',
+      amount,
+      balance,
+      fee: null,
+      type: amount >= 0 ? 'credit' : 'debit',
+      bank,
+      source,
+      rawData: rawData.substring(0, 200)
+    };
+  },
 
-const PRIMARY_REBATE = 18984;
+  // Signed amount from an export cell; exports use "-" or trailing Cr/Dr, never
+  // columns. format is the file's AMOUNT_FORMATS id ("1,234.56" or "1 234,56")
+  readCell(cell, format = null) {
+    if (cell === undefined || cell === null) return null;
+    const text = String(cell).trim();
+    if (text.length === 0) return null;
+    // The column is mapped as an amount, so whole rands ("150") and one
+    // decimal ("123.5") count too, unlike the cents rule for PDF text
+    const amount = PatternDetector.readAmount(text, format);
+    if (!amount) return null;
+    const negative = amount.suffix ? amount.suffix === 'dr' : amount.negative;
+    return negative && amount.value > 0 ? -amount.value : amount.value;
+  },
 
-const BankStatementAnalyzer = () => {
-  const [statements, setStatements] = useState([]);
-  const [transactions, setTransactions] = useState([]);
-  const [manualEntries, setManualEntries] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('upload');
-  const [dateRange, setDateRange] = useState({ start: '', end: '' });
-  const [newEntry, setNewEntry] = useState({
-    date: '',
-    description: '',
-    amount: '',
-    type: 'expense',
-    category: 'Other'
-  });
+  // Skipped rows are kept with the reason, for the import review
+  rejectRow(rejectedRows, source, rawData, reason) {
+    rejectedRows.push({ source, rawData: rawData.substring(0, 200), reason, expected: false });
+  },
 
-  // Calculate tax liability
-  const calculateTax = useCallback((annualIncome) => {
-    let tax = 0;
-    let remainingIncome = annualIncome;
+  finishStatement(name, bank, transactions, { openingBalance = null, closingBalance = null, period = null, accountInfo = null, rejectedRows = [] } = {}) {
+    const statement = { name, bank, period, accountInfo, transactions, openingBalance, closingBalance, rejectedRows };
+    const reconciled = StatementReconciler.reconcile(statement);
+    return { ...statement, ...reconciled };
+  }
+};
 
-    for (const bracket of TAX_BRACKETS_2025_26) {
-      if (remainingIncome <= 0) break;
-      
-      const taxableInThisBracket = Math.min(
-        remainingIncome,
-        bracket.max === Infinity ? remainingIncome : bracket.max - bracket.min + 1
-      );
-      
-      tax += taxableInThisBracket * bracket.rate;
-      remainingIncome -= taxableInThisBracket;
-    }
+// CSV Importer Module
+// CSV layouts differ per bank and per export option, so columns are mapped by
+// the user (or guessed from header names) and the mapping is saved per bank.
+// Legacy localStorage key, migrated into the settings store by DB_MIGRATIONS
+const CSV_MAPPING_STORAGE_KEY = 'csvColumnMappings';
 
-    return Math.max(0, tax - PRIMARY_REBATE);
-  }, []);
+const CSV_FIELD_ALIASES = {
+  date: ['date', 'transaction date', 'posting date', 'tran date', 'value date'],
+  description: ['description', 'details', 'transaction description', 'narrative', 'reference'],
+  amount: ['amount', 'transaction amount'],
+  debit: ['debit', 'debits', 'debit amount', 'money out'],
+  credit: ['credit', 'credits', 'credit amount', 'money in'],
+  balance: ['balance', 'running balance']
+};
 
-  // Handle file upload using modular parser
-  const handleFileUpload = useCallback(async (files) => {
-    setLoading(true);
-    const errors = [];
-    
-    try {
-      const newTransactions = [];
-      
-      for (const file of files) {
-        try {
-          console.log(`\n=== PROCESSING FILE: ${file.name} ===`);
-          
-          const rawTransactions = await BankStatementPDFParser.parseFile(file);
-          const processedTransactions = rawTransactions.map(t => 
-            TransactionCategorizer.processTransaction(t)
-          );
-          
-          newTransactions.push(...processedTransactions);
-          console.log(`✅ Successfully processed ${processedTransactions.length} transactions from ${file.name}`);
-          
-        } catch (error) {
-          console.error(`❌ Error parsing ${file.name}:`, error);
-          errors.push(`Error parsing ${file.name}: ${error.message}`);
+const CSVStatementImporter = {
+  detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).slice(0, 10).join('\n');
+    const counts = [',', ';', '\t'].map(d => ({ d, count: sample.split(d).length }));
+    return counts.sort((a, b) => b.count - a.count)[0].d;
+  },
+
+  parseCSV(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
         }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
       }
-      
-      setTransactions(prev => {
-        const combined = [...prev, ...newTransactions];
-        return TransactionCategorizer.deduplicateTransactions(combined);
-      });
-      
-      setStatements(prev => [...prev, ...Array.from(files)]);
-      
-      if (newTransactions.length > 0) {
-        setActiveTab('dashboard');
+    }
+
+    if (cell.length > 0 || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows.filter(r => r.some(c => c.trim().length > 0)).map(r => r.map(c => c.trim()));
+  },
+
+  // Bank CSVs often start with account details; the header is the first row naming known fields
+  findHeaderIndex(rows) {
+    const aliases = Object.values(CSV_FIELD_ALIASES).flat();
+    const index = rows.findIndex(r =>
+      r.filter(c => aliases.includes(c.toLowerCase())).length >= 2
+    );
+    return index === -1 ? 0 : index;
+  },
+
+  async preview(file) {
+    const text = await file.text();
+    const delimiter = this.detectDelimiter(text);
+    const rows = this.parseCSV(text, delimiter);
+    const headerIndex = this.findHeaderIndex(rows);
+    const profile = BankProfileDetector.detectBank(`${file.name} ${rows.slice(0, headerIndex + 1).flat().join(' ')}`);
+
+    return {
+      fileName: file.name,
+      bank: profile.id,
+      headers: rows[headerIndex] || [],
+      rows: rows.slice(headerIndex + 1),
+      periodText: rows.slice(0, headerIndex).flat().join(' ')
+    };
+  },
+
+  guessMapping(preview) {
+    const mapping = { bank: preview.bank, date: '', description: '', amount: '', debit: '', credit: '', balance: '' };
+    Object.entries(CSV_FIELD_ALIASES).forEach(([field, aliases]) => {
+      const header = preview.headers.find(h => aliases.includes(h.toLowerCase()));
+      if (header) mapping[field] = header;
+    });
+    return mapping;
+  },
+
+  isMappingComplete(mapping) {
+    return Boolean(mapping.date && mapping.description && (mapping.amount || mapping.debit || mapping.credit));
+  },
+
+  async loadSavedMappings() {
+    try {
+      return await LocalStore.getSetting('csvColumnMappings', {});
+    } catch (error) {
+      console.error('Could not load saved CSV mappings:', error);
+      return {};
+    }
+  },
+
+  async saveMapping(mapping) {
+    const saved = await this.loadSavedMappings();
+    saved[mapping.bank] = mapping;
+    await LocalStore.setSetting('csvColumnMappings', saved);
+    console.log(`💾 Saved CSV column mapping for ${BANK_PROFILES[mapping.bank].name}`);
+  },
+
+  // A saved mapping only applies when every column it names is in this file
+  async findSavedMapping(preview) {
+    const mapping = (await this.loadSavedMappings())[preview.bank];
+    if (!mapping) return null;
+
+    const fields = ['date', 'description', 'amount', 'debit', 'credit', 'balance'];
+    const fits = fields.every(field => !mapping[field] || preview.headers.includes(mapping[field]));
+    return fits ? mapping : null;
+  },
+
+  parsePreview(preview, mapping) {
+    const column = field => (mapping[field] ? preview.headers.indexOf(mapping[field]) : -1);
+    const cols = {
+      date: column('date'),
+      description: column('description'),
+      amount: column('amount'),
+      debit: column('debit'),
+      credit: column('credit'),
+      balance: column('balance')
+    };
+    const period = StatementPeriodDetector.detectPeriod([{ textItems: [{ text: preview.periodText }] }]);
+    const amountColumns = [cols.amount, cols.debit, cols.credit, cols.balance].filter(col => col !== -1);
+    const format = BANK_PROFILES[mapping.bank].amountFormat ||
+      PatternDetector.detectAmountFormat(preview.rows.flatMap(row => amountColumns.map(col => row[col] || '')));
+    const transactions = [];
+    const rejectedRows = [];
+
+    preview.rows.forEach((row, index) => {
+      const source = `CSV Row ${index + 1}`;
+      const dateCell = row[cols.date] || '';
+      if (!PatternDetector.isDate(dateCell) && isNaN(new Date(dateCell))) {
+        ExportRowBuilder.rejectRow(rejectedRows, source, row.join(', '), `No date in the ${mapping.date} column`);
+        return;
       }
-      
-      if (errors.length > 0) {
-        console.error('Parsing errors:', errors);
-        alert('Some files could not be parsed:\n' + errors.join('\n'));
+
+      let amount = cols.amount !== -1 ? ExportRowBuilder.readCell(row[cols.amount], format) : null;
+      if (!amount) {
+        const debit = cols.debit !== -1 ? ExportRowBuilder.readCell(row[cols.debit], format) : null;
+        const credit = cols.credit !== -1 ? ExportRowBuilder.readCell(row[cols.credit], format) : null;
+        if (debit) amount = -Math.abs(debit);
+        else if (credit) amount = Math.abs(credit);
       }
-      
-    } catch (error) {
-      console.error('Error processing files:', error);
-      alert('Error processing files: ' + error.message);
-    } finally {
-      setLoading(false);
+      if (amount === null || amount === 0) {
+        ExportRowBuilder.rejectRow(rejectedRows, source, row.join(', '), 'No amount found');
+        return;
+      }
+
+      transactions.push(ExportRowBuilder.buildTransaction({
+        date: dateCell,
+        description: row[cols.description],
+        amount,
+        balance: cols.balance !== -1 ? ExportRowBuilder.readCell(row[cols.balance], format) : null,
+        source,
+        rawData: row.join(', '),
+        bank: mapping.bank,
+        period
+      }));
+    });
+
+    console.log(`📄 CSV ${preview.fileName}: ${transactions.length} transactions`);
+    return ExportRowBuilder.finishStatement(preview.fileName, mapping.bank, transactions, {
+      period: period.start ? { start: period.start, end: period.end } : null,
+      accountInfo: AccountDetector.detectFromText(preview.periodText),
+      rejectedRows
+    });
+  }
+};
+
+// OFX Importer Module
+// Handles both SGML (OFX 1.x, unclosed tags) and XML (OFX 2.x) exports.
+const OFX_ACCOUNT_TYPES = {
+  CHECKING: 'cheque',
+  SAVINGS: 'savings',
+  MONEYMRKT: 'savings',
+  CREDITLINE: 'creditCard'
+};
+
+const OFXStatementImporter = {
+  readTag(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : null;
+  },
+
+  // OFX dates look like 20250105 or 20250105120000[+2:SAST]
+  readDate(value) {
+    if (!value || !/^\d{8}/.test(value)) return null;
+    return `${value.substring(0, 4)}-${value.substring(4, 6)}-${value.substring(6, 8)}`;
+  },
+
+  // Amounts may use a decimal comma ("-1234,56") but never group thousands
+  readAmount(value) {
+    return value ? parseFloat(value.replace(',', '.')) : NaN;
+  },
+
+  // Credit card exports use CCACCTFROM, which has no ACCTTYPE
+  readAccount(text) {
+    const number = this.readTag(text, 'ACCTID');
+    const accountType = (this.readTag(text, 'ACCTTYPE') || '').toUpperCase();
+    let type = OFX_ACCOUNT_TYPES[accountType] || null;
+    if (/<CCACCTFROM>/i.test(text)) type = 'creditCard';
+
+    return { number: number ? AccountDetector.normalizeNumber(number) : null, type, holder: null };
+  },
+
+  async parseFile(file) {
+    const text = await file.text();
+    const profile = BankProfileDetector.detectBank(`${file.name} ${this.readTag(text, 'ORG') || ''}`);
+    const blocks = text.split(/<STMTTRN>/i).slice(1);
+
+    const transactions = [];
+    const rejectedRows = [];
+    blocks.forEach((block, index) => {
+      const body = block.split(/<\/STMTTRN>/i)[0];
+      const date = this.readDate(this.readTag(body, 'DTPOSTED'));
+      const amount = this.readAmount(this.readTag(body, 'TRNAMT'));
+      if (!date || isNaN(amount) || amount === 0) {
+        const reason = !date ? 'No DTPOSTED date' : 'No TRNAMT amount';
+        ExportRowBuilder.rejectRow(rejectedRows, `OFX record ${index + 1}`, body.replace(/\s+/g, ' '), reason);
+        return;
+      }
+
+      const name = this.readTag(body, 'NAME') || '';
+      const memo = this.readTag(body, 'MEMO') || '';
+      transactions.push(ExportRowBuilder.buildTransaction({
+        date,
+        description: memo && memo !== name ? `${name} ${memo}` : name,
+        amount,
+        source: `OFX ${this.readTag(body, 'FITID') || `#${transactions.length + 1}`}`,
+        rawData: body.replace(/\s+/g, ' '),
+        bank: profile.id
+      }));
+    });
+
+    const ledger = text.split(/<LEDGERBAL>/i)[1];
+    const closingBalance = ledger ? this.readAmount(this.readTag(ledger, 'BALAMT')) : NaN;
+    const start = this.readDate(this.readTag(text, 'DTSTART'));
+    const end = this.readDate(this.readTag(text, 'DTEND'));
+
+    console.log(`📄 OFX ${file.name}: ${transactions.length} transactions`);
+    return ExportRowBuilder.finishStatement(file.name, profile.id, transactions, {
+      closingBalance: isNaN(closingBalance) ? null : closingBalance,
+      period: start && end ? { start, end } : null,
+      accountInfo: this.readAccount(text),
+      rejectedRows
+    });
+  }
+};
+
+// QIF Importer Module
+// Records are blocks of single-letter fields terminated by "^". SA banks
+// export day-first dates, sometimes with an apostrophe year ("5/01'25").
+const QIFStatementImporter = {
+  readDate(value) {
+    const match = value.trim().match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-]|'\s*)(\d{2,4})$/);
+    if (!match) return value.trim();
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return `${match[1]}/${match[2]}/${year}`;
+  },
+
+  async parseFile(file) {
+    const text = await file.text();
+    const profile = BankProfileDetector.detectBank(file.name);
+    const records = text.split(/^\^\s*$/m);
+    const format = profile.amountFormat || PatternDetector.detectAmountFormat(text.match(/^T.*$/gm) || []);
+
+    const transactions = [];
+    const rejectedRows = [];
+    records.forEach((record, index) => {
+      const fields = {};
+      record.split(/\r?\n/).forEach(line => {
+        if (line.length > 1 && !line.startsWith('!')) {
+          fields[line[0]] = fields[line[0]] ? `${fields[line[0]]} ${line.substring(1)}` : line.substring(1);
+        }
+      });
+      // The trailing record after the last "^" is empty
+      if (Object.keys(fields).length === 0) return;
+      const amount = fields.T ? PatternDetector.parseAmount(fields.T, format) : null;
+      if (!fields.D || amount === null) {
+        const reason = !fields.D ? 'No D (date) field' : 'No T (amount) field';
+        ExportRowBuilder.rejectRow(rejectedRows, `QIF record ${index + 1}`, record.replace(/\s+/g, ' '), reason);
+        return;
+      }
+
+      transactions.push(ExportRowBuilder.buildTransaction({
+        date: this.readDate(fields.D),
+        description: [fields.P, fields.M].filter(Boolean).join(' '),
+        amount,
+        source: `QIF #${transactions.length + 1}`,
+        rawData: record.replace(/\s+/g, ' '),
+        bank: profile.id
+      }));
+    });
+
+    // QIF carries no account number, only the "!Type:" of the register
+    const accountInfo = { number: null, type: /^!Type:CCard/im.test(text) ? 'creditCard' : null, holder: null };
+
+    console.log(`📄 QIF ${file.name}: ${transactions.length} transactions`);
+    return ExportRowBuilder.finishStatement(file.name, profile.id, transactions, { accountInfo, rejectedRows });
+  }
+};
+
+// Importer Registry
+// Picks an importer from the file extension or MIME type. Every importer
+// resolves to the same statement shape as BankStatementPDFParser.parseFile.
+const StatementImporterRegistry = {
+  importers: [
+    {
+      id: 'pdf',
+      name: 'PDF statement',
+      extensions: ['.pdf'],
+      mimeTypes: ['application/pdf'],
+      parse: (file, options) => PDFParserWorker.parse(file, options)
+    },
+    {
+      id: 'csv',
+      name: 'CSV export',
+      extensions: ['.csv'],
+      mimeTypes: ['text/csv', 'application/vnd.ms-excel'],
+      needsMapping: true,
+      preview: file => CSVStatementImporter.preview(file),
+      savedMapping: preview => CSVStatementImporter.findSavedMapping(preview),
+      guessMapping: preview => CSVStatementImporter.guessMapping(preview),
+      saveMapping: mapping => CSVStatementImporter.saveMapping(mapping),
+      parse: (file, { preview, mapping }) => CSVStatementImporter.parsePreview(preview, mapping)
+    },
+    {
+      id: 'ofx',
+      name: 'OFX/QFX export',
+      extensions: ['.ofx', '.qfx'],
+      mimeTypes: ['application/x-ofx', 'application/ofx'],
+      parse: file => OFXStatementImporter.parseFile(file)
+    },
+    {
+      id: 'qif',
+      name: 'QIF export',
+      extensions: ['.qif'],
+      mimeTypes: ['application/qif', 'application/x-qif'],
+      parse: file => QIFStatementImporter.parseFile(file)
     }
-  }, []);
+  ],
 
-  // Add manual entry
-  const addManualEntry = useCallback(() => {
-    if (!newEntry.date || !newEntry.description || !newEntry.amount) return;
-    
-    const entry = {
-      ...newEntry,
-      id: Date.now(),
-      amount: newEntry.type === 'expense' ? -Math.abs(parseFloat(newEntry.amount)) : Math.abs(parseFloat(newEntry.amount)),
-      isIncome: newEntry.type === 'income',
-      isManual: true
+  // Resolves to { statement } or, when the user must map columns first,
+  // to { needsMapping: true, preview, mapping } with a best-guess mapping
+  // passwords are remembered statement passwords to try on an encrypted PDF;
+  // the one that opened it is returned alongside the statement. onProgress
+  // receives page progress from importers that report it (PDF)
+  async importFile(file, { allowGuess = false, password = null, passwords = [], onProgress = null } = {}) {
+    const importer = this.findImporter(file);
+    if (!importer) {
+      throw new Error(`Unsupported file type: ${file.name}`);
+    }
+
+    if (!importer.needsMapping) {
+      return this.parseWithPasswords(importer, file, password ? [password] : [null, ...passwords], onProgress);
+    }
+
+    const preview = await importer.preview(file);
+    let mapping = await importer.savedMapping(preview);
+    if (!mapping && allowGuess) {
+      const guess = importer.guessMapping(preview);
+      mapping = CSVStatementImporter.isMappingComplete(guess) ? guess : null;
+    }
+    if (!mapping) {
+      return { needsMapping: true, preview, mapping: importer.guessMapping(preview) };
+    }
+    return { statement: await importer.parse(file, { preview, mapping }) };
+  },
+
+  // Tries each password in turn; if none opens the file the first password
+  // error is thrown, so a wrong remembered password still reads as "needs a password"
+  async parseWithPasswords(importer, file, passwords, onProgress = null) {
+    let firstError = null;
+    for (const password of passwords) {
+      try {
+        return { statement: await importer.parse(file, { password, onProgress }), password };
+      } catch (error) {
+        if (!error.passwordRequired) throw error;
+        firstError = firstError || error;
+      }
+    }
+    throw firstError;
+  },
+
+  // Turns an importer result into the stored statement record and its
+  // categorised transactions, each tagged with its statement and account
+  prepareStatement(file, { transactions: rawTransactions, rejectedRows, ...statement }, id, rules, accountId = null) {
+    const transactions = rawTransactions.map((t, index) => ({
+      ...TransactionCategorizer.processTransaction(t, rules),
+      id: `${id}-${index}`,
+      statementId: id,
+      accountId
+    }));
+
+    return {
+      record: {
+        ...statement,
+        id,
+        accountId,
+        file,
+        parserVersion: PARSER_VERSION,
+        transactionCount: transactions.length,
+        outsidePeriodCount: transactions.filter(t => t.outsidePeriod).length,
+        ocrReviewCount: transactions.filter(t => OCRExtractor.needsReview(t)).length
+      },
+      transactions
     };
-    
-    setManualEntries(prev => [...prev, entry]);
-    setNewEntry({
-      date: '',
-      description: '',
-      amount: '',
-      type: 'expense',
-      category: 'Other'
+  },
+
+  // Adds confirmed statements to the workspace ({ accounts, statements,
+  // transactions }). A re-parse names the stored statement it replaces: the
+  // new one keeps its id, account and place in the list, and its old
+  // transactions are dropped rather than flagged as duplicates.
+  addStatements(workspace, parsed, rules, stamp = Date.now()) {
+    let accounts = workspace.accounts;
+    const added = [];
+    const replacedIds = new Set();
+    const records = parsed.map(({ file, statement, replaces = null }, index) => {
+      const previous = replaces ? workspace.statements.find(s => s.id === replaces) : null;
+      let accountId = previous ? previous.accountId : null;
+      if (!accountId) {
+        // Older records have no account yet
+        const resolved = AccountRegistry.resolve(accounts, statement);
+        accounts = resolved.accounts;
+        accountId = resolved.account.id;
+      }
+      if (previous) replacedIds.add(previous.id);
+      const { record, transactions } = this.prepareStatement(
+        file, statement, previous ? previous.id : `${stamp}-${index}`, rules, accountId
+      );
+      added.push(...transactions);
+      console.log(`✅ Successfully processed ${transactions.length} transactions from ${file.name}`);
+      return record;
     });
-  }, [newEntry]);
 
-  const deleteManualEntry = useCallback((id) => {
-    setManualEntries(prev => prev.filter(entry => entry.id !== id));
-  }, []);
+    const kept = workspace.transactions.filter(t => !replacedIds.has(t.statementId));
+    return {
+      accounts,
+      records,
+      added,
+      statements: [
+        ...workspace.statements.map(s => (replacedIds.has(s.id) ? records.find(record => record.id === s.id) : s)),
+        ...records.filter(record => !replacedIds.has(record.id))
+      ],
+      transactions: TransferDetector.detect(DuplicateDetector.detect([...kept, ...added]))
+    };
+  },
 
-  // Analytics calculations
-  const analytics = useMemo(() => {
-    const allTransactions = [...transactions, ...manualEntries];
-    const filteredTransactions = allTransactions.filter(t => {
-      if (!dateRange.start || !dateRange.end) return true;
-      const transDate = new Date(t.date);
-      return transDate >= new Date(dateRange.start) && transDate <= new Date(dateRange.end);
+  register(importer) {
+    this.importers = [...this.importers.filter(i => i.id !== importer.id), importer];
+  },
+
+  findImporter(file) {
+    const name = file.name.toLowerCase();
+    return this.importers.find(i => i.extensions.some(ext => name.endsWith(ext))) ||
+      this.importers.find(i => i.mimeTypes.includes(file.type)) ||
+      null;
+  },
+
+  acceptAttribute() {
+    return this.importers.flatMap(i => i.extensions).join(',');
+  }
+};
+
+// Account Registry
+// Statements are matched to a known account by bank and account number. Exports
+// without a number fall back to the bank's only unnumbered account of that type.
+const AccountRegistry = {
+  createAccount({ bank, number = null, type = null, holder = null }) {
+    return {
+      id: `acc-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+      bank,
+      number,
+      type: type || 'cheque',
+      holder: holder || '',
+      name: ''
+    };
+  },
+
+  label(account) {
+    if (!account) return 'Unassigned';
+    if (account.name) return account.name;
+    const parts = [BANK_PROFILES[account.bank] ? BANK_PROFILES[account.bank].name : account.bank, ACCOUNT_TYPES[account.type]];
+    if (account.number) parts.push(`…${account.number.slice(-4)}`);
+    return parts.join(' ');
+  },
+
+  // Resolves to the statement's account and the account list, with the account added if new
+  resolve(accounts, { bank, accountInfo }) {
+    const info = accountInfo || {};
+    const existing = accounts.find(a => a.bank === bank && (info.number
+      ? a.number === info.number
+      : !a.number && a.type === (info.type || 'cheque')));
+
+    if (!existing) {
+      const account = this.createAccount({ bank, ...info });
+      console.log(`👤 New account: ${this.label(account)}`);
+      return { account, accounts: [...accounts, account] };
+    }
+
+    const account = { ...existing, holder: existing.holder || info.holder || '' };
+    return { account, accounts: accounts.map(a => (a.id === account.id ? account : a)) };
+  },
+
+  holders(accounts) {
+    return [...new Set(accounts.map(a => a.holder).filter(Boolean))].sort();
+  },
+
+  // Filter values are "account:<id>" or "holder:<name>"; null means every account
+  filterIds(accounts, filter) {
+    if (!filter) return null;
+    const [kind, ...rest] = filter.split(':');
+    const value = rest.join(':');
+    if (kind === 'account') return [value];
+    return accounts.filter(a => a.holder === value).map(a => a.id);
+  },
+
+  // Latest known balance per account: the closing balance of its newest
+  // statement, or the newest running balance printed beside a transaction
+  balances(accounts, statements, transactions) {
+    return accounts.map(account => {
+      let latest = null;
+      const consider = (date, balance) => {
+        if (date && balance !== null && balance !== undefined && (!latest || date >= latest.asOf)) {
+          latest = { asOf: date, balance };
+        }
+      };
+
+      const accountTransactions = transactions.filter(t => t.accountId === account.id);
+      accountTransactions.forEach(t => consider(t.date, t.balance));
+      statements
+        .filter(s => s.accountId === account.id)
+        .forEach(s => {
+          const lastDate = accountTransactions
+            .filter(t => t.statementId === s.id)
+            .reduce((max, t) => (t.date > max ? t.date : max), '');
+          consider(s.period ? s.period.end : lastDate, s.closingBalance);
+        });
+
+      return { account, balance: latest ? latest.balance : null, asOf: latest ? latest.asOf : null };
     });
+  }
+};
 
-    const relevantTransactions = filteredTransactions.filter(t => !t.isTransfer);
+// ============================================================================
+// IMPORT REVIEW - parsed rows are accepted, fixed or rejected before import
+// ============================================================================
 
-    const income = relevantTransactions
-      .filter(t => t.isIncome)
-      .reduce((sum, t) => sum + t.amount, 0);
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-    const expenses = relevantTransactions
-      .filter(t => !t.isIncome && t.amount < 0)
-      .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+// One review per parsed file. Each row keeps the detected transaction next to
+// the user's edits (date, unsigned amount, sign); rejectedRows are the lines
+// the importer skipped, with the reason. Nothing is stored until toStatement.
+const ImportReview = {
+  create(id, file, statement, { password = null, replaces = null } = {}) {
+    return {
+      id,
+      file,
+      statement,
+      // A password to remember for the statement's account once it is imported
+      password,
+      // The stored statement a re-parse replaces once confirmed
+      replaces,
+      rows: statement.transactions.map((transaction, index) => this.createRow(String(index), transaction)),
+      rejectedRows: statement.rejectedRows || [],
+      showExpected: false
+    };
+  },
 
-    const categoryBreakdown = {};
-    
-    relevantTransactions.forEach(t => {
-      if (!t.isIncome && t.amount < 0) {
-        categoryBreakdown[t.category] = (categoryBreakdown[t.category] || 0) + Math.abs(t.amount);
+  createRow(key, transaction, edited = false) {
+    return {
+      key,
+      transaction,
+      accepted: true,
+      edited,
+      date: transaction.date || '',
+      amount: transaction.amount ? Math.abs(transaction.amount).toFixed(2) : '',
+      sign: transaction.amount >= 0 && transaction.amount !== 0 ? 'credit' : 'debit'
+    };
+  },
+
+  // changes is any of { accepted, date, amount, sign }
+  updateRow(review, key, changes) {
+    const edited = ['date', 'amount', 'sign'].some(field => field in changes);
+    return {
+      ...review,
+      rows: review.rows.map(row => (row.key === key ? { ...row, ...changes, edited: row.edited || edited } : row))
+    };
+  },
+
+  // Splits a row into two halves (to the cent) for the user to adjust, e.g. a
+  // card purchase that bundled cash back
+  splitRow(review, key) {
+    const index = review.rows.findIndex(row => row.key === key);
+    if (index === -1) return review;
+    const row = review.rows[index];
+    const cents = Math.round((parseFloat(row.amount) || 0) * 100);
+    const first = Math.ceil(cents / 2);
+    // The printed running balance belongs after the last part
+    const parts = [first, cents - first].map((partCents, part) => ({
+      ...this.createRow(`${key}.${part + 1}`, {
+        ...row.transaction,
+        balance: part === 0 ? null : row.transaction.balance,
+        source: `${row.transaction.source} (split ${part + 1})`
+      }, true),
+      date: row.date,
+      sign: row.sign,
+      amount: (partCents / 100).toFixed(2)
+    }));
+    return { ...review, rows: [...review.rows.slice(0, index), ...parts, ...review.rows.slice(index + 1)] };
+  },
+
+  // Turns a skipped line into a row the user completes by hand
+  restoreRejected(review, index) {
+    const rejected = review.rejectedRows[index];
+    if (!rejected) return review;
+    const { statement } = review;
+    const transaction = {
+      date: statement.period ? statement.period.start : '',
+      description: rejected.rawData.substring(0, 100),
+      amount: 0,
+      balance: null,
+      fee: null,
+      type: 'debit',
+      bank: statement.bank,
+      source: rejected.source,
+      rawData: rejected.rawData
+    };
+    return {
+      ...review,
+      rows: [...review.rows, this.createRow(`rejected-${rejected.source}`, transaction, true)],
+      rejectedRows: review.rejectedRows.filter((_, i) => i !== index)
+    };
+  },
+
+  rowError(row) {
+    if (!row.accepted) return null;
+    if (!ISO_DATE_PATTERN.test(row.date) || isNaN(new Date(row.date))) return 'Enter a valid date';
+    // The amount is unsigned; the debit/credit choice carries the direction
+    if (/^\s*[-+]/.test(row.amount)) return 'Leave out the sign and choose debit or credit';
+    if (!(parseFloat(row.amount) > 0)) return 'Enter an amount above zero';
+    return null;
+  },
+
+  hasErrors(review) {
+    return review.rows.some(row => this.rowError(row) !== null);
+  },
+
+  // Edited rows count as checked, so OCR rows the user fixed are no longer flagged
+  toTransaction(row, period) {
+    const value = Math.abs(parseFloat(row.amount));
+    const amount = row.sign === 'credit' ? value : -value;
+    return {
+      ...row.transaction,
+      date: row.date,
+      outsidePeriod: StatementPeriodDetector.isOutsidePeriod(row.date, period),
+      amount,
+      type: row.sign,
+      ...(row.edited && { reviewed: true })
+    };
+  },
+
+  // The statement as it will be imported, re-reconciled against the edits
+  toStatement(review) {
+    const { rejectedRows, ...statement } = review.statement;
+    const transactions = review.rows
+      .filter(row => row.accepted)
+      .map(row => this.toTransaction(row, statement.period));
+    return { ...statement, ...StatementReconciler.reconcile({ ...statement, transactions }) };
+  }
+};
+
+// ============================================================================
+// LOCAL PERSISTENCE - IndexedDB workspace store
+// ============================================================================
+
+const DB_NAME = 'household-pnl';
+const DB_VERSION = 5;
+
+// Bump when parsing changes enough that stored statements are worth re-parsing
+const PARSER_VERSION = 2;
+
+// Gives saved default rules their new subcategories and adds the new default
+// rules and subcategories, leaving anything the user changed as it is. When
+// one upgrade runs several of these migrations they share a single read and
+// write, as a second read would be queued before the first write.
+const pendingDefaultRuleIds = new WeakMap();
+
+const upgradeDefaultSettings = (transaction, newRuleIds) => {
+  if (pendingDefaultRuleIds.has(transaction)) {
+    pendingDefaultRuleIds.get(transaction).push(...newRuleIds);
+    return;
+  }
+  pendingDefaultRuleIds.set(transaction, [...newRuleIds]);
+
+  const settings = transaction.objectStore('settings');
+  const defaultRules = CategoryRuleEngine.defaultRules();
+
+  const rulesRequest = settings.get('categoryRules');
+  rulesRequest.onsuccess = () => {
+    if (!rulesRequest.result) return;
+    const saved = rulesRequest.result.value;
+    const upgraded = saved.map(rule => {
+      const fallback = defaultRules.find(d => d.id === rule.id && d.pattern === rule.pattern);
+      return fallback && !rule.subcategory ? { ...rule, subcategory: fallback.subcategory } : rule;
+    });
+    const ruleIds = pendingDefaultRuleIds.get(transaction);
+    const added = defaultRules.filter(d => ruleIds.includes(d.id) && !saved.some(rule => rule.id === d.id));
+    settings.put({ key: 'categoryRules', value: [...upgraded, ...added] });
+  };
+
+  const categoriesRequest = settings.get('categories');
+  categoriesRequest.onsuccess = () => {
+    if (!categoriesRequest.result) return;
+    const saved = categoriesRequest.result.value;
+    const missing = DEFAULT_CATEGORIES.filter(c => c.parent &&
+      saved.some(s => s.name === c.parent && !s.parent) &&
+      !saved.some(s => s.name === c.name && s.parent === c.parent));
+    settings.put({ key: 'categories', value: [...saved, ...missing] });
+  };
+};
+
+// DB_MIGRATIONS[n] upgrades the database from version n to version n + 1
+const DB_MIGRATIONS = [
+  (db) => {
+    db.createObjectStore('transactions', { keyPath: 'id' });
+    db.createObjectStore('manualEntries', { keyPath: 'id' });
+    db.createObjectStore('statements', { keyPath: 'id' });
+    const settings = db.createObjectStore('settings', { keyPath: 'key' });
+
+    // CSV column mappings were kept in localStorage before the database existed
+    try {
+      const legacyMappings = localStorage.getItem(CSV_MAPPING_STORAGE_KEY);
+      if (legacyMappings) {
+        settings.put({ key: 'csvColumnMappings', value: JSON.parse(legacyMappings) });
+        localStorage.removeItem(CSV_MAPPING_STORAGE_KEY);
       }
+    } catch (error) {
+      console.error('Could not migrate saved CSV mappings:', error);
+    }
+  },
+  // Statements saved before this version have no account until re-parsed or assigned
+  (db) => {
+    db.createObjectStore('accounts', { keyPath: 'id' });
+  },
+  // Saved default rules and categories gain the subcategories the tax engine reads
+  (db, transaction) => upgradeDefaultSettings(transaction, ['default-Income-0']),
+  // ...and the salary rule that separates PAYE income for provisional tax
+  (db, transaction) => upgradeDefaultSettings(transaction, ['default-Income-1']),
+  // Encrypted statement passwords and the device key; never part of a backup
+  (db) => {
+    db.createObjectStore('secrets', { keyPath: 'key' });
+  }
+];
+
+const LocalStore = {
+  dbPromise: null,
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          for (let version = event.oldVersion; version < DB_VERSION; version++) {
+            console.log(`🗄️ Migrating local database to version ${version + 1}`);
+            DB_MIGRATIONS[version](db, request.transaction);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  },
+
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const result = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+
+  getAll(storeName) {
+    return this.run(storeName, 'readonly', store => store.getAll());
+  },
+
+  // Stores mirror React state, so a save replaces the store contents wholesale
+  replaceAll(storeName, items) {
+    return this.run(storeName, 'readwrite', store => {
+      store.clear();
+      items.forEach(item => store.put(item));
     });
+  },
+
+  async getSetting(key, fallback = null) {
+    const record = await this.run('settings', 'readonly', store => store.get(key));
+    return record ? record.value : fallback;
+  },
+
+  setSetting(key, value) {
+    return this.run('settings', 'readwrite', store => store.put({ key, value }));
+  },
+
+  settingsToMap(records) {
+    return Object.fromEntries(records.map(record => [record.key, record.value]));
+  },
+
+  async loadWorkspace() {
+    const [transactions, manualEntries, statements, accounts, settings] = await Promise.all([
+      this.getAll('transactions'),
+      this.getAll('manualEntries'),
+      this.getAll('statements'),
+      this.getAll('accounts'),
+      this.getAll('settings')
+    ]);
+    console.log(`🗄️ Loaded ${accounts.length} accounts, ${statements.length} statements, ${transactions.length} transactions and ${manualEntries.length} manual entries`);
+    return { transactions, manualEntries, statements, accounts, settings: this.settingsToMap(settings) };
+  }
+};
+
+// Secret Store
+// Values are encrypted with an AES-GCM key generated in this browser as
+// non-extractable, so the stored ciphertext is useless anywhere else.
+const SecretStore = {
+  keyPromise: null,
+
+  deviceKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = (async () => {
+        const record = await LocalStore.run('secrets', 'readonly', store => store.get('deviceKey'));
+        if (record) return record.value;
+        const key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        await LocalStore.run('secrets', 'readwrite', store => store.put({ key: 'deviceKey', value: key }));
+        return key;
+      })();
+    }
+    return this.keyPromise;
+  },
+
+  async get(name, fallback = null) {
+    const record = await LocalStore.run('secrets', 'readonly', store => store.get(name));
+    if (!record) return fallback;
+    const key = await this.deviceKey();
+    const plaintext = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.value.iv }, key, record.value.data);
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  },
+
+  async set(name, value) {
+    const key = await this.deviceKey();
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const data = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return LocalStore.run('secrets', 'readwrite', store => store.put({ key: name, value: { iv, data } }));
+  }
+};
+
+// Statement Password Module
+// Remembered PDF passwords, one per account. The account is only known once
+// the file is open, so every remembered password is tried on a new file.
+const StatementPasswords = {
+  list() {
+    return SecretStore.get('statementPasswords', []);
+  },
+
+  async remember(accountId, password) {
+    const saved = await this.list();
+    const next = [...saved.filter(entry => entry.accountId !== accountId), { accountId, password }];
+    await SecretStore.set('statementPasswords', next);
+    return next;
+  },
+
+  async forget(accountId) {
+    const next = (await this.list()).filter(entry => entry.accountId !== accountId);
+    await SecretStore.set('statementPasswords', next);
+    return next;
+  },
+
+  passwordsToTry(saved) {
+    return [...new Set(saved.map(entry => entry.password))];
+  },
+
+  // The bank can only be guessed from the file name before the PDF is open
+  hintFor(fileName) {
+    const name = fileName.replace(/[^a-z0-9.]+/gi, ' ');
+    const profile = Object.values(BANK_PROFILES).find(p => p.identifiers.some(pattern => pattern.test(name)));
+    return profile ? `${profile.name}: ${profile.passwordHint}` : BANK_PROFILES.generic.passwordHint;
+  }
+};
+
+// ============================================================================
+// WORKSPACE BACKUP - passphrase-encrypted export and restore
+// ============================================================================
+
+const BACKUP_FORMAT = 'household-pnl-backup';
+const BACKUP_VERSION = 2;
+const BACKUP_KDF_ITERATIONS = 250000;
+
+const WorkspaceBackup = {
+  toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  },
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  },
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await window.crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return window.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  // Statement files stay on this device; only their parsed records are exported
+  async buildPayload({ transactions, manualEntries, statements, accounts }) {
+    const settings = await LocalStore.getAll('settings');
+    return {
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      transactions,
+      manualEntries,
+      statements: statements.map(({ file, ...statement }) => ({ ...statement, file: null })),
+      accounts,
+      settings
+    };
+  },
+
+  async exportWorkspace(workspace, passphrase) {
+    const payload = await this.buildPayload(workspace);
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.deriveKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+    const ciphertext = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(payload))
+    );
+
+    const envelope = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: payload.exportedAt,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: this.toBase64(salt) },
+      cipher: { name: 'AES-GCM', iv: this.toBase64(iv) },
+      data: this.toBase64(ciphertext)
+    };
+
+    console.log(`🔐 Exported workspace: ${payload.transactions.length} transactions, ${payload.manualEntries.length} manual entries`);
+    return new Blob([JSON.stringify(envelope)], { type: 'application/json' });
+  },
+
+  async readBackup(file, passphrase) {
+    let envelope;
+    try {
+      envelope = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error('This is not a workspace backup file');
+    }
+
+    if (envelope.format !== BACKUP_FORMAT) {
+      throw new Error('This is not a workspace backup file');
+    }
+    if (!Number.isInteger(envelope.version) || envelope.version > BACKUP_VERSION) {
+      throw new Error(`Backup version ${envelope.version} was made by a newer version of the app`);
+    }
+
+    const key = await this.deriveKey(passphrase, this.fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+    let plaintext;
+    try {
+      plaintext = await window.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(envelope.cipher.iv) }, key, this.fromBase64(envelope.data)
+      );
+    } catch (error) {
+      throw new Error('Wrong passphrase, or the backup file is damaged');
+    }
+
+    const payload = JSON.parse(new TextDecoder().decode(plaintext));
+    // Version 1 backups were made before accounts existed
+    if (envelope.version < 2) payload.accounts = [];
+    ['transactions', 'manualEntries', 'statements', 'accounts', 'settings'].forEach(field => {
+      if (!Array.isArray(payload[field])) {
+        throw new Error(`Backup is missing its ${field}`);
+      }
+    });
+    return payload;
+  },
+
+  // Merge keeps local settings where both sides have a value and keeps records
+  // by id, so restoring the same backup twice is harmless
+  mergeWorkspace(current, backup) {
+    const statementIds = new Set(current.statements.map(s => s.id));
+    const settingKeys = new Set(current.settings.map(s => s.key));
+
+    // The same account gets a different id on each device, so match on bank and number too
+    const accountIdMap = {};
+    const newAccounts = backup.accounts.filter(account => {
+      const match = current.accounts.find(a => a.id === account.id ||
+        (account.number && a.bank === account.bank && a.number === account.number));
+      if (match) accountIdMap[account.id] = match.id;
+      return !match;
+    });
+    const remapAccount = item => (accountIdMap[item.accountId] ? { ...item, accountId: accountIdMap[item.accountId] } : item);
+
+    return {
+      transactions: TransferDetector.detect(DuplicateDetector.detect(
+        DuplicateDetector.mergeById(current.transactions, backup.transactions.map(remapAccount))
+      )),
+      manualEntries: DuplicateDetector.mergeById(current.manualEntries, backup.manualEntries.map(remapAccount)),
+      statements: [...current.statements, ...backup.statements.filter(s => !statementIds.has(s.id)).map(remapAccount)],
+      accounts: [...current.accounts, ...newAccounts],
+      settings: [...current.settings, ...backup.settings.filter(s => !settingKeys.has(s.key))]
+    };
+  },
+
+  async restoreWorkspace(current, backup, mode) {
+    const settings = await LocalStore.getAll('settings');
+    const restored = mode === 'merge'
+      ? this.mergeWorkspace({ ...current, settings }, backup)
+      : backup;
+
+    await LocalStore.replaceAll('settings', restored.settings);
+    console.log(`🔐 Restored workspace (${mode}): ${restored.transactions.length} transactions`);
+    return restored;
+  }
+};
+
+// ============================================================================
+// SOUTH AFRICAN TAX - versioned tax tables and the individual tax engine
+// ============================================================================
+
+// Brackets are { min, max, rate, baseAmount }: tax is baseAmount plus rate on
+// income above min. 2024/25 and 2025/26 kept the 2023/24 brackets, rebates
+// and medical credits without an inflation adjustment.
+const TAX_BRACKETS_2022_23 = [
+  { min: 0, max: 226000, rate: 0.18, baseAmount: 0 },
+  { min: 226000, max: 353100, rate: 0.26, baseAmount: 40680 },
+  { min: 353100, max: 488700, rate: 0.31, baseAmount: 73726 },
+  { min: 488700, max: 641400, rate: 0.36, baseAmount: 115762 },
+  { min: 641400, max: 817600, rate: 0.39, baseAmount: 170734 },
+  { min: 817600, max: 1731600, rate: 0.41, baseAmount: 239452 },
+  { min: 1731600, max: Infinity, rate: 0.45, baseAmount: 614192 }
+];
+
+const TAX_BRACKETS_2023_24 = [
+  { min: 0, max: 237100, rate: 0.18, baseAmount: 0 },
+  { min: 237100, max: 370500, rate: 0.26, baseAmount: 42678 },
+  { min: 370500, max: 512800, rate: 0.31, baseAmount: 77362 },
+  { min: 512800, max: 673000, rate: 0.36, baseAmount: 121475 },
+  { min: 673000, max: 857900, rate: 0.39, baseAmount: 179147 },
+  { min: 857900, max: 1817000, rate: 0.41, baseAmount: 251258 },
+  { min: 1817000, max: Infinity, rate: 0.45, baseAmount: 644489 }
+];
+
+const TAX_TABLE_2023_24 = {
+  label: '2023/24',
+  brackets: TAX_BRACKETS_2023_24,
+  rebates: { primary: 17235, secondary: 9444, tertiary: 3145 },
+  thresholds: { under65: 95750, age65to74: 148217, age75plus: 165689 },
+  medicalCredits: { main: 364, additional: 246 },
+  interestExemption: { under65: 23800, age65plus: 34500 },
+  retirementFunds: { rate: 0.275, cap: 350000 }
+};
+
+// Keyed by the calendar year in which the tax year (1 March - end February) ends
+const TAX_TABLES = {
+  2023: {
+    label: '2022/23',
+    brackets: TAX_BRACKETS_2022_23,
+    rebates: { primary: 16425, secondary: 9000, tertiary: 2997 },
+    thresholds: { under65: 91250, age65to74: 141250, age75plus: 157900 },
+    medicalCredits: { main: 347, additional: 234 },
+    interestExemption: { under65: 23800, age65plus: 34500 },
+    retirementFunds: { rate: 0.275, cap: 350000 }
+  },
+  2024: TAX_TABLE_2023_24,
+  2025: { ...TAX_TABLE_2023_24, label: '2024/25' },
+  2026: { ...TAX_TABLE_2023_24, label: '2025/26' }
+};
+
+// Subcategories the tax engine reads its deductible inputs from
+const TAX_SUBCATEGORIES = {
+  interest: { category: 'Income', subcategory: 'Interest' },
+  medicalAid: { category: 'Medical', subcategory: 'Medical aid' },
+  retirementAnnuity: { category: 'Investment', subcategory: 'Retirement annuity' }
+};
+
+// Inputs shown on the Tax Analysis tab, each pre-filled by TaxEngine.prefill
+const TAX_INPUT_FIELDS = [
+  { key: 'grossIncome', label: 'Income (excluding interest)' },
+  { key: 'localInterest', label: 'Local interest received' },
+  { key: 'retirementContributions', label: 'Retirement annuity contributions' },
+  { key: 'medicalSchemeFees', label: 'Medical scheme fees' },
+  { key: 'otherMedicalExpenses', label: 'Out-of-pocket medical expenses' },
+  { key: 'medicalMonths', label: 'Months on a medical scheme' }
+];
+
+const DEFAULT_TAX_PROFILE = {
+  dateOfBirth: '',
+  hasDisability: false,
+  medicalMembers: 1,
+  includeProjection: true,
+  overrides: {}            // tax year -> { field: value typed by the user }
+};
+
+const TaxEngine = {
+  taxYearFor(isoDate) {
+    const year = parseInt(isoDate.substring(0, 4), 10);
+    return parseInt(isoDate.substring(5, 7), 10) >= 3 ? year + 1 : year;
+  },
+
+  taxYearRange(taxYear) {
+    return {
+      start: `${taxYear - 1}-03-01`,
+      end: PatternDetector.toISODate(new Date(taxYear, 2, 0))
+    };
+  },
+
+  // Years without a table yet fall back to the nearest one that exists
+  tableFor(taxYear) {
+    if (TAX_TABLES[taxYear]) return { table: TAX_TABLES[taxYear], isFallback: false };
+    const years = Object.keys(TAX_TABLES).map(Number).sort((a, b) => a - b);
+    const nearest = taxYear > years[years.length - 1] ? years[years.length - 1] : years[0];
+    return { table: TAX_TABLES[nearest], isFallback: true };
+  },
+
+  // SARS uses the taxpayer's age on the last day of the tax year
+  ageAtYearEnd(dateOfBirth, taxYear) {
+    if (!dateOfBirth) return null;
+    const end = this.taxYearRange(taxYear).end;
+    const age = parseInt(end.substring(0, 4), 10) - parseInt(dateOfBirth.substring(0, 4), 10);
+    return end.substring(5) < dateOfBirth.substring(5) ? age - 1 : age;
+  },
+
+  bracketTax(taxableIncome, brackets) {
+    if (taxableIncome <= 0) return 0;
+    const bracket = brackets.find(b => taxableIncome <= b.max) || brackets[brackets.length - 1];
+    return bracket.baseAmount + (taxableIncome - bracket.min) * bracket.rate;
+  },
+
+  marginalRate(taxableIncome, brackets) {
+    return (brackets.find(b => taxableIncome <= b.max) || brackets[brackets.length - 1]).rate;
+  },
+
+  rebates(table, age) {
+    return {
+      primary: table.rebates.primary,
+      secondary: age >= 65 ? table.rebates.secondary : 0,
+      tertiary: age >= 75 ? table.rebates.tertiary : 0
+    };
+  },
+
+  threshold(table, age) {
+    if (age >= 75) return table.thresholds.age75plus;
+    if (age >= 65) return table.thresholds.age65to74;
+    return table.thresholds.under65;
+  },
+
+  // Section 6A: a fixed monthly credit for the taxpayer and first dependant,
+  // and a smaller one for each further person on the scheme
+  medicalSchemeFeesCredit(table, members, months) {
+    if (members < 1 || months < 1) return 0;
+    const { main, additional } = table.medicalCredits;
+    const monthly = main * Math.min(members, 2) + additional * Math.max(members - 2, 0);
+    return monthly * Math.min(months, 12);
+  },
+
+  // Section 6B: fees above a multiple of the 6A credit plus out-of-pocket costs.
+  // Under 65 without a disability only the part above 7.5% of taxable income counts.
+  additionalMedicalCredit({ medicalSchemeFees, otherMedicalExpenses, schemeFeesCredit, taxableIncome, age, hasDisability }) {
+    if (age >= 65 || hasDisability) {
+      return (Math.max(0, medicalSchemeFees - 3 * schemeFeesCredit) + otherMedicalExpenses) * 0.333;
+    }
+    const qualifying = Math.max(0, medicalSchemeFees - 4 * schemeFeesCredit) + otherMedicalExpenses - 0.075 * taxableIncome;
+    return Math.max(0, qualifying) * 0.25;
+  },
+
+  // Section 11F: contributions up to 27.5% of income, capped per year
+  retirementDeduction(table, contributions, income) {
+    const { rate, cap } = table.retirementFunds;
+    return Math.max(0, Math.min(contributions, rate * income, cap));
+  },
+
+  calculate(inputs, taxYear) {
+    const {
+      grossIncome = 0,
+      localInterest = 0,
+      retirementContributions = 0,
+      medicalSchemeFees = 0,
+      otherMedicalExpenses = 0,
+      medicalMembers = 1,
+      medicalMonths = 0,
+      age = null,
+      hasDisability = false
+    } = inputs;
+    const { table, isFallback } = this.tableFor(taxYear);
+    const taxAge = age === null ? 0 : age;
+
+    const interestExemption = Math.min(
+      Math.max(localInterest, 0),
+      taxAge >= 65 ? table.interestExemption.age65plus : table.interestExemption.under65
+    );
+    const incomeBeforeRetirement = Math.max(0, grossIncome + localInterest - interestExemption);
+    const retirementDeduction = this.retirementDeduction(table, retirementContributions, incomeBeforeRetirement);
+    const taxableIncome = Math.max(0, incomeBeforeRetirement - retirementDeduction);
+
+    const normalTax = this.bracketTax(taxableIncome, table.brackets);
+    const rebates = this.rebates(table, taxAge);
+    const totalRebates = rebates.primary + rebates.secondary + rebates.tertiary;
+    const taxAfterRebates = Math.max(0, normalTax - totalRebates);
+
+    const schemeFeesCredit = this.medicalSchemeFeesCredit(table, medicalMembers, medicalMonths);
+    const additionalMedicalCredit = this.additionalMedicalCredit({
+      medicalSchemeFees, otherMedicalExpenses, schemeFeesCredit, taxableIncome, age: taxAge, hasDisability
+    });
+    // Medical credits can reduce tax to nil but are not refunded
+    const medicalCredits = Math.min(taxAfterRebates, schemeFeesCredit + additionalMedicalCredit);
+    const taxPayable = taxAfterRebates - medicalCredits;
+
+    return {
+      taxYear,
+      table,
+      isFallback,
+      grossIncome,
+      localInterest,
+      interestExemption,
+      retirementContributions,
+      retirementDeduction,
+      retirementCapped: retirementDeduction < retirementContributions,
+      taxableIncome,
+      threshold: this.threshold(table, taxAge),
+      normalTax,
+      rebates,
+      totalRebates,
+      schemeFeesCredit,
+      additionalMedicalCredit,
+      medicalCredits,
+      taxPayable,
+      effectiveRate: grossIncome + localInterest > 0 ? taxPayable / (grossIncome + localInterest) : 0,
+      marginalRate: taxableIncome > 0 ? this.marginalRate(taxableIncome, table.brackets) : 0
+    };
+  },
+
+  isIn(transaction, { category, subcategory }) {
+    return transaction.category === category && transaction.subcategory === subcategory;
+  },
+
+  // Deductible inputs for one tax year from categorised transactions
+  prefill(transactions, taxYear) {
+    const { start, end } = this.taxYearRange(taxYear);
+    const inYear = transactions.filter(t => t.date >= start && t.date <= end && !t.isTransfer && !t.isDuplicate);
+    const sum = items => items.reduce((total, t) => total + Math.abs(t.amount), 0);
+
+    const interest = inYear.filter(t => t.isIncome && this.isIn(t, TAX_SUBCATEGORIES.interest));
+    const medicalAid = inYear.filter(t => t.amount < 0 && this.isIn(t, TAX_SUBCATEGORIES.medicalAid));
+    const otherMedical = inYear.filter(t => t.amount < 0 && t.category === TAX_SUBCATEGORIES.medicalAid.category &&
+      !this.isIn(t, TAX_SUBCATEGORIES.medicalAid));
+    const retirement = inYear.filter(t => t.amount < 0 && this.isIn(t, TAX_SUBCATEGORIES.retirementAnnuity));
+
+    return {
+      grossIncome: sum(inYear.filter(t => t.isIncome)) - sum(interest),
+      localInterest: sum(interest),
+      retirementContributions: sum(retirement),
+      medicalSchemeFees: sum(medicalAid),
+      otherMedicalExpenses: sum(otherMedical),
+      medicalMonths: new Set(medicalAid.map(t => t.date.substring(0, 7))).size
+    };
+  },
+
+  // Figures to date for a tax year still in progress, plus a straight-line
+  // projection of the months after the last statement line at the average of
+  // the months since the first one (statements may start mid-year). Years that
+  // have ended are never projected; missing months there are coverage gaps.
+  projectYear(transactions, taxYear, today) {
+    const actual = this.prefill(transactions, taxYear);
+    const { start, end } = this.taxYearRange(taxYear);
+    const dates = transactions.map(t => t.date).filter(date => date >= start && date <= end).sort();
+    const through = dates.length > 0 ? dates[dates.length - 1] : null;
+    const monthsCovered = through ? ReportingPeriods.monthsBetween(dates[0], through).length : 0;
+    const monthsRemaining = through && end > today ? 12 - ReportingPeriods.monthsBetween(start, through).length : 0;
+
+    const projected = {};
+    TAX_INPUT_FIELDS.forEach(({ key }) => {
+      projected[key] = monthsRemaining > 0 ? (actual[key] / monthsCovered) * monthsRemaining : 0;
+    });
+    projected.medicalMonths = actual.medicalMonths > 0 ? monthsRemaining : 0;
+
+    const total = {};
+    TAX_INPUT_FIELDS.forEach(({ key }) => {
+      total[key] = actual[key] + projected[key];
+    });
+    total.medicalMonths = Math.min(12, total.medicalMonths);
+
+    return { actual, projected, total, through, monthsCovered, monthsRemaining };
+  },
+
+  // Statement figures (with the projection when asked for) overridden by any
+  // values the user typed, and the tax calculated on them
+  buildReport(transactions, taxYear, profile, today) {
+    const projection = this.projectYear(transactions, taxYear, today);
+    const prefilled = profile.includeProjection ? projection.total : projection.actual;
+    const overrides = profile.overrides[taxYear] || {};
+    const inputs = {
+      ...prefilled,
+      medicalMembers: parseInt(profile.medicalMembers, 10) || 0,
+      hasDisability: profile.hasDisability,
+      age: this.ageAtYearEnd(profile.dateOfBirth, taxYear)
+    };
+    Object.entries(overrides).forEach(([field, value]) => {
+      if (value !== '') inputs[field] = parseFloat(value) || 0;
+    });
+    return { projection, prefilled, overrides, inputs, result: this.calculate(inputs, taxYear) };
+  }
+};
+
+// Provisional Tax Module
+// IRP6 estimates for taxpayers with income that PAYE does not cover. Income
+// is split by source from the Income subcategories; SARS payments already made
+// are read from the Professional category.
+const INCOME_SOURCES = [
+  { subcategory: 'Salary', label: 'Salary (PAYE)', paye: true },
+  { subcategory: 'Freelance', label: 'Freelance / business', paye: false },
+  { subcategory: 'Rental', label: 'Rental', paye: false },
+  { subcategory: 'Interest', label: 'Interest', paye: false }
+];
+
+// Paragraph 20 of the Fourth Schedule: the second-period estimate must reach
+// 90% of actual taxable income (or the basic amount) up to R1 million, and
+// 80% of actual taxable income above that
+const PROVISIONAL_SAFE_HARBOUR = { limit: 1000000, rateUpToLimit: 0.9, rateAboveLimit: 0.8 };
+
+const SARS_PAYMENT_PATTERN = /\bSARS\b|\bprov(isional)?\s*tax\b|\bpersonal tax\b/i;
+
+const ProvisionalTaxEstimator = {
+  // First period ends on 31 August, the second on the last day of February
+  dueDates(taxYear) {
+    return { first: `${taxYear - 1}-08-31`, second: TaxEngine.taxYearRange(taxYear).end };
+  },
+
+  // Income per source for the tax year; untagged credits are treated as non-PAYE.
+  // scale stretches the figures to date over the whole year when projecting.
+  incomeBySource(transactions, taxYear, scale = 1) {
+    const { start, end } = TaxEngine.taxYearRange(taxYear);
+    const totals = Object.fromEntries(INCOME_SOURCES.map(source => [source.subcategory, 0]));
+    let untagged = 0;
+
+    transactions
+      .filter(t => t.isIncome && t.date >= start && t.date <= end && !t.isTransfer && !t.isDuplicate)
+      .forEach(t => {
+        if (t.subcategory in totals) totals[t.subcategory] += t.amount * scale;
+        else untagged += t.amount * scale;
+      });
+
+    const paye = INCOME_SOURCES.filter(s => s.paye).reduce((sum, s) => sum + totals[s.subcategory], 0);
+    return { totals, untagged, paye, nonPaye: Object.values(totals).reduce((a, b) => a + b, 0) - paye + untagged };
+  },
+
+  sarsPayments(transactions, taxYear) {
+    const { start, end } = TaxEngine.taxYearRange(taxYear);
+    return transactions.filter(t =>
+      t.amount < 0 && t.category === 'Professional' && t.date >= start && t.date <= end && SARS_PAYMENT_PATTERN.test(t.description)
+    );
+  },
+
+  safeHarbour(estimate, expectedTaxableIncome, basicAmount) {
+    const { limit, rateUpToLimit, rateAboveLimit } = PROVISIONAL_SAFE_HARBOUR;
+    const rate = expectedTaxableIncome > limit ? rateAboveLimit : rateUpToLimit;
+    const required = expectedTaxableIncome > limit
+      ? rate * expectedTaxableIncome
+      : Math.min(rate * expectedTaxableIncome, basicAmount || Infinity);
+    return { rate, required, ok: estimate >= required };
+  },
+
+  // report is the TaxEngine.buildReport result for the same tax year. PAYE,
+  // the basic amount and the IRP6 estimate come from the year's overrides, with
+  // defaults worked out from the statements.
+  estimate(transactions, taxYear, report, profile, today) {
+    const { projection } = report;
+    const scale = profile.includeProjection && projection.monthsCovered > 0
+      ? (projection.monthsCovered + projection.monthsRemaining) / projection.monthsCovered
+      : 1;
+    const sources = this.incomeBySource(transactions, taxYear, scale);
+
+    // PAYE on the salary alone, until the user enters the IRP5 figure
+    const payeEstimate = Math.max(0, TaxEngine.calculate({ ...report.inputs, grossIncome: sources.paye, localInterest: 0 }, taxYear).taxPayable);
+    const previousYear = TaxEngine.buildReport(transactions, taxYear - 1, { ...profile, includeProjection: false }, today);
+    const defaults = {
+      payeWithheld: payeEstimate,
+      basicAmount: previousYear.result.taxableIncome,
+      irp6Estimate: report.result.taxableIncome
+    };
+    const overrides = profile.overrides[taxYear] || {};
+    const inputs = { ...defaults };
+    Object.keys(defaults).forEach(field => {
+      if (overrides[field] !== undefined && overrides[field] !== '') inputs[field] = parseFloat(overrides[field]) || 0;
+    });
+
+    const annualTax = Math.max(0, report.result.taxPayable);
+    const dueDates = this.dueDates(taxYear);
+
+    // Half the year's tax less half the PAYE for the first period, the balance for the second
+    const firstPeriod = Math.max(0, annualTax / 2 - inputs.payeWithheld / 2);
+    const secondPeriod = Math.max(0, annualTax - inputs.payeWithheld - firstPeriod);
+
+    const payments = this.sarsPayments(transactions, taxYear);
+    const paidFirst = payments.filter(t => t.date <= dueDates.first).reduce((sum, t) => sum + Math.abs(t.amount), 0);
+    const paidSecond = payments.filter(t => t.date > dueDates.first).reduce((sum, t) => sum + Math.abs(t.amount), 0);
+    const overpaidFirst = Math.max(0, paidFirst - firstPeriod);
+
+    return {
+      sources,
+      defaults,
+      overrides,
+      inputs,
+      dueDates,
+      annualTax,
+      periods: [
+        { key: 'first', label: 'First period', dueDate: dueDates.first, due: firstPeriod, paid: paidFirst,
+          outstanding: Math.max(0, firstPeriod - paidFirst) },
+        { key: 'second', label: 'Second period', dueDate: dueDates.second, due: secondPeriod, paid: paidSecond,
+          outstanding: Math.max(0, secondPeriod - paidSecond - overpaidFirst) }
+      ],
+      payments,
+      safeHarbour: this.safeHarbour(inputs.irp6Estimate, report.result.taxableIncome, inputs.basicAmount)
+    };
+  }
+};
+
+// Reporting Period Module
+// Turns the dashboard's period choice into a date range and finds the months
+// in that range for which an account has no statement.
+const PERIOD_KINDS = [
+  { id: 'all', name: 'All dates' },
+  { id: 'taxYear', name: 'Tax year' },
+  { id: 'calendarYear', name: 'Calendar year' },
+  { id: 'quarter', name: 'Quarter' },
+  { id: 'rolling12', name: 'Rolling 12 months' },
+  { id: 'custom', name: 'Custom dates' }
+];
+
+const ReportingPeriods = {
+  defaultPeriod(today) {
+    return {
+      kind: 'all',
+      year: parseInt(today.substring(0, 4), 10),
+      taxYear: TaxEngine.taxYearFor(today),
+      quarter: Math.ceil(parseInt(today.substring(5, 7), 10) / 3),
+      start: '',
+      end: ''
+    };
+  },
+
+  // Resolves to { start, end, label }, or null for "all dates" and incomplete custom ranges
+  range(period, today) {
+    switch (period.kind) {
+      case 'taxYear':
+        return { ...TaxEngine.taxYearRange(period.taxYear), label: `${TAX_TABLES[period.taxYear] ? TAX_TABLES[period.taxYear].label : `${period.taxYear - 1}/${String(period.taxYear).substring(2)}`} tax year` };
+      case 'calendarYear':
+        return { start: `${period.year}-01-01`, end: `${period.year}-12-31`, label: `${period.year}` };
+      case 'quarter': {
+        const firstMonth = (period.quarter - 1) * 3 + 1;
+        return {
+          start: `${period.year}-${String(firstMonth).padStart(2, '0')}-01`,
+          end: PatternDetector.toISODate(new Date(period.year, firstMonth + 2, 0)),
+          label: `Q${period.quarter} ${period.year}`
+        };
+      }
+      case 'rolling12': {
+        const [year, month, day] = today.split('-').map(Number);
+        return { start: PatternDetector.toISODate(new Date(year - 1, month - 1, day + 1)), end: today, label: '12 months to today' };
+      }
+      case 'custom':
+        return period.start && period.end ? { start: period.start, end: period.end, label: `${period.start} to ${period.end}` } : null;
+      default:
+        return null;
+    }
+  },
+
+  contains(range, isoDate) {
+    return !range || (isoDate >= range.start && isoDate <= range.end);
+  },
+
+  monthsBetween(start, end) {
+    const months = [];
+    let year = parseInt(start.substring(0, 4), 10);
+    let month = parseInt(start.substring(5, 7), 10);
+    const last = end.substring(0, 7);
+    while (`${year}-${String(month).padStart(2, '0')}` <= last) {
+      months.push(`${year}-${String(month).padStart(2, '0')}`);
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+    return months;
+  },
+
+  // Months up to today in which an account that has statements has none
+  // covering that month. Statements without a printed period cover the
+  // span of their transaction dates.
+  coverageGaps(range, statements, transactions, today) {
+    if (!range || range.start > today) return [];
+
+    const spans = {};
+    statements.forEach(statement => {
+      let { start, end } = statement.period || {};
+      if (!start) {
+        const dates = transactions.filter(t => t.statementId === statement.id).map(t => t.date).sort();
+        [start, end] = [dates[0], dates[dates.length - 1]];
+      }
+      if (!start) return;
+      const key = statement.accountId || statement.id;
+      spans[key] = [...(spans[key] || []), { start, end }];
+    });
+
+    const months = this.monthsBetween(range.start, range.end < today ? range.end : today);
+    return Object.entries(spans).map(([key, accountSpans]) => ({
+      key,
+      months: months.filter(month => !accountSpans.some(span =>
+        span.start.substring(0, 7) <= month && span.end.substring(0, 7) >= month
+      ))
+    })).filter(gap => gap.months.length > 0);
+  }
+};
+
+// ============================================================================
+// LEDGER - search, filters, sorting and windowed rendering of transactions
+// ============================================================================
+
+const LEDGER_SOURCES = [
+  { id: 'pdf', name: 'PDF statement', pattern: /^Page / },
+  { id: 'ocr', name: 'Scanned PDF (OCR)', pattern: null },
+  { id: 'export', name: 'CSV, OFX or QIF export', pattern: /^(CSV|OFX|QIF) / },
+  { id: 'manual', name: 'Manual entry', pattern: null }
+];
+
+// start and end narrow the ledger to a date range; the dashboard sets them
+// (with month or category) when drilling into a chart. lowConfidence keeps
+// only OCR rows read below OCR_REVIEW_CONFIDENCE
+const DEFAULT_LEDGER_FILTER = {
+  search: '',
+  category: '',
+  account: '',
+  minAmount: '',
+  maxAmount: '',
+  direction: 'all',
+  source: '',
+  month: '',
+  start: '',
+  end: '',
+  lowConfidence: false
+};
+
+const LEDGER_ROW_HEIGHT = 56;
+const LEDGER_VIEWPORT_HEIGHT = 600;
+const LEDGER_OVERSCAN = 8;
+
+const TransactionLedger = {
+  sourceOf(transaction) {
+    if (transaction.isManual) return 'manual';
+    if (typeof transaction.ocrConfidence === 'number') return 'ocr';
+    const source = LEDGER_SOURCES.find(s => s.pattern && s.pattern.test(transaction.source || ''));
+    return source ? source.id : 'pdf';
+  },
+
+  // Every word of the search must appear in the description, category, date or amount
+  matchesSearch(transaction, search) {
+    const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+    const text = [
+      transaction.description, transaction.category, transaction.subcategory, transaction.date,
+      Math.abs(transaction.amount).toFixed(2)
+    ].filter(Boolean).join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+  },
+
+  matches(transaction, filter, accountIds) {
+    const amount = Math.abs(transaction.amount);
+    const [category, subcategory] = filter.category.split('|');
+    return (!category || transaction.category === category) &&
+      (!subcategory || transaction.subcategory === subcategory) &&
+      (!accountIds || accountIds.includes(transaction.accountId)) &&
+      (filter.minAmount === '' || amount >= parseFloat(filter.minAmount)) &&
+      (filter.maxAmount === '' || amount <= parseFloat(filter.maxAmount)) &&
+      (filter.direction === 'all' || (filter.direction === 'income' ? transaction.isIncome : !transaction.isIncome && transaction.amount < 0)) &&
+      (!filter.source || this.sourceOf(transaction) === filter.source) &&
+      (!filter.month || transaction.date.startsWith(filter.month)) &&
+      (!filter.start || transaction.date >= filter.start) &&
+      (!filter.end || transaction.date <= filter.end) &&
+      (!filter.lowConfidence || OCRExtractor.needsReview(transaction)) &&
+      this.matchesSearch(transaction, filter.search);
+  },
+
+  compare(a, b, key) {
+    switch (key) {
+      case 'amount':
+        return a.amount - b.amount;
+      case 'description':
+        return a.description.localeCompare(b.description);
+      case 'category':
+        return `${a.category}|${a.subcategory || ''}`.localeCompare(`${b.category}|${b.subcategory || ''}`);
+      default:
+        return a.date.localeCompare(b.date);
+    }
+  },
+
+  apply(transactions, filter, sort, accounts) {
+    const accountIds = AccountRegistry.filterIds(accounts, filter.account);
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return transactions
+      .filter(t => this.matches(t, filter, accountIds))
+      .sort((a, b) => direction * this.compare(a, b, sort.key) || direction * a.date.localeCompare(b.date));
+  },
+
+  // Rows to render for the current scroll position, with spacer heights for the rest
+  visibleRange(scrollTop, count) {
+    const start = Math.max(0, Math.floor(scrollTop / LEDGER_ROW_HEIGHT) - LEDGER_OVERSCAN);
+    const end = Math.min(count, Math.ceil((scrollTop + LEDGER_VIEWPORT_HEIGHT) / LEDGER_ROW_HEIGHT) + LEDGER_OVERSCAN);
+    return { start, end, paddingTop: start * LEDGER_ROW_HEIGHT, paddingBottom: (count - end) * LEDGER_ROW_HEIGHT };
+  }
+};
+
+// ============================================================================
+// BUDGETS - monthly limits per category, roll-over and overspend alerts
+// ============================================================================
+
+// limits holds the standing monthly limit per category, months holds limits
+// set for one month only (e.g. copied from last month's actuals) and rollover
+// maps a category to the month from which unspent budget carries forward.
+const DEFAULT_BUDGETS = { limits: {}, months: {}, rollover: {} };
+
+// Highest first: a category at 100% only raises the overspend alert
+const BUDGET_ALERT_LEVELS = [
+  { level: 'over', ratio: 1, label: 'over budget' },
+  { level: 'warning', ratio: 0.8, label: 'at 80% of budget' }
+];
+
+const BudgetPlanner = {
+  previousMonth(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return PatternDetector.toISODate(new Date(year, monthNumber - 2, 1)).substring(0, 7);
+  },
+
+  // Spending per month and top-level category, leaving out income, transfers and duplicates
+  spendByMonth(transactions) {
+    const spending = {};
+    transactions
+      .filter(t => !t.isIncome && t.amount < 0 && !t.isTransfer && !t.isDuplicate)
+      .forEach(t => {
+        const month = t.date.substring(0, 7);
+        spending[month] = spending[month] || {};
+        spending[month][t.category] = (spending[month][t.category] || 0) + Math.abs(t.amount);
+      });
+    return spending;
+  },
+
+  limitFor(budgets, category, month) {
+    const monthLimits = budgets.months[month];
+    if (monthLimits && monthLimits[category] !== undefined) return monthLimits[category];
+    return budgets.limits[category];
+  },
+
+  // Unspent budget (or overspend, as a negative) carried into the month
+  carriedInto(budgets, spending, category, month) {
+    const from = budgets.rollover[category];
+    if (!from || from >= month) return 0;
+
+    let carried = 0;
+    ReportingPeriods.monthsBetween(`${from}-01`, `${this.previousMonth(month)}-01`).forEach(m => {
+      const limit = this.limitFor(budgets, category, m);
+      if (limit === undefined) return;
+      carried += limit - ((spending[m] && spending[m][category]) || 0);
+    });
+    return carried;
+  },
+
+  monthReport(budgets, spending, month, categoryNames) {
+    const spent = spending[month] || {};
+    return categoryNames.map(category => {
+      const limit = this.limitFor(budgets, category, month);
+      const carried = limit === undefined ? 0 : this.carriedInto(budgets, spending, category, month);
+      const available = limit === undefined ? null : limit + carried;
+      const amount = spent[category] || 0;
+      const ratio = available > 0 ? amount / available : (available !== null && amount > 0 ? Infinity : 0);
+      const alert = available === null ? null : BUDGET_ALERT_LEVELS.find(level => ratio >= level.ratio) || null;
+
+      return {
+        category,
+        limit,
+        carried,
+        available,
+        spent: amount,
+        remaining: available === null ? null : available - amount,
+        ratio,
+        isMonthOnly: !!(budgets.months[month] && budgets.months[month][category] !== undefined),
+        alert
+      };
+    });
+  },
+
+  // Limits for the month set to what was spent in the month before
+  copyActuals(budgets, spending, month) {
+    const previous = spending[this.previousMonth(month)] || {};
+    const copied = Object.fromEntries(Object.entries(previous).map(([category, amount]) => [category, Math.round(amount)]));
+    return { ...budgets, months: { ...budgets.months, [month]: copied } };
+  },
+
+  setLimit(budgets, category, value, month = null) {
+    const amount = value === '' ? undefined : Math.max(0, parseFloat(value) || 0);
+    const update = limits => {
+      const next = { ...limits };
+      if (amount === undefined) delete next[category];
+      else next[category] = amount;
+      return next;
+    };
+    return month
+      ? { ...budgets, months: { ...budgets.months, [month]: update(budgets.months[month] || {}) } }
+      : { ...budgets, limits: update(budgets.limits) };
+  },
+
+  // Back to the standing limits for the month
+  clearMonth(budgets, month) {
+    const months = { ...budgets.months };
+    delete months[month];
+    return { ...budgets, months };
+  },
+
+  setRollover(budgets, category, fromMonth) {
+    const rollover = { ...budgets.rollover };
+    if (fromMonth) rollover[category] = fromMonth;
+    else delete rollover[category];
+    return { ...budgets, rollover };
+  }
+};
+
+// ============================================================================
+// FORECASTING - 12-month cash-flow projection with what-if scenarios
+// ============================================================================
+
+const FORECAST_MONTHS = 12;
+// Bands cover roughly 80% of outcomes if monthly swings are normally distributed
+const FORECAST_BAND_Z = 1.28;
+const SEASONAL_FACTOR_LIMITS = { min: 0.5, max: 2 };
+const EMERGENCY_FUND_MONTHS = 6;
+
+const SCENARIO_KINDS = [
+  { id: 'incomeChange', name: 'Income changes by %' },
+  { id: 'expenseChange', name: 'Day-to-day spending changes by %' },
+  { id: 'stopRecurring', name: 'A debit order stops' },
+  { id: 'oneOff', name: 'One-off amount' }
+];
+
+const CashFlowForecaster = {
+  addMonths(month, count) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return PatternDetector.toISODate(new Date(year, monthNumber - 1 + count, 1)).substring(0, 7);
+  },
+
+  // Income and expenses per month, leaving out transfers and duplicate lines
+  monthlyTotals(transactions) {
+    const monthly = {};
+    transactions.filter(t => !t.isTransfer && !t.isDuplicate).forEach(t => {
+      const month = t.date.substring(0, 7);
+      if (!monthly[month]) {
+        monthly[month] = { month, income: 0, expenses: 0 };
+      }
+      if (t.isIncome) {
+        monthly[month].income += t.amount;
+      } else if (t.amount < 0) {
+        monthly[month].expenses += Math.abs(t.amount);
+      }
+    });
+    return Object.values(monthly).sort((a, b) => a.month.localeCompare(b.month));
+  },
+
+  mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+  },
+
+  deviation(values) {
+    if (values.length < 2) return 0;
+    const mean = this.mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+  },
+
+  // Calendar-month factors from up to two years of history; flat until a full year is available
+  seasonality(history, key) {
+    const factors = {};
+    const recent = history.slice(-24);
+    const mean = this.mean(recent.map(m => m[key]));
+    if (recent.length < 12 || mean <= 0) return factors;
+
+    const byCalendarMonth = {};
+    recent.forEach(m => {
+      const calendarMonth = m.month.substring(5, 7);
+      byCalendarMonth[calendarMonth] = [...(byCalendarMonth[calendarMonth] || []), m[key]];
+    });
+    Object.entries(byCalendarMonth).forEach(([calendarMonth, values]) => {
+      factors[calendarMonth] = Math.min(SEASONAL_FACTOR_LIMITS.max, Math.max(SEASONAL_FACTOR_LIMITS.min, this.mean(values) / mean));
+    });
+    return factors;
+  },
+
+  // What each detected debit order or subscription is expected to cost in a month.
+  // Annual items fall in the month they were last paid: insurance renewals, school fees.
+  recurringInMonth(recurring, month) {
+    return recurring.filter(r => r.status !== 'ended').map(r => {
+      if (r.cadence.id === 'weekly') return { recurring: r, amount: r.amount * r.cadence.perYear / 12 };
+      if (r.cadence.id === 'annual') return { recurring: r, amount: r.last.substring(5, 7) === month.substring(5, 7) ? r.amount : 0 };
+      return { recurring: r, amount: r.amount };
+    }).filter(item => item.amount > 0);
+  },
+
+  applies(scenario, month) {
+    return scenario.enabled && (!scenario.from || month >= scenario.from);
+  },
+
+  // Starting point is the latest balance of the cheque and savings accounts;
+  // without one the forecast shows cumulative cash flow from zero
+  startingBalance(balances) {
+    const cash = balances.filter(({ account, balance }) =>
+      balance !== null && (!account.type || account.type === 'cheque' || account.type === 'savings'));
+    return cash.length > 0 ? { amount: cash.reduce((sum, b) => sum + b.balance, 0), known: true } : { amount: 0, known: false };
+  },
+
+  // Recurring debits are projected from their own schedule; everything else
+  // from the average of recent months, adjusted for the calendar month
+  forecast({ transactions, recurring, balances, scenarios = [] }) {
+    const history = this.monthlyTotals(transactions);
+    if (history.length === 0) return null;
+
+    const recurringIds = new Set(recurring.flatMap(r => r.transactionIds));
+    const recurringByMonth = {};
+    transactions.filter(t => recurringIds.has(t.id)).forEach(t => {
+      const month = t.date.substring(0, 7);
+      recurringByMonth[month] = (recurringByMonth[month] || 0) + Math.abs(t.amount);
+    });
+    const variableHistory = history.map(m => ({ ...m, variable: Math.max(0, m.expenses - (recurringByMonth[m.month] || 0)) }));
+
+    const recent = variableHistory.slice(-12);
+    const baseIncome = this.mean(recent.map(m => m.income));
+    const baseVariable = this.mean(recent.map(m => m.variable));
+    const incomeSeasonality = this.seasonality(variableHistory, 'income');
+    const expenseSeasonality = this.seasonality(variableHistory, 'variable');
+    const spread = {
+      income: this.deviation(recent.map(m => m.income)),
+      expenses: this.deviation(recent.map(m => m.variable)),
+      net: this.deviation(recent.map(m => m.income - m.expenses))
+    };
+
+    const start = this.startingBalance(balances);
+    const activeScenarios = scenarios.filter(scenario => scenario.enabled);
+    const lastMonth = history[history.length - 1].month;
+    let balance = start.amount;
+    let baselineBalance = start.amount;
+
+    const months = Array.from({ length: FORECAST_MONTHS }, (_, index) => {
+      const month = this.addMonths(lastMonth, index + 1);
+      const calendarMonth = month.substring(5, 7);
+      const scheduled = this.recurringInMonth(recurring, month);
+
+      const baseline = {
+        income: baseIncome * (incomeSeasonality[calendarMonth] || 1),
+        variable: baseVariable * (expenseSeasonality[calendarMonth] || 1),
+        recurring: scheduled.reduce((sum, item) => sum + item.amount, 0)
+      };
+
+      let { income, variable, recurring: recurringCost } = baseline;
+      activeScenarios.filter(scenario => this.applies(scenario, month)).forEach(scenario => {
+        const value = parseFloat(scenario.value) || 0;
+        if (scenario.kind === 'incomeChange') income *= 1 + value / 100;
+        if (scenario.kind === 'expenseChange') variable *= 1 + value / 100;
+        if (scenario.kind === 'stopRecurring') {
+          const stopped = scheduled.find(item => item.recurring.id === scenario.recurringId);
+          if (stopped) recurringCost -= stopped.amount;
+        }
+        if (scenario.kind === 'oneOff' && month === scenario.from) {
+          if (value >= 0) income += value;
+          else variable += Math.abs(value);
+        }
+      });
+
+      const expenses = variable + recurringCost;
+      const net = income - expenses;
+      balance += net;
+      baselineBalance += baseline.income - baseline.variable - baseline.recurring;
+      const balanceSpread = FORECAST_BAND_Z * spread.net * Math.sqrt(index + 1);
+
+      return {
+        month,
+        income,
+        expenses,
+        recurring: recurringCost,
+        oneOffs: scheduled.filter(item => item.recurring.cadence.id === 'annual'),
+        net,
+        balance,
+        baselineBalance,
+        incomeBand: [Math.max(0, income - FORECAST_BAND_Z * spread.income), income + FORECAST_BAND_Z * spread.income],
+        expensesBand: [Math.max(0, expenses - FORECAST_BAND_Z * spread.expenses), expenses + FORECAST_BAND_Z * spread.expenses],
+        balanceBand: [balance - balanceSpread, balance + balanceSpread]
+      };
+    });
+
+    const totalIncome = months.reduce((sum, m) => sum + m.income, 0);
+    const totalExpenses = months.reduce((sum, m) => sum + m.expenses, 0);
+    const averageExpenses = totalExpenses / FORECAST_MONTHS;
+
+    return {
+      months,
+      historyMonths: history.length,
+      hasSeasonality: Object.keys(expenseSeasonality).length > 0,
+      startingBalance: start,
+      hasScenarios: activeScenarios.length > 0,
+      totalIncome,
+      totalExpenses,
+      totalNet: totalIncome - totalExpenses,
+      savingsRate: totalIncome > 0 ? (totalIncome - totalExpenses) / totalIncome : 0,
+      emergencyFund: {
+        target: averageExpenses * EMERGENCY_FUND_MONTHS,
+        monthsCovered: averageExpenses > 0 ? start.amount / averageExpenses : 0
+      }
+    };
+  },
+
+  createScenario(kind = 'incomeChange') {
+    return { id: `scenario-${Date.now()}`, kind, label: '', value: '', from: '', recurringId: '', enabled: true };
+  },
+
+  validateScenario(scenario) {
+    if (scenario.kind === 'stopRecurring') return scenario.recurringId ? null : 'Pick the debit order that stops';
+    if (!scenario.value || Number.isNaN(parseFloat(scenario.value))) return 'Enter an amount or percentage';
+    if (scenario.kind === 'oneOff' && !scenario.from) return 'Pick the month of the one-off amount';
+    return null;
+  },
+
+  describeScenario(scenario, recurring) {
+    const from = scenario.from ? ` from ${scenario.from}` : '';
+    const value = parseFloat(scenario.value) || 0;
+    switch (scenario.kind) {
+      case 'incomeChange':
+        return `Income ${value >= 0 ? '+' : ''}${value}%${from}`;
+      case 'expenseChange':
+        return `Day-to-day spending ${value >= 0 ? '+' : ''}${value}%${from}`;
+      case 'stopRecurring': {
+        const item = recurring.find(r => r.id === scenario.recurringId);
+        return `${item ? item.merchant : scenario.recurringId} stops${from}`;
+      }
+      default:
+        return `${value >= 0 ? 'Extra income' : 'One-off cost'} of R${Math.abs(value).toLocaleString()} in ${scenario.from}`;
+    }
+  }
+};
+
+// ============================================================================
+// REPORT EXPORT - CSV, XLSX workbook and PDF P&L, generated in the browser
+// ============================================================================
+
+// SheetJS and jsPDF ship in the app bundle as chunks of their own, fetched
+// the first time a workbook or PDF is exported. Nothing is loaded from a CDN
+// and the report data never leaves the browser.
+
+// How long a download's blob URL outlives the click that starts it
+const DOWNLOAD_URL_LIFETIME_MS = 60000;
+
+const ReportExporter = {
+  fileName(analytics, extension) {
+    const period = analytics.periodRange ? analytics.periodRange.label.replace(/[^\w-]+/g, '-') : 'all-dates';
+    return `household-pnl-${period}-${PatternDetector.toISODate(new Date())}.${extension}`;
+  },
+
+  // Saves a generated file; the workspace backup downloads through here too.
+  // Firefox only follows a link that is in the document, and revoking the URL
+  // straight after click() can cancel the download before it starts.
+  download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+  },
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  },
+
+  transactionRows(analytics, accounts) {
+    return [
+      ['Date', 'Description', 'Category', 'Subcategory', 'Account', 'Type', 'Amount', 'Source'],
+      ...[...analytics.transactions].sort((a, b) => a.date.localeCompare(b.date)).map(t => {
+        const account = accounts.find(a => a.id === t.accountId);
+        return [
+          t.date,
+          t.description,
+          t.category,
+          t.subcategory || '',
+          account ? AccountRegistry.label(account) : '',
+          t.isIncome ? 'Income' : 'Expense',
+          this.round(t.amount),
+          t.isManual ? 'Manual entry' : (t.source || '')
+        ];
+      })
+    ];
+  },
+
+  // Expense categories down the side, months across, totals on both axes
+  pivotRows(analytics) {
+    const months = analytics.monthlyData.map(m => m.month);
+    const categories = Object.keys(analytics.categoryByMonth).sort();
+    const rows = categories.map(category => {
+      const values = months.map(month => this.round(analytics.categoryByMonth[category][month] || 0));
+      return [category, ...values, this.round(values.reduce((sum, v) => sum + v, 0))];
+    });
+    const totals = months.map((_, index) => this.round(rows.reduce((sum, row) => sum + row[index + 1], 0)));
+    return [
+      ['Category', ...months, 'Total'],
+      ...rows,
+      ['Total expenses', ...totals, this.round(totals.reduce((sum, v) => sum + v, 0))]
+    ];
+  },
+
+  profitAndLossRows(analytics) {
+    return [
+      ['Period', analytics.periodRange ? analytics.periodRange.label : 'All dates'],
+      [],
+      ['Income'],
+      ...Object.entries(analytics.incomeBreakdown).sort((a, b) => b[1] - a[1]).map(([name, value]) => [name, this.round(value)]),
+      ['Total income', this.round(analytics.totalIncome)],
+      [],
+      ['Expenses'],
+      ...Object.entries(analytics.categoryBreakdown).sort((a, b) => b[1] - a[1]).map(([name, value]) => [name, this.round(value)]),
+      ['Total expenses', this.round(analytics.totalExpenses)],
+      [],
+      ['Net cash flow', this.round(analytics.netCashFlow)],
+      ['Savings rate', analytics.totalIncome > 0 ? `${(analytics.netCashFlow / analytics.totalIncome * 100).toFixed(1)}%` : '']
+    ];
+  },
+
+  taxRows(analytics) {
+    const { result, projection } = analytics.taxEstimate;
+    return [
+      ['Tax year', result.table.label],
+      ['Figures', projection.monthsRemaining > 0 ? `Actual to ${projection.through}, projected for ${projection.monthsRemaining} month(s)` : 'Actual'],
+      ['Income (excluding interest)', this.round(result.grossIncome)],
+      ['Local interest', this.round(result.localInterest)],
+      ['Interest exemption', -this.round(result.interestExemption)],
+      ['Retirement annuity deduction', -this.round(result.retirementDeduction)],
+      ['Taxable income', this.round(result.taxableIncome)],
+      ['Tax on taxable income', this.round(result.normalTax)],
+      ['Rebates', -this.round(result.totalRebates)],
+      ['Medical tax credits', -this.round(result.medicalCredits)],
+      ['Tax payable', this.round(result.taxPayable)],
+      ['Effective rate', `${(result.effectiveRate * 100).toFixed(1)}%`],
+      ['Marginal rate', `${(result.marginalRate * 100).toFixed(0)}%`]
+    ];
+  },
+
+  // Text that starts like a formula is prefixed with ' so a spreadsheet shows
+  // it rather than running it: descriptions come straight from statements.
+  // Numbers are left alone, since amounts can be negative.
+  toCSV(rows) {
+    return rows.map(row => row.map(cell => {
+      const text = typeof cell === 'string' && /^[=+\-@\t\r]/.test(cell) ? `'${cell}` : String(cell);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+  },
+
+  exportCSV(analytics, accounts) {
+    // The byte-order mark makes Excel read the file as UTF-8
+    const blob = new Blob(['\ufeff' + this.toCSV(this.transactionRows(analytics, accounts))], { type: 'text/csv;charset=utf-8' });
+    this.download(blob, this.fileName(analytics, 'csv'));
+  },
+
+  async exportXLSX(analytics, accounts) {
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.utils.book_new();
+    [
+      ['P&L', this.profitAndLossRows(analytics)],
+      ['Transactions', this.transactionRows(analytics, accounts)],
+      ['Category by month', this.pivotRows(analytics)],
+      ['Tax summary', this.taxRows(analytics)]
+    ].forEach(([name, rows]) => XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name));
+    XLSX.writeFile(workbook, this.fileName(analytics, 'xlsx'));
+  },
+
+  // Renders each chart's SVG onto a canvas so it can be placed in the PDF
+  async chartImages(container) {
+    // A chart that is not laid out (hidden, or not rendered yet) measures 0 and
+    // would get an empty canvas and an infinite height in the PDF
+    const charts = container
+      ? [...container.querySelectorAll('svg.recharts-surface')]
+        .map(svg => ({ svg, rect: svg.getBoundingClientRect() }))
+        .filter(({ rect }) => rect.width > 0 && rect.height > 0)
+      : [];
+    return Promise.all(charts.map(({ svg, rect: { width, height } }) => new Promise((resolve, reject) => {
+      const markup = new XMLSerializer().serializeToString(svg);
+      const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * 2;
+        canvas.height = height * 2;
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve({ data: canvas.toDataURL('image/png'), width, height });
+      };
+      image.onerror = () => reject(new Error('Could not render a chart for the PDF'));
+      image.src = url;
+    })));
+  },
+
+  async exportPDF(analytics, chartContainer) {
+    const { jsPDF } = await import('jspdf');
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const margin = 15;
+    const pageWidth = doc.internal.pageSize.getWidth() - 2 * margin;
+    const pageHeight = doc.internal.pageSize.getHeight();
+    let y = margin;
+
+    const ensureSpace = (height) => {
+      if (y + height > pageHeight - margin) {
+        doc.addPage();
+        y = margin;
+      }
+    };
+    const table = (rows) => rows.forEach(row => {
+      ensureSpace(6);
+      if (row.length === 0) {
+        y += 3;
+        return;
+      }
+      const isHeading = row.length === 1;
+      doc.setFont('helvetica', isHeading || /^(Total|Net|Tax payable)/.test(row[0]) ? 'bold' : 'normal');
+      doc.text(String(row[0]), margin, y);
+      if (row.length > 1) {
+        const value = typeof row[1] === 'number' ? `R ${row[1].toLocaleString('en-ZA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : String(row[1]);
+        doc.text(value, margin + pageWidth, y, { align: 'right' });
+      }
+      y += 6;
+    });
+
+    doc.setFontSize(18);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Household Profit & Loss', margin, y + 4);
+    y += 14;
+    doc.setFontSize(10);
+    table(this.profitAndLossRows(analytics));
+
+    y += 6;
+    ensureSpace(12);
+    doc.setFontSize(14);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Tax Summary', margin, y);
+    y += 8;
+    doc.setFontSize(10);
+    table(this.taxRows(analytics));
+
+    const charts = await this.chartImages(chartContainer);
+    charts.forEach(chart => {
+      const height = pageWidth * (chart.height / chart.width);
+      ensureSpace(height + 6);
+      doc.addImage(chart.data, 'PNG', margin, y, pageWidth, height);
+      y += height + 6;
+    });
+
+    doc.save(this.fileName(analytics, 'pdf'));
+  }
+};
+
+// ============================================================================
+// MAIN APP COMPONENT
+// ============================================================================
+
+const BankStatementAnalyzer = () => {
+  const [statements, setStatements] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [manualEntries, setManualEntries] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [accountFilter, setAccountFilter] = useState('');
+  const [pendingMappings, setPendingMappings] = useState([]);
+  // Parsed files waiting for the user to check their rows (ImportReview)
+  const [pendingReviews, setPendingReviews] = useState([]);
+  const [pendingPasswords, setPendingPasswords] = useState([]);
+  const [statementPasswords, setStatementPasswords] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // { fileIndex, fileCount, fileName, stage, page, pages } while an upload is parsed
+  const [importProgress, setImportProgress] = useState(null);
+  const importCancelled = useRef(false);
+  const [hydrated, setHydrated] = useState(false);
+  const [backupPassphrase, setBackupPassphrase] = useState({ passphrase: '', confirm: '' });
+  const [restoreRequest, setRestoreRequest] = useState(null);
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const [categoryRules, setCategoryRules] = useState(() => CategoryRuleEngine.defaultRules());
+  const [ruleDraft, setRuleDraft] = useState(() => CategoryRuleEngine.createRule());
+  const [ruleError, setRuleError] = useState(null);
+  const [newCategory, setNewCategory] = useState({ name: '', parent: '' });
+  const [ruleSuggestion, setRuleSuggestion] = useState(null);
+  const [ledgerFilter, setLedgerFilter] = useState(DEFAULT_LEDGER_FILTER);
+  const [ledgerSort, setLedgerSort] = useState({ key: 'date', direction: 'desc' });
+  const [ledgerScroll, setLedgerScroll] = useState(0);
+  const [exporting, setExporting] = useState(null);
+  const dashboardChartsRef = useRef(null);
+  const [taxProfile, setTaxProfile] = useState(DEFAULT_TAX_PROFILE);
+  const [taxYear, setTaxYear] = useState(() => TaxEngine.taxYearFor(PatternDetector.toISODate(new Date())));
+  const [budgets, setBudgets] = useState(DEFAULT_BUDGETS);
+  const [budgetMonth, setBudgetMonth] = useState(() => PatternDetector.toISODate(new Date()).substring(0, 7));
+  const [forecastScenarios, setForecastScenarios] = useState([]);
+  const [scenarioDraft, setScenarioDraft] = useState(() => CashFlowForecaster.createScenario());
+  const [scenarioError, setScenarioError] = useState(null);
+  const [activeTab, setActiveTab] = useState('upload');
+  const [reportPeriod, setReportPeriod] = useState(() => ReportingPeriods.defaultPeriod(PatternDetector.toISODate(new Date())));
+  const [newEntry, setNewEntry] = useState({
+    date: '',
+    description: '',
+    amount: '',
+    type: 'expense',
+    category: 'Other',
+    accountId: ''
+  });
+
+  // Rehydrate the saved workspace once on load
+  useEffect(() => {
+    LocalStore.loadWorkspace()
+      .then(workspace => {
+        setTransactions(workspace.transactions);
+        setManualEntries(workspace.manualEntries);
+        setStatements(workspace.statements);
+        setAccounts(workspace.accounts);
+        if (workspace.settings.categories) setCategories(workspace.settings.categories);
+        if (workspace.settings.categoryRules) setCategoryRules(workspace.settings.categoryRules);
+        if (workspace.settings.taxProfile) setTaxProfile({ ...DEFAULT_TAX_PROFILE, ...workspace.settings.taxProfile });
+        if (workspace.settings.budgets) setBudgets({ ...DEFAULT_BUDGETS, ...workspace.settings.budgets });
+        if (workspace.settings.forecastScenarios) setForecastScenarios(workspace.settings.forecastScenarios);
+      })
+      .catch(error => console.error('Could not load saved workspace:', error))
+      .finally(() => setHydrated(true));
+
+    StatementPasswords.list()
+      .then(setStatementPasswords)
+      .catch(error => console.error('Could not load remembered statement passwords:', error));
+  }, []);
+
+  // Persist state after hydration so an empty first render never overwrites saved data
+  useEffect(() => {
+    if (!hydrated) return;
+    LocalStore.replaceAll('transactions', transactions).catch(error => console.error('Could not save transactions:', error));
+  }, [transactions, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    LocalStore.replaceAll('manualEntries', manualEntries).catch(error => console.error('Could not save manual entries:', error));
+  }, [manualEntries, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    LocalStore.replaceAll('statements', statements).catch(error => console.error('Could not save statements:', error));
+  }, [statements, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    LocalStore.replaceAll('accounts', accounts).catch(error => console.error('Could not save accounts:', error));
+  }, [accounts, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    LocalStore.setSetting('categories', categories).catch(error => console.error('Could not save categories:', error));
+  }, [categories, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    LocalStore.setSetting('taxProfile', taxProfile).catch(error => console.error('Could not save tax profile:', error));
+  }, [taxProfile, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    LocalStore.setSetting('budgets', budgets).catch(error => console.error('Could not save budgets:', error));
+  }, [budgets, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    LocalStore.setSetting('forecastScenarios', forecastScenarios).catch(error => console.error('Could not save scenarios:', error));
+  }, [forecastScenarios, hydrated]);
+
+  // Saving the rules also re-applies them to every parsed transaction
+  useEffect(() => {
+    if (!hydrated) return;
+    LocalStore.setSetting('categoryRules', categoryRules).catch(error => console.error('Could not save rules:', error));
+    setTransactions(prev => TransactionCategorizer.applyRules(prev, categoryRules));
+  }, [categoryRules, hydrated]);
+
+  // Categorise parsed statements, match each to an account and add them, with their transactions, to state.
+  // A re-parse (replaces is the stored statement's id) keeps that statement's
+  // id and the account the user filed it under, and its old rows are dropped;
+  // if the statement was removed in the meantime it is added as a new one.
+  const commitStatements = useCallback((parsed, openDashboard = true) => {
+    const next = StatementImporterRegistry.addStatements({ accounts, statements, transactions }, parsed, categoryRules);
+    setAccounts(next.accounts);
+    setStatements(next.statements);
+    setTransactions(next.transactions);
+
+    if (openDashboard && next.added.length > 0) {
+      setActiveTab('dashboard');
+    }
+    return next.records;
+  }, [categoryRules, accounts, statements, transactions]);
+
+  // Parsed statements wait in the import review; nothing reaches the
+  // analytics until the user confirms them
+  const queueReviews = useCallback((parsed, options = {}) => {
+    const stamp = Date.now();
+    setPendingReviews(prev => [
+      ...prev,
+      ...parsed.map(({ file, statement }, index) => ImportReview.create(`${stamp}-${index}`, file, statement, options))
+    ]);
+  }, []);
+
+  const updateReview = useCallback((id, update) => {
+    setPendingReviews(prev => prev.map(review => (review.id === id ? update(review) : review)));
+  }, []);
+
+  // Imports the given reviews (skipping any with unfinished rows) and
+  // remembers the passwords that opened them for the accounts they landed in
+  const confirmReviews = useCallback(async (ids) => {
+    const confirmed = pendingReviews.filter(review => ids.includes(review.id) && !ImportReview.hasErrors(review));
+    if (confirmed.length === 0) return;
+    const remaining = pendingReviews.filter(review => !confirmed.includes(review));
+
+    const records = commitStatements(
+      confirmed.map(review => ({ file: review.file, statement: ImportReview.toStatement(review), replaces: review.replaces })),
+      remaining.length === 0 && pendingMappings.length === 0 && pendingPasswords.length === 0
+    );
+    setPendingReviews(remaining);
+
+    const passwords = confirmed
+      .map((review, index) => ({ password: review.password, accountId: records[index].accountId }))
+      .filter(entry => entry.password);
+    if (passwords.length === 0) return;
+    try {
+      let saved = statementPasswords;
+      for (const { accountId, password } of passwords) {
+        saved = await StatementPasswords.remember(accountId, password);
+      }
+      setStatementPasswords(saved);
+    } catch (error) {
+      console.error('Could not remember statement password:', error);
+    }
+  }, [pendingReviews, pendingMappings, pendingPasswords, statementPasswords, commitStatements]);
+
+  const discardReview = useCallback((id) => {
+    setPendingReviews(prev => prev.filter(review => review.id !== id));
+  }, []);
+
+  // Handle file upload using the importer registry. A cancelled batch still
+  // keeps the files that finished before the cancel.
+  const handleFileUpload = useCallback(async (files) => {
+    setLoading(true);
+    importCancelled.current = false;
+    const errors = [];
+    const fileList = Array.from(files);
+    
+    try {
+      const parsed = [];
+      const mappingRequests = [];
+      const passwordRequests = [];
+      const passwords = StatementPasswords.passwordsToTry(statementPasswords);
+      
+      for (const [fileIndex, file] of fileList.entries()) {
+        if (importCancelled.current) break;
+        const fileProgress = { fileIndex, fileCount: fileList.length, fileName: file.name };
+        setImportProgress({ ...fileProgress, stage: null, page: 0, pages: 0 });
+        try {
+          console.log(`\n=== PROCESSING FILE: ${file.name} ===`);
+          
+          const result = await StatementImporterRegistry.importFile(file, {
+            passwords,
+            onProgress: progress => setImportProgress({ ...fileProgress, ...progress })
+          });
+          if (result.needsMapping) {
+            // Ask the user to map the columns before importing
+            mappingRequests.push({
+              id: `${Date.now()}-${mappingRequests.length}`,
+              file,
+              preview: result.preview,
+              mapping: result.mapping,
+              saveMapping: true
+            });
+          } else {
+            parsed.push({ file, statement: result.statement });
+          }
+          
+        } catch (error) {
+          if (error.cancelled) {
+            console.log(`⏹️ Import cancelled at ${file.name}`);
+            break;
+          }
+          if (error.passwordRequired) {
+            // No remembered password opens it; ask for one
+            console.log(`🔒 ${file.name} is password protected`);
+            passwordRequests.push({
+              id: `${Date.now()}-${passwordRequests.length}`,
+              file,
+              password: '',
+              remember: true,
+              error: null
+            });
+            continue;
+          }
+          console.error(`❌ Error parsing ${file.name}:`, error);
+          errors.push(`Error parsing ${file.name}: ${error.message}`);
+        }
+      }
+      
+      queueReviews(parsed);
+      setPendingMappings(prev => [...prev, ...mappingRequests]);
+      setPendingPasswords(prev => [...prev, ...passwordRequests]);
+      
+      if (errors.length > 0) {
+        console.error('Parsing errors:', errors);
+        alert('Some files could not be parsed:\n' + errors.join('\n'));
+      }
+      
+    } catch (error) {
+      console.error('Error processing files:', error);
+      alert('Error processing files: ' + error.message);
+    } finally {
+      setImportProgress(null);
+      setLoading(false);
+    }
+  }, [queueReviews, statementPasswords]);
+
+  const cancelImport = useCallback(() => {
+    importCancelled.current = true;
+    PDFParserWorker.cancel();
+  }, []);
+
+  const updatePasswordRequest = useCallback((id, changes) => {
+    setPendingPasswords(prev => prev.map(r => (r.id === id ? { ...r, ...changes } : r)));
+  }, []);
+
+  // Opens one encrypted statement, then tries the same password on the other
+  // waiting files, since a year of statements usually shares one password
+  const unlockStatement = useCallback(async (id) => {
+    const request = pendingPasswords.find(r => r.id === id);
+    if (!request || !request.password) return;
+
+    setLoading(true);
+    try {
+      const result = await StatementImporterRegistry.importFile(request.file, { password: request.password });
+      const unlocked = [{ file: request.file, statement: result.statement }];
+      const stillLocked = [];
+      for (const other of pendingPasswords.filter(r => r.id !== id)) {
+        try {
+          const otherResult = await StatementImporterRegistry.importFile(other.file, { password: request.password });
+          unlocked.push({ file: other.file, statement: otherResult.statement });
+        } catch (error) {
+          stillLocked.push(other);
+        }
+      }
+
+      // The password is remembered once the statements are imported and filed under an account
+      queueReviews(unlocked, { password: request.remember ? request.password : null });
+      setPendingPasswords(stillLocked);
+      console.log(`🔓 Unlocked ${unlocked.length} statement(s)`);
+    } catch (error) {
+      if (error.passwordRequired) {
+        updatePasswordRequest(id, { password: '', error: 'That password did not open the file. Try again.' });
+      } else {
+        console.error(`❌ Error parsing ${request.file.name}:`, error);
+        alert(`Error parsing ${request.file.name}: ${error.message}`);
+        setPendingPasswords(prev => prev.filter(r => r.id !== id));
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [pendingPasswords, queueReviews, updatePasswordRequest]);
+
+  const forgetStatementPassword = useCallback(async (accountId) => {
+    try {
+      setStatementPasswords(await StatementPasswords.forget(accountId));
+    } catch (error) {
+      console.error('Could not forget statement password:', error);
+    }
+  }, []);
+
+  // Re-run the current parser over a stored statement file
+  const reparseStatement = useCallback(async (id) => {
+    const statement = statements.find(s => s.id === id);
+    if (!statement) return;
+    
+    setLoading(true);
+    try {
+      const result = await StatementImporterRegistry.importFile(statement.file, {
+        allowGuess: true,
+        passwords: StatementPasswords.passwordsToTry(statementPasswords)
+      });
+      if (result.needsMapping) {
+        throw new Error('map the CSV columns by uploading the file again');
+      }
+      
+      // The new rows are reviewed like any import before they replace the old ones
+      queueReviews([{ file: statement.file, statement: result.statement }], { replaces: id });
+      console.log(`🔁 Re-parsed ${statement.name}: ${result.statement.transactions.length} transactions to review`);
+    } catch (error) {
+      console.error(`❌ Error re-parsing ${statement.name}:`, error);
+      alert(error.passwordRequired
+        ? `${statement.name} is password protected and no remembered password opens it. Remove it and upload it again to enter the password.`
+        : `Error re-parsing ${statement.name}: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [statements, statementPasswords, queueReviews]);
+
+  const removeStatement = useCallback((id) => {
+    setTransactions(prev => TransferDetector.detect(DuplicateDetector.detect(prev.filter(t => t.statementId !== id))));
+    setStatements(prev => prev.filter(s => s.id !== id));
+  }, []);
+
+  // Move a statement, and its transactions, to another account or to a new one
+  const assignStatementAccount = useCallback((statementId, value) => {
+    let accountId = value;
+    if (value === 'new') {
+      const statement = statements.find(s => s.id === statementId);
+      const account = AccountRegistry.createAccount({ bank: statement.bank, type: (statement.accountInfo || {}).type });
+      setAccounts(prev => [...prev, account]);
+      accountId = account.id;
+    }
+    
+    setStatements(prev => prev.map(s => (s.id === statementId ? { ...s, accountId } : s)));
+    setTransactions(prev => TransferDetector.detect(DuplicateDetector.detect(
+      prev.map(t => (t.statementId === statementId ? { ...t, accountId } : t))
+    )));
+  }, [statements]);
+
+  const updateAccount = useCallback((id, changes) => {
+    setAccounts(prev => prev.map(account => (account.id === id ? { ...account, ...changes } : account)));
+  }, []);
+
+  const removeAccount = useCallback((id) => {
+    if (statements.some(s => s.accountId === id)) return;
+    
+    setAccounts(prev => prev.filter(account => account.id !== id));
+    setManualEntries(prev => prev.map(e => (e.accountId === id ? { ...e, accountId: null } : e)));
+    setAccountFilter(prev => (prev === `account:${id}` ? '' : prev));
+    if (statementPasswords.some(entry => entry.accountId === id)) forgetStatementPassword(id);
+  }, [statements, statementPasswords, forgetStatementPassword]);
+
+  const updatePendingMapping = useCallback((id, changes) => {
+    setPendingMappings(prev => prev.map(request => {
+      if (request.id !== id) return request;
+      const { saveMapping, ...mappingChanges } = changes;
+      return {
+        ...request,
+        mapping: { ...request.mapping, ...mappingChanges },
+        saveMapping: saveMapping === undefined ? request.saveMapping : saveMapping
+      };
+    }));
+  }, []);
+
+  const confirmPendingMapping = useCallback(async (id) => {
+    const request = pendingMappings.find(r => r.id === id);
+    if (!request) return;
+    
+    try {
+      const importer = StatementImporterRegistry.findImporter(request.file);
+      const statement = await importer.parse(request.file, { preview: request.preview, mapping: request.mapping });
+      if (request.saveMapping) {
+        await importer.saveMapping(request.mapping);
+      }
+      setPendingMappings(prev => prev.filter(r => r.id !== id));
+      queueReviews([{ file: request.file, statement }]);
+    } catch (error) {
+      console.error(`❌ Error importing ${request.file.name}:`, error);
+      alert(`Error importing ${request.file.name}: ${error.message}`);
+    }
+  }, [pendingMappings, queueReviews]);
+
+  const cancelPendingMapping = useCallback((id) => {
+    setPendingMappings(prev => prev.filter(r => r.id !== id));
+  }, []);
+
+  const exportWorkspace = useCallback(async () => {
+    const { passphrase, confirm } = backupPassphrase;
+    if (passphrase.length < 8 || passphrase !== confirm) return;
+    
+    try {
+      const blob = await WorkspaceBackup.exportWorkspace({ transactions, manualEntries, statements, accounts }, passphrase);
+      ReportExporter.download(blob, `household-pnl-backup-${PatternDetector.toISODate(new Date())}.json`);
+      setBackupPassphrase({ passphrase: '', confirm: '' });
+    } catch (error) {
+      console.error('Error exporting workspace:', error);
+      alert('Error exporting workspace: ' + error.message);
+    }
+  }, [backupPassphrase, transactions, manualEntries, statements, accounts]);
+
+  const decryptBackup = useCallback(async () => {
+    try {
+      const payload = await WorkspaceBackup.readBackup(restoreRequest.file, restoreRequest.passphrase);
+      setRestoreRequest(prev => ({ ...prev, payload, error: null }));
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      setRestoreRequest(prev => ({ ...prev, error: error.message }));
+    }
+  }, [restoreRequest]);
+
+  const applyBackup = useCallback(async (mode) => {
+    try {
+      const restored = await WorkspaceBackup.restoreWorkspace(
+        { transactions, manualEntries, statements, accounts },
+        restoreRequest.payload,
+        mode
+      );
+      const settings = LocalStore.settingsToMap(restored.settings);
+      setTransactions(restored.transactions);
+      setManualEntries(restored.manualEntries);
+      setStatements(restored.statements);
+      setAccounts(restored.accounts);
+      setAccountFilter('');
+      setCategories(settings.categories || DEFAULT_CATEGORIES);
+      setCategoryRules(settings.categoryRules || CategoryRuleEngine.defaultRules());
+      setTaxProfile({ ...DEFAULT_TAX_PROFILE, ...settings.taxProfile });
+      setBudgets({ ...DEFAULT_BUDGETS, ...settings.budgets });
+      setForecastScenarios(settings.forecastScenarios || []);
+      setRestoreRequest(null);
+    } catch (error) {
+      console.error('Error restoring workspace:', error);
+      alert('Error restoring workspace: ' + error.message);
+    }
+  }, [restoreRequest, transactions, manualEntries, statements, accounts]);
+
+  const saveRuleDraft = useCallback(() => {
+    const error = CategoryRuleEngine.validateRule(ruleDraft);
+    setRuleError(error);
+    if (error) return;
+    
+    const rule = { ...ruleDraft, priority: parseInt(ruleDraft.priority, 10) || 0 };
+    setCategoryRules(prev => (prev.some(r => r.id === rule.id)
+      ? prev.map(r => (r.id === rule.id ? rule : r))
+      : [...prev, rule]));
+    setRuleDraft(CategoryRuleEngine.createRule());
+  }, [ruleDraft]);
+
+  const addScenario = useCallback(() => {
+    const error = CashFlowForecaster.validateScenario(scenarioDraft);
+    setScenarioError(error);
+    if (error) return;
+
+    setForecastScenarios(prev => [...prev, scenarioDraft]);
+    setScenarioDraft(CashFlowForecaster.createScenario(scenarioDraft.kind));
+  }, [scenarioDraft]);
+
+  const updateRule = useCallback((id, changes) => {
+    setCategoryRules(prev => prev.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+  }, []);
+
+  const deleteRule = useCallback((id) => {
+    setCategoryRules(prev => prev.filter(rule => rule.id !== id));
+  }, []);
+
+  const addCategory = useCallback(() => {
+    const name = newCategory.name.trim();
+    const parent = newCategory.parent || null;
+    if (!name || categories.some(c => c.name === name && c.parent === parent)) return;
+    
+    setCategories(prev => [...prev, { name, parent }]);
+    setNewCategory({ name: '', parent: '' });
+  }, [newCategory, categories]);
+
+  const deleteCategory = useCallback((category) => {
+    if (!category.parent && ['Income', 'Other'].includes(category.name)) return;
+    
+    const inUse = categoryRules.filter(rule => category.parent
+      ? rule.category === category.parent && rule.subcategory === category.name
+      : rule.category === category.name);
+    if (inUse.length > 0) {
+      alert(`${inUse.length} rule(s) still file transactions under "${category.name}". Change or delete them first.`);
+      return;
+    }
+    
+    setCategories(prev => prev.filter(c => category.parent
+      ? !(c.name === category.name && c.parent === category.parent)
+      : c.name !== category.name && c.parent !== category.name));
+  }, [categoryRules]);
+
+  const categorySuggestions = useMemo(() => CategorySuggester.suggestAll(transactions), [transactions]);
+
+  const transferReview = useMemo(() => {
+    const pairs = {};
+    transactions.forEach(t => {
+      if (!t.transferPairId) return;
+      pairs[t.transferPairId] = pairs[t.transferPairId] || { id: t.transferPairId, status: t.transferStatus };
+      pairs[t.transferPairId][t.amount < 0 ? 'outflow' : 'inflow'] = t;
+    });
+    return {
+      pairs: Object.values(pairs).filter(p => p.outflow && p.inflow).sort((a, b) => b.outflow.date.localeCompare(a.outflow.date)),
+      patternOnly: transactions.filter(t => t.isTransfer && !t.transferPairId),
+      rejected: transactions.filter(t => t.transferStatus === 'rejected')
+    };
+  }, [transactions]);
+
+  const duplicateReview = useMemo(() => {
+    const byId = Object.fromEntries(transactions.map(t => [t.id, t]));
+    const withOriginal = status => transactions
+      .filter(t => t.duplicateStatus === status)
+      .map(copy => ({ copy, original: byId[copy.duplicateOf] || null }));
+    return {
+      suspected: withOriginal('suspected'),
+      confirmed: withOriginal('confirmed'),
+      rejected: withOriginal('rejected')
+    };
+  }, [transactions]);
+
+  const statementOverlaps = useMemo(() => DuplicateDetector.findOverlaps(statements, transactions), [statements, transactions]);
+
+  const setDuplicateStatus = useCallback((ids, status) => {
+    setTransactions(prev => TransferDetector.detect(DuplicateDetector.setStatus(prev, ids, status)));
+  }, []);
+
+  const setTransferPairStatus = useCallback((pairId, status) => {
+    setTransactions(prev => TransferDetector.setPairStatus(prev, pairId, status));
+  }, []);
+
+  const setTransferStatus = useCallback((id, status) => {
+    setTransactions(prev => TransferDetector.setStatus(prev, id, status));
+  }, []);
+
+  // Recategorise one transaction by hand, then offer to turn it into a rule
+  const recategorizeTransaction = useCallback((transaction, category, subcategory) => {
+    const changes = { category, subcategory: subcategory || null, categorySource: 'manual', categoryRuleId: null };
+    if (transaction.isManual) {
+      setManualEntries(prev => prev.map(e => (e.id === transaction.id ? { ...e, ...changes } : e)));
+      return;
+    }
+    
+    const updated = { ...transaction, ...changes };
+    setTransactions(prev => prev.map(t => (t.id === transaction.id ? updated : t)));
+    
+    const merchant = MerchantNormalizer.normalize(transaction.description);
+    const rule = CategoryRuleEngine.createRule({
+      matchType: 'regex',
+      pattern: MerchantNormalizer.toPattern(merchant),
+      sign: transaction.amount < 0 ? 'debit' : 'credit',
+      priority: 10,
+      category,
+      subcategory: subcategory || ''
+    });
+    const similar = transactions.filter(t =>
+      t.id !== transaction.id && t.categorySource !== 'manual' && CategoryRuleEngine.matches(rule, t)
+    );
+    setRuleSuggestion({ merchant, rule, similarCount: similar.length });
+  }, [transactions]);
+
+  // Creating the rule re-applies all rules, which carries the change to similar transactions
+  const acceptRuleSuggestion = useCallback(() => {
+    setCategoryRules(prev => [...prev, ruleSuggestion.rule]);
+    setRuleSuggestion(null);
+  }, [ruleSuggestion]);
+
+  // Add manual entry
+  const addManualEntry = useCallback(() => {
+    if (!newEntry.date || !newEntry.description || !newEntry.amount) return;
+    
+    const entry = {
+      ...newEntry,
+      id: Date.now(),
+      amount: newEntry.type === 'expense' ? -Math.abs(parseFloat(newEntry.amount)) : Math.abs(parseFloat(newEntry.amount)),
+      isIncome: newEntry.type === 'income',
+      isManual: true,
+      accountId: newEntry.accountId || null
+    };
+    
+    setManualEntries(prev => [...prev, entry]);
+    setNewEntry({
+      date: '',
+      description: '',
+      amount: '',
+      type: 'expense',
+      category: 'Other',
+      accountId: ''
+    });
+  }, [newEntry]);
+
+  const deleteManualEntry = useCallback((id) => {
+    setManualEntries(prev => prev.filter(entry => entry.id !== id));
+  }, []);
+
+  // Analytics calculations
+  const analytics = useMemo(() => {
+    const today = PatternDetector.toISODate(new Date());
+    const periodRange = ReportingPeriods.range(reportPeriod, today);
+    const accountIds = AccountRegistry.filterIds(accounts, accountFilter);
+    const accountTransactions = [...transactions, ...manualEntries]
+      .filter(t => !accountIds || accountIds.includes(t.accountId));
+    const filteredTransactions = accountTransactions.filter(t => ReportingPeriods.contains(periodRange, t.date));
+
+    const uniqueTransactions = filteredTransactions.filter(t => !t.isDuplicate);
+    const relevantTransactions = uniqueTransactions.filter(t => !t.isTransfer);
+
+    const income = relevantTransactions
+      .filter(t => t.isIncome)
+      .reduce((sum, t) => sum + t.amount, 0);
+
+    const expenses = relevantTransactions
+      .filter(t => !t.isIncome && t.amount < 0)
+      .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+
+    const categoryBreakdown = {};
+    const categoryByMonth = {};
+    const incomeBreakdown = {};
+    
+    relevantTransactions.forEach(t => {
+      if (!t.isIncome && t.amount < 0) {
+        categoryBreakdown[t.category] = (categoryBreakdown[t.category] || 0) + Math.abs(t.amount);
+        const month = t.date.substring(0, 7);
+        categoryByMonth[t.category] = categoryByMonth[t.category] || {};
+        categoryByMonth[t.category][month] = (categoryByMonth[t.category][month] || 0) + Math.abs(t.amount);
+      } else if (t.isIncome) {
+        const source = t.subcategory || 'Other income';
+        incomeBreakdown[source] = (incomeBreakdown[source] || 0) + t.amount;
+      }
+    });
+
+    const monthlyArray = CashFlowForecaster.monthlyTotals(relevantTransactions);
+
+    // Tax for the tax year the period ends in: actual income to date plus a projection of the rest
+    const estimateTaxYear = TaxEngine.taxYearFor(periodRange && periodRange.end < today ? periodRange.end : today);
+    const taxEstimate = TaxEngine.buildReport(accountTransactions, estimateTaxYear, { ...taxProfile, includeProjection: true }, today);
+
+    return {
+      totalIncome: income,
+      totalExpenses: expenses,
+      netCashFlow: income - expenses,
+      categoryBreakdown,
+      categoryByMonth,
+      incomeBreakdown,
+      monthlyData: monthlyArray,
+      transactions: relevantTransactions,
+      periodRange,
+      taxEstimate,
+      taxLiability: taxEstimate.result.taxPayable,
+      averageMonthlyIncome: income / (monthlyArray.length || 1),
+      averageMonthlyExpenses: expenses / (monthlyArray.length || 1),
+      transactionCount: relevantTransactions.length,
+      transfersExcluded: uniqueTransactions.length - relevantTransactions.length,
+      duplicatesExcluded: filteredTransactions.length - uniqueTransactions.length
+    };
+  }, [transactions, manualEntries, accounts, accountFilter, reportPeriod, taxProfile]);
+
+  const coverageGaps = useMemo(() => {
+    const accountIds = AccountRegistry.filterIds(accounts, accountFilter);
+    const today = PatternDetector.toISODate(new Date());
+    return ReportingPeriods.coverageGaps(
+      ReportingPeriods.range(reportPeriod, today),
+      statements.filter(s => !accountIds || accountIds.includes(s.accountId)),
+      transactions,
+      today
+    );
+  }, [accounts, accountFilter, reportPeriod, statements, transactions]);
+
+  const calendarYears = useMemo(() => {
+    const years = new Set([new Date().getFullYear()]);
+    [...transactions, ...manualEntries].forEach(t => years.add(parseInt(t.date.substring(0, 4), 10)));
+    return [...years].sort((a, b) => b - a);
+  }, [transactions, manualEntries]);
+
+  const taxYears = useMemo(() => {
+    const years = new Set(Object.keys(TAX_TABLES).map(Number));
+    years.add(TaxEngine.taxYearFor(PatternDetector.toISODate(new Date())));
+    [...transactions, ...manualEntries].forEach(t => years.add(TaxEngine.taxYearFor(t.date)));
+    return [...years].sort((a, b) => b - a);
+  }, [transactions, manualEntries]);
+
+  const taxReport = useMemo(() => TaxEngine.buildReport(
+    [...transactions, ...manualEntries], taxYear, taxProfile, PatternDetector.toISODate(new Date())
+  ), [transactions, manualEntries, taxYear, taxProfile]);
+
+  const provisionalTax = useMemo(() => ProvisionalTaxEstimator.estimate(
+    [...transactions, ...manualEntries], taxYear, taxReport, taxProfile, PatternDetector.toISODate(new Date())
+  ), [transactions, manualEntries, taxYear, taxReport, taxProfile]);
+
+  const updateTaxOverride = useCallback((field, value) => {
+    setTaxProfile(prev => ({
+      ...prev,
+      overrides: { ...prev.overrides, [taxYear]: { ...(prev.overrides[taxYear] || {}), [field]: value } }
+    }));
+  }, [taxYear]);
+
+  const accountBalances = useMemo(() => {
+    const accountIds = AccountRegistry.filterIds(accounts, accountFilter);
+    return AccountRegistry.balances(accounts, statements, transactions)
+      .filter(({ account }) => !accountIds || accountIds.includes(account.id));
+  }, [accounts, accountFilter, statements, transactions]);
+
+  // Budget vs actual for the chosen month, on the same accounts as the rest of the dashboard
+  const budgetSpending = useMemo(() => {
+    const accountIds = AccountRegistry.filterIds(accounts, accountFilter);
+    return BudgetPlanner.spendByMonth([...transactions, ...manualEntries].filter(t => !accountIds || accountIds.includes(t.accountId)));
+  }, [transactions, manualEntries, accounts, accountFilter]);
+
+  const budgetReport = useMemo(() => BudgetPlanner.monthReport(
+    budgets, budgetSpending, budgetMonth, categories.filter(c => !c.parent && c.name !== 'Income').map(c => c.name)
+  ), [budgets, budgetSpending, budgetMonth, categories]);
+
+  const budgetAlerts = useMemo(() => budgetReport.filter(row => row.alert), [budgetReport]);
+
+  const ledgerRows = useMemo(() => TransactionLedger.apply(
+    [...transactions, ...manualEntries], ledgerFilter, ledgerSort, accounts
+  ), [transactions, manualEntries, ledgerFilter, ledgerSort, accounts]);
+
+  // Opens the ledger on the transactions behind a dashboard chart, on the dashboard's accounts and period
+  const drillInto = useCallback((changes) => {
+    setLedgerFilter({
+      ...DEFAULT_LEDGER_FILTER,
+      account: accountFilter,
+      start: analytics.periodRange ? analytics.periodRange.start : '',
+      end: analytics.periodRange ? analytics.periodRange.end : '',
+      ...changes
+    });
+    setLedgerScroll(0);
+    setActiveTab('categories');
+  }, [accountFilter, analytics.periodRange]);
+
+  const exportReport = useCallback(async (format) => {
+    setExporting(format);
+    try {
+      if (format === 'csv') ReportExporter.exportCSV(analytics, accounts);
+      if (format === 'xlsx') await ReportExporter.exportXLSX(analytics, accounts);
+      if (format === 'pdf') await ReportExporter.exportPDF(analytics, dashboardChartsRef.current);
+    } catch (error) {
+      console.error('Error exporting report:', error);
+      alert('Error exporting report: ' + error.message);
+    } finally {
+      setExporting(null);
+    }
+  }, [analytics, accounts]);
+
+  const sortLedger = useCallback((key) => {
+    setLedgerSort(prev => ({ key, direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc' }));
+  }, []);
+
+  const recurringPayments = useMemo(() => RecurringDetector.detect(
+    [...transactions, ...manualEntries], PatternDetector.toISODate(new Date())
+  ), [transactions, manualEntries]);
+
+  const recurringFlags = useMemo(() => RecurringDetector.flags(recurringPayments), [recurringPayments]);
+
+  const forecast = useMemo(() => CashFlowForecaster.forecast({
+    transactions: [...transactions, ...manualEntries],
+    recurring: recurringPayments,
+    balances: AccountRegistry.balances(accounts, statements, transactions),
+    scenarios: forecastScenarios
+  }), [transactions, manualEntries, recurringPayments, accounts, statements, forecastScenarios]);
+
+  const COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff7300', '#8dd1e1', '#d084d0', '#87d068'];
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Bank Statement Financial Analyzer</h1>
+          <p className="text-gray-600">Upload bank statements to analyze income, expenses, and tax liability with South African tax calculations</p>
+        </div>
+
+        {/* Navigation */}
+        <div className="bg-white rounded-lg shadow-sm mb-6">
+          <nav className="flex space-x-8 px-6">
+            {[
+              { id: 'upload', name: 'Upload', icon: Upload },
+              { id: 'manual', name: 'Manual Entry', icon: FileText },
+              { id: 'dashboard', name: 'Dashboard', icon: TrendingUp },
+              { id: 'categories', name: 'Categories', icon: PieChart },
+              { id: 'rules', name: 'Rules', icon: Tags },
+              { id: 'transfers', name: 'Transfers', icon: ArrowLeftRight },
+              { id: 'recurring', name: 'Recurring', icon: Repeat },
+              { id: 'tax', name: 'Tax Analysis', icon: Calculator },
+              { id: 'forecast', name: 'Forecast', icon: Target }
+            ].map(({ id, name, icon: Icon }) => (
+              <button
+                key={id}
+                onClick={() => setActiveTab(id)}
+                className={`flex items-center space-x-2 py-4 px-2 border-b-2 font-medium text-sm ${
+                  activeTab === id
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                <span>{name}</span>
+                {id === 'upload' && pendingReviews.length > 0 && (
+                  <span className="bg-blue-100 text-blue-700 rounded-full px-2 text-xs">{pendingReviews.length}</span>
+                )}
+                {id === 'dashboard' && budgetAlerts.length > 0 && (
+                  <span className="bg-red-100 text-red-700 rounded-full px-2 text-xs">{budgetAlerts.length}</span>
+                )}
+              </button>
+            ))}
+          </nav>
+        </div>
+
+        {/* Upload Tab */}
+        {activeTab === 'upload' && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-xl font-semibold mb-4">Upload Bank Statements</h2>
+            <div
+              className={`border-2 border-dashed rounded-lg p-12 text-center transition-colors ${
+                loading 
+                  ? 'border-blue-400 bg-blue-50' 
+                  : 'border-gray-300 hover:border-blue-400'
+              }`}
+              onDrop={(e) => {
+                e.preventDefault();
+                if (!loading) {
+                  const files = Array.from(e.dataTransfer.files).filter(f => StatementImporterRegistry.findImporter(f));
+                  if (files.length > 0) {
+                    handleFileUpload(files);
+                  }
+                }
+              }}
+              onDragOver={(e) => e.preventDefault()}
+            >
+              {loading ? (
+                <>
+                  <div className="w-12 h-12 border-4 border-blue-200 border-t-blue-600 rounded-full animate-spin mx-auto mb-4"></div>
+                  <p className="text-lg text-blue-600 mb-2">Processing statement files...</p>
+                  {importProgress && (
+                    <div className="max-w-sm mx-auto">
+                      <p className="text-sm text-blue-600 truncate">
+                        File {importProgress.fileIndex + 1} of {importProgress.fileCount}: {importProgress.fileName}
+                      </p>
+                      <p className="text-sm text-blue-500 mb-2">
+                        {importProgress.pages > 0
+                          ? `${{ detect: 'Finding transactions on', ocr: 'Running OCR on scanned' }[importProgress.stage] || 'Reading'} page ${importProgress.page} of ${importProgress.pages}`
+                          : 'Opening file...'}
+                      </p>
+                      <div className="w-full bg-blue-100 rounded-full h-2 mb-4">
+                        <div
+                          className="bg-blue-600 h-2 rounded-full transition-all"
+                          style={{ width: `${PDFParserWorker.batchPercent(importProgress)}%` }}
+                        ></div>
+                      </div>
+                      <button
+                        onClick={cancelImport}
+                        className="px-4 py-2 bg-white border border-blue-300 text-blue-700 rounded-lg text-sm hover:bg-blue-100"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+                </>
+              ) : (
+                <>
+                  <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-lg text-gray-600 mb-2">Drop bank statements here</p>
+                  <p className="text-sm text-gray-500 mb-1">PDF statements or CSV, OFX and QIF exports</p>
+                  <p className="text-sm text-gray-500 mb-4">or click to browse</p>
+                  <input
+                    type="file"
+                    multiple
+                    accept={StatementImporterRegistry.acceptAttribute()}
+                    onChange={(e) => {
+                      const files = Array.from(e.target.files);
+                      if (files.length > 0) {
+                        handleFileUpload(files);
+                      }
+                    }}
+                    className="hidden"
+                    id="file-upload"
+                    disabled={loading}
+                  />
+                  <label
+                    htmlFor="file-upload"
+                    className="bg-blue-600 text-white px-6 py-2 rounded-lg cursor-pointer hover:bg-blue-700 transition-colors"
+                  >
+                    Select Files
+                  </label>
+                </>
+              )}
+            </div>
+            
+            {pendingPasswords.map(request => (
+              <div key={request.id} className="mt-6 p-4 border border-yellow-200 rounded-lg">
+                <div className="flex items-center space-x-2 mb-1">
+                  <Lock className="w-5 h-5 text-yellow-700" />
+                  <h3 className="text-lg font-medium">Password protected: {request.file.name}</h3>
+                </div>
+                <p className="text-sm text-gray-600 mb-3">{StatementPasswords.hintFor(request.file.name)}</p>
+                <div className="flex items-center space-x-3">
+                  <input
+                    type="password"
+                    value={request.password}
+                    onChange={(e) => updatePasswordRequest(request.id, { password: e.target.value, error: null })}
+                    onKeyDown={(e) => e.key === 'Enter' && unlockStatement(request.id)}
+                    placeholder="Statement password"
+                    className="border border-gray-300 rounded-md px-3 py-2"
+                  />
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={request.remember}
+                      onChange={(e) => updatePasswordRequest(request.id, { remember: e.target.checked })}
+                    />
+                    <span>Remember for this account on this device</span>
+                  </label>
+                  <button
+                    onClick={() => unlockStatement(request.id)}
+                    disabled={!request.password || loading}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Unlock
+                  </button>
+                  <button
+                    onClick={() => setPendingPasswords(prev => prev.filter(r => r.id !== request.id))}
+                    className="px-4 py-2 text-sm bg-gray-100 rounded hover:bg-gray-200"
+                  >
+                    Skip
+                  </button>
+                </div>
+                {request.error && <p className="mt-2 text-sm text-red-600">{request.error}</p>}
+              </div>
+            ))}
+
+            {pendingMappings.map(request => (
+              <div key={request.id} className="mt-6 p-4 border border-blue-200 rounded-lg">
+                <h3 className="text-lg font-medium mb-1">Map CSV columns: {request.file.name}</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Tell us which column holds each field. Use either a signed Amount column or separate Debit/Credit columns.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-7 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Bank</label>
+                    <select
+                      value={request.mapping.bank}
+                      onChange={(e) => updatePendingMapping(request.id, { bank: e.target.value })}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    >
+                      {Object.values(BANK_PROFILES).map(profile => (
+                        <option key={profile.id} value={profile.id}>{profile.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {['date', 'description', 'amount', 'debit', 'credit', 'balance'].map(field => (
+                    <div key={field}>
+                      <label className="block text-sm font-medium text-gray-700 mb-1 capitalize">{field}</label>
+                      <select
+                        value={request.mapping[field]}
+                        onChange={(e) => updatePendingMapping(request.id, { [field]: e.target.value })}
+                        className="w-full border border-gray-300 rounded-md px-3 py-2"
+                      >
+                        <option value="">— none —</option>
+                        {request.preview.headers.map(header => (
+                          <option key={header} value={header}>{header}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+                
+                <div className="mt-4 overflow-x-auto">
+                  <table className="text-xs border">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {request.preview.headers.map(header => (
+                          <th key={header} className="px-2 py-1 border text-left">{header}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {request.preview.rows.slice(0, 3).map((row, i) => (
+                        <tr key={i}>
+                          {row.map((cell, j) => <td key={j} className="px-2 py-1 border">{cell}</td>)}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                
+                <div className="mt-4 flex items-center space-x-4">
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={request.saveMapping}
+                      onChange={(e) => updatePendingMapping(request.id, { saveMapping: e.target.checked })}
+                    />
+                    <span>Remember this mapping for {BANK_PROFILES[request.mapping.bank].name}</span>
+                  </label>
+                  <button
+                    onClick={() => confirmPendingMapping(request.id)}
+                    disabled={!CSVStatementImporter.isMappingComplete(request.mapping)}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Import
+                  </button>
+                  <button
+                    onClick={() => cancelPendingMapping(request.id)}
+                    className="px-4 py-2 text-sm bg-gray-100 rounded hover:bg-gray-200"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ))}
+            
+            {pendingReviews.length > 1 && (
+              <div className="mt-6 flex items-center justify-between p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+                <span className="text-blue-800">{pendingReviews.length} files are waiting for review</span>
+                <button
+                  onClick={() => confirmReviews(pendingReviews.map(review => review.id))}
+                  disabled={pendingReviews.every(review => ImportReview.hasErrors(review))}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Import all
+                </button>
+              </div>
+            )}
+
+            {pendingReviews.map(review => {
+              const preview = ImportReview.toStatement(review);
+              const { status, difference } = preview.reconciliation;
+              const shownRejected = review.rejectedRows
+                .map((rejected, index) => ({ ...rejected, index }))
+                .filter(rejected => review.showExpected || !rejected.expected);
+              const expectedCount = review.rejectedRows.filter(rejected => rejected.expected).length;
+              return (
+                <div key={review.id} className="mt-6 p-4 border border-blue-200 rounded-lg">
+                  <div className="flex items-center justify-between mb-1">
+                    <h3 className="text-lg font-medium">Review import: {review.file.name}</h3>
+                    {status === 'reconciled' && (
+                      <span className="flex items-center space-x-1 text-xs bg-green-100 text-green-800 px-2 py-1 rounded">
+                        <CheckCircle className="w-4 h-4" />
+                        <span>Reconciles with the statement balances</span>
+                      </span>
+                    )}
+                    {status === 'mismatch' && (
+                      <span className="flex items-center space-x-1 text-xs bg-red-100 text-red-800 px-2 py-1 rounded">
+                        <AlertCircle className="w-4 h-4" />
+                        <span>
+                          {difference !== null && Math.abs(difference) > BALANCE_TOLERANCE
+                            ? `Off by R${Math.abs(difference).toLocaleString()}`
+                            : `${preview.reconciliation.breaks.length} balance breaks`}
+                        </span>
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600 mb-3">
+                    {BANK_PROFILES[review.statement.bank] ? BANK_PROFILES[review.statement.bank].name : review.statement.bank}
+                    {review.statement.period && ` · ${review.statement.period.start} to ${review.statement.period.end}`}
+                    {' '}· {preview.transactions.length} of {review.rows.length} rows will be imported
+                    {statements.some(s => s.id === review.replaces) && ', replacing the rows from the earlier parse'}.
+                    {' '}Untick a row to leave it out, correct its date, amount or sign, or split it in two.
+                  </p>
+
+                  <div className="max-h-96 overflow-y-auto border rounded">
+                    <table className="w-full text-xs">
+                      <thead className="bg-gray-50 sticky top-0">
+                        <tr className="text-left text-gray-500">
+                          <th className="px-2 py-1"></th>
+                          <th className="px-2 py-1">Date</th>
+                          <th className="px-2 py-1">Description</th>
+                          <th className="px-2 py-1">Amount</th>
+                          <th className="px-2 py-1">Sign</th>
+                          <th className="px-2 py-1">Source</th>
+                          <th className="px-2 py-1">Statement line</th>
+                          <th className="px-2 py-1"></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {review.rows.map(row => {
+                          const error = ImportReview.rowError(row);
+                          return (
+                            <tr key={row.key} className={`border-t ${row.accepted ? '' : 'opacity-50'} ${error ? 'bg-red-50' : ''}`}>
+                              <td className="px-2 py-1">
+                                <input
+                                  type="checkbox"
+                                  checked={row.accepted}
+                                  onChange={(e) => updateReview(review.id, r => ImportReview.updateRow(r, row.key, { accepted: e.target.checked }))}
+                                />
+                              </td>
+                              <td className="px-2 py-1">
+                                <input
+                                  type="date"
+                                  value={row.date}
+                                  onChange={(e) => updateReview(review.id, r => ImportReview.updateRow(r, row.key, { date: e.target.value }))}
+                                  className="border border-gray-300 rounded px-1 py-0.5"
+                                />
+                              </td>
+                              <td className="px-2 py-1 max-w-xs truncate" title={row.transaction.description}>
+                                {row.transaction.description}
+                                {typeof row.transaction.ocrConfidence === 'number' && (
+                                  <span className={`ml-2 ${OCRExtractor.needsReview(row.transaction) && !row.edited ? 'text-yellow-700' : 'text-gray-500'}`}>
+                                    OCR {row.transaction.ocrConfidence}%
+                                  </span>
+                                )}
+                                {row.transaction.outsidePeriod && <span className="ml-2 text-yellow-700">outside period</span>}
+                                {error && <span className="ml-2 text-red-600">{error}</span>}
+                              </td>
+                              <td className="px-2 py-1">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  value={row.amount}
+                                  onChange={(e) => updateReview(review.id, r => ImportReview.updateRow(r, row.key, { amount: e.target.value }))}
+                                  className="w-24 border border-gray-300 rounded px-1 py-0.5 text-right"
+                                />
+                              </td>
+                              <td className="px-2 py-1">
+                                <select
+                                  value={row.sign}
+                                  onChange={(e) => updateReview(review.id, r => ImportReview.updateRow(r, row.key, { sign: e.target.value }))}
+                                  className={`border border-gray-300 rounded px-1 py-0.5 ${row.sign === 'credit' ? 'text-green-700' : 'text-red-700'}`}
+                                >
+                                  <option value="debit">Debit</option>
+                                  <option value="credit">Credit</option>
+                                </select>
+                              </td>
+                              <td className="px-2 py-1 text-gray-500 whitespace-nowrap">{row.transaction.source}</td>
+                              <td className="px-2 py-1 font-mono text-gray-600 max-w-xs truncate" title={row.transaction.rawData}>
+                                {row.transaction.rawData}
+                              </td>
+                              <td className="px-2 py-1">
+                                <button
+                                  onClick={() => updateReview(review.id, r => ImportReview.splitRow(r, row.key))}
+                                  className="text-blue-600 hover:text-blue-800"
+                                >
+                                  Split
+                                </button>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {review.rejectedRows.length > 0 && (
+                    <div className="mt-4">
+                      <div className="flex items-center justify-between mb-2">
+                        <h4 className="text-sm font-medium text-gray-700">Lines not read as transactions</h4>
+                        {expectedCount > 0 && (
+                          <label className="flex items-center space-x-2 text-xs text-gray-600">
+                            <input
+                              type="checkbox"
+                              checked={review.showExpected}
+                              onChange={(e) => updateReview(review.id, r => ({ ...r, showExpected: e.target.checked }))}
+                            />
+                            <span>Show {expectedCount} header, footer and other text lines</span>
+                          </label>
+                        )}
+                      </div>
+                      {shownRejected.length === 0 ? (
+                        <p className="text-xs text-gray-500">Only headers, footers and other text lines were skipped.</p>
+                      ) : (
+                        <div className="max-h-60 overflow-y-auto space-y-1">
+                          {shownRejected.map(rejected => (
+                            <div key={rejected.index} className="flex items-center space-x-3 text-xs bg-gray-50 px-2 py-1 rounded">
+                              <span className="text-gray-500 whitespace-nowrap">{rejected.source}</span>
+                              <span className={`whitespace-nowrap ${rejected.expected ? 'text-gray-500' : 'text-yellow-700'}`}>{rejected.reason}</span>
+                              <span className="font-mono text-gray-600 truncate flex-1" title={rejected.rawData}>{rejected.rawData}</span>
+                              <button
+                                onClick={() => updateReview(review.id, r => ImportReview.restoreRejected(r, rejected.index))}
+                                className="text-blue-600 hover:text-blue-800 whitespace-nowrap"
+                              >
+                                Add as transaction
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  <div className="mt-4 flex items-center space-x-4">
+                    <button
+                      onClick={() => confirmReviews([review.id])}
+                      disabled={ImportReview.hasErrors(review)}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Import {preview.transactions.length} transactions
+                    </button>
+                    <button
+                      onClick={() => discardReview(review.id)}
+                      className="px-4 py-2 text-sm bg-gray-100 rounded hover:bg-gray-200"
+                    >
+                      Discard file
+                    </button>
+                    {ImportReview.hasErrors(review) && (
+                      <span className="text-sm text-red-600">Fix the highlighted rows or untick them first</span>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+            
+            {accounts.length > 0 && (
+              <div className="mt-6">
+                <h3 className="text-lg font-medium mb-1">Accounts</h3>
+                <p className="text-sm text-gray-600 mb-3">
+                  Statements are grouped by the account number printed on them. Name each account and set its holder to analyse household members separately.
+                </p>
+                <div className="space-y-2">
+                  {accounts.map(account => {
+                    const statementCount = statements.filter(s => s.accountId === account.id).length;
+                    return (
+                      <div key={account.id} className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg text-sm">
+                        <span className="text-gray-500 w-40">
+                          {BANK_PROFILES[account.bank] ? BANK_PROFILES[account.bank].name : account.bank}
+                          {account.number ? ` · …${account.number.slice(-4)}` : ' · no number'}
+                        </span>
+                        <input
+                          type="text"
+                          value={account.name}
+                          onChange={(e) => updateAccount(account.id, { name: e.target.value })}
+                          className="border border-gray-300 rounded-md px-2 py-1"
+                          placeholder={AccountRegistry.label({ ...account, name: '' })}
+                        />
+                        <select
+                          value={account.type}
+                          onChange={(e) => updateAccount(account.id, { type: e.target.value })}
+                          className="border border-gray-300 rounded-md px-2 py-1"
+                        >
+                          {Object.entries(ACCOUNT_TYPES).map(([type, label]) => (
+                            <option key={type} value={type}>{label}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={account.holder}
+                          onChange={(e) => updateAccount(account.id, { holder: e.target.value })}
+                          className="border border-gray-300 rounded-md px-2 py-1"
+                          placeholder="Account holder"
+                        />
+                        <span className="text-xs text-gray-500">{statementCount} statement(s)</span>
+                        <div className="flex-1" />
+                        {statementPasswords.some(entry => entry.accountId === account.id) && (
+                          <button
+                            onClick={() => forgetStatementPassword(account.id)}
+                            className="flex items-center space-x-1 text-xs text-gray-600 hover:text-gray-800"
+                            title="A statement password is remembered for this account"
+                          >
+                            <Lock className="w-3 h-3" />
+                            <span>Forget password</span>
+                          </button>
+                        )}
+                        <button
+                          onClick={() => removeAccount(account.id)}
+                          disabled={statementCount > 0}
+                          title={statementCount > 0 ? 'Move or remove its statements first' : ''}
+                          className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+            
+            {statements.length > 0 && (
+              <div className="mt-6">
+                <h3 className="text-lg font-medium mb-3">Uploaded Statements ({transactions.length} transactions parsed)</h3>
+                <div className="space-y-2">
+                  {statements.map(statement => {
+                    const { status, difference, breaks } = statement.reconciliation;
+                    return (
+                      <div key={statement.id} className="p-3 bg-gray-50 rounded-lg">
+                        <div className="flex items-center space-x-3">
+                          <FileText className="w-5 h-5 text-gray-500" />
+                          <span className="text-sm text-gray-700">{statement.name}</span>
+                          <span className="text-xs text-gray-500">
+                            {BANK_PROFILES[statement.bank].name} · {statement.transactionCount} transactions
+                            {statement.period && ` · ${statement.period.start} to ${statement.period.end}`}
+                          </span>
+                          <select
+                            value={statement.accountId || ''}
+                            onChange={(e) => assignStatementAccount(statement.id, e.target.value)}
+                            className="text-xs border border-gray-300 rounded px-1 py-1"
+                          >
+                            {!statement.accountId && <option value="">Unassigned</option>}
+                            {accounts.map(account => (
+                              <option key={account.id} value={account.id}>{AccountRegistry.label(account)}</option>
+                            ))}
+                            <option value="new">+ New account</option>
+                          </select>
+                          {status === 'reconciled' && (
+                            <span className="flex items-center space-x-1 text-xs bg-green-100 text-green-800 px-2 py-1 rounded">
+                              <CheckCircle className="w-4 h-4" />
+                              <span>Reconciled</span>
+                            </span>
+                          )}
+                          {status === 'mismatch' && (
+                            <span className="flex items-center space-x-1 text-xs bg-red-100 text-red-800 px-2 py-1 rounded">
+                              <AlertCircle className="w-4 h-4" />
+                              <span>
+                                {difference !== null && Math.abs(difference) > BALANCE_TOLERANCE
+                                  ? `Off by R${Math.abs(difference).toLocaleString()}`
+                                  : `${breaks.length} balance breaks`}
+                              </span>
+                            </span>
+                          )}
+                          {status === 'unknown' && (
+                            <span className="text-xs bg-gray-200 text-gray-700 px-2 py-1 rounded">
+                              No opening/closing balance found
+                            </span>
+                          )}
+                          {(statement.parserVersion || 0) < PARSER_VERSION && (
+                            <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded">
+                              Parsed with an older parser
+                            </span>
+                          )}
+                          <div className="flex-1" />
+                          <button
+                            onClick={() => reparseStatement(statement.id)}
+                            disabled={loading || !statement.file}
+                            title={statement.file ? '' : 'Restored from a backup without the original file'}
+                            className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                          >
+                            Re-parse
+                          </button>
+                          <button
+                            onClick={() => removeStatement(statement.id)}
+                            className="text-xs text-red-600 hover:text-red-800"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                        {statementOverlaps[statement.id] && (
+                          <div className="mt-2 ml-8 text-xs bg-yellow-50 border border-yellow-200 text-yellow-800 px-2 py-1 rounded">
+                            Overlaps {statementOverlaps[statement.id].map(s => s.name).join(', ')} for the same account; lines found in both are listed under Suspected Duplicates
+                          </div>
+                        )}
+                        {statement.outsidePeriodCount > 0 && (
+                          <div className="mt-2 ml-8 text-xs bg-yellow-50 border border-yellow-200 text-yellow-800 px-2 py-1 rounded">
+                            {statement.outsidePeriodCount} transaction(s) dated outside the statement period
+                          </div>
+                        )}
+                        {statement.ocrPages && statement.ocrPages.length > 0 && (
+                          <div className="mt-2 ml-8 flex items-center space-x-2 text-xs bg-blue-50 border border-blue-200 text-blue-800 px-2 py-1 rounded">
+                            <span>
+                              Scanned statement: page(s) {statement.ocrPages.join(', ')} read by OCR
+                              {statement.ocrReviewCount > 0 && ` · ${statement.ocrReviewCount} transaction(s) below ${OCR_REVIEW_CONFIDENCE}% confidence`}
+                            </span>
+                            {statement.ocrReviewCount > 0 && (
+                              <button
+                                onClick={() => drillInto({ account: '', start: '', end: '', lowConfidence: true })}
+                                className="text-blue-600 hover:text-blue-800 font-medium"
+                              >
+                                Review
+                              </button>
+                            )}
+                          </div>
+                        )}
+                        {breaks.length > 0 && (
+                          <div className="mt-2 ml-8 space-y-1">
+                            {breaks.map((b, i) => (
+                              <div key={i} className="text-xs bg-red-50 border border-red-200 text-red-700 px-2 py-1 rounded">
+                                {b.source}: {b.description.substring(0, 40)} — expected balance R{b.expected.toLocaleString()}, statement shows R{b.printed.toLocaleString()}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+            
+            {(duplicateReview.suspected.length > 0 || duplicateReview.confirmed.length > 0 || duplicateReview.rejected.length > 0) && (
+              <div className="mt-6 p-4 border border-orange-200 rounded-lg">
+                <h3 className="text-lg font-medium mb-1">Suspected Duplicates ({duplicateReview.suspected.length})</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  These lines also appear in another statement of the same account. They are left out of the dashboard until you choose to drop the copy or keep both.
+                </p>
+                {statements
+                  .map(statement => ({ statement, ids: duplicateReview.suspected.filter(d => d.copy.statementId === statement.id).map(d => d.copy.id) }))
+                  .filter(({ ids }) => ids.length > 1)
+                  .map(({ statement, ids }) => (
+                    <button
+                      key={statement.id}
+                      onClick={() => setDuplicateStatus(ids, 'confirmed')}
+                      className="mr-2 mb-3 text-xs bg-orange-100 text-orange-800 px-2 py-1 rounded hover:bg-orange-200"
+                    >
+                      Drop all {ids.length} copies from {statement.name}
+                    </button>
+                  ))}
+                <div className="space-y-2">
+                  {duplicateReview.suspected.map(({ copy, original }) => (
+                    <div key={copy.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg text-sm">
+                      <div className="grid grid-cols-2 gap-6 flex-1">
+                        {[original, copy].map((t, i) => (
+                          <div key={i}>
+                            <span className="text-gray-500 mr-2">{t.date}</span>
+                            <span className="font-medium">{t.description}</span>
+                            <span className={`ml-2 ${t.amount >= 0 ? 'text-green-600' : 'text-red-600'}`}>R{t.amount.toLocaleString()}</span>
+                            <span className="block text-xs text-gray-500">
+                              {(statements.find(s => s.id === t.statementId) || { name: 'Unknown statement' }).name} · {t.source}
+                              {i === 1 && ` · ${copy.duplicateReason}`}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                      <div className="flex items-center space-x-3 ml-4">
+                        <button
+                          onClick={() => setDuplicateStatus([copy.id], 'confirmed')}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          Drop copy
+                        </button>
+                        <button
+                          onClick={() => setDuplicateStatus([copy.id], 'rejected')}
+                          className="text-gray-600 hover:text-gray-800"
+                        >
+                          Keep both
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                {(duplicateReview.confirmed.length > 0 || duplicateReview.rejected.length > 0) && (
+                  <details className="mt-4">
+                    <summary className="cursor-pointer text-sm text-gray-700">
+                      Reviewed: {duplicateReview.confirmed.length} dropped, {duplicateReview.rejected.length} kept
+                    </summary>
+                    <div className="mt-2 space-y-1">
+                      {[...duplicateReview.confirmed, ...duplicateReview.rejected].map(({ copy }) => (
+                        <div key={copy.id} className="flex items-center justify-between text-xs p-2 bg-gray-50 rounded">
+                          <span>
+                            {copy.duplicateStatus === 'confirmed' ? 'Dropped' : 'Kept'}: {copy.date} {copy.description} R{copy.amount.toLocaleString()}
+                          </span>
+                          <button
+                            onClick={() => setDuplicateStatus([copy.id], null)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Review again
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </details>
+                )}
+              </div>
+            )}
+            
+            <div className="mt-6 p-4 border border-gray-200 rounded-lg">
+              <h3 className="text-lg font-medium mb-1">Workspace Backup</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Export all transactions, manual entries and settings to one passphrase-encrypted file, or restore one on another device.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="space-y-2">
+                  <input
+                    type="password"
+                    value={backupPassphrase.passphrase}
+                    onChange={(e) => setBackupPassphrase(prev => ({ ...prev, passphrase: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    placeholder="Passphrase (at least 8 characters)"
+                  />
+                  <input
+                    type="password"
+                    value={backupPassphrase.confirm}
+                    onChange={(e) => setBackupPassphrase(prev => ({ ...prev, confirm: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    placeholder="Confirm passphrase"
+                  />
+                  <button
+                    onClick={exportWorkspace}
+                    disabled={backupPassphrase.passphrase.length < 8 || backupPassphrase.passphrase !== backupPassphrase.confirm}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Export workspace
+                  </button>
+                </div>
+                
+                <div className="space-y-2">
+                  <input
+                    type="file"
+                    accept=".json"
+                    onChange={(e) => {
+                      const file = e.target.files[0];
+                      setRestoreRequest(file ? { file, passphrase: '', payload: null, error: null } : null);
+                      e.target.value = '';
+                    }}
+                    className="text-sm"
+                  />
+                  {restoreRequest && !restoreRequest.payload && (
+                    <>
+                      <input
+                        type="password"
+                        value={restoreRequest.passphrase}
+                        onChange={(e) => setRestoreRequest(prev => ({ ...prev, passphrase: e.target.value }))}
+                        className="w-full border border-gray-300 rounded-md px-3 py-2"
+                        placeholder={`Passphrase for ${restoreRequest.file.name}`}
+                      />
+                      <button
+                        onClick={decryptBackup}
+                        disabled={!restoreRequest.passphrase}
+                        className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        Import workspace
+                      </button>
+                    </>
+                  )}
+                  {restoreRequest && restoreRequest.error && (
+                    <p className="text-sm text-red-600">{restoreRequest.error}</p>
+                  )}
+                  {restoreRequest && restoreRequest.payload && (
+                    <div className="text-sm text-gray-700 space-y-2">
+                      <p>
+                        Backup from {restoreRequest.payload.exportedAt.substring(0, 10)}: {restoreRequest.payload.transactions.length} transactions,
+                        {' '}{restoreRequest.payload.manualEntries.length} manual entries, {restoreRequest.payload.statements.length} statements.
+                      </p>
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => applyBackup('merge')}
+                          className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700"
+                        >
+                          Merge into current data
+                        </button>
+                        <button
+                          onClick={() => applyBackup('replace')}
+                          className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700"
+                        >
+                          Replace current data
+                        </button>
+                        <button
+                          onClick={() => setRestoreRequest(null)}
+                          className="px-4 py-2 text-sm bg-gray-100 rounded hover:bg-gray-200"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Manual Entry Tab */}
+        {activeTab === 'manual' && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-xl font-semibold mb-4">Add Manual Entry</h2>
+              <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                  <input
+                    type="date"
+                    value={newEntry.date}
+                    onChange={(e) => setNewEntry(prev => ({ ...prev, date: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                  <input
+                    type="text"
+                    value={newEntry.description}
+                    onChange={(e) => setNewEntry(prev => ({ ...prev, description: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    placeholder="Transaction description"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={newEntry.amount}
+                    onChange={(e) => setNewEntry(prev => ({ ...prev, amount: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    placeholder="0.00"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <select
+                    value={newEntry.type}
+                    onChange={(e) => setNewEntry(prev => ({ ...prev, type: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                  >
+                    <option value="expense">Expense</option>
+                    <option value="income">Income</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                  <select
+                    value={newEntry.category}
+                    onChange={(e) => setNewEntry(prev => ({ ...prev, category: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                  >
+                    {categories.filter(c => !c.parent).map(({ name }) => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Account</label>
+                  <select
+                    value={newEntry.accountId}
+                    onChange={(e) => setNewEntry(prev => ({ ...prev, accountId: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                  >
+                    <option value="">No account (cash)</option>
+                    {accounts.map(account => (
+                      <option key={account.id} value={account.id}>{AccountRegistry.label(account)}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="mt-4">
+                <button
+                  onClick={addManualEntry}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700"
+                >
+                  Add Entry
+                </button>
+              </div>
+            </div>
+
+            {manualEntries.length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold mb-4">Manual Entries</h3>
+                <div className="space-y-2">
+                  {manualEntries.map(entry => (
+                    <div key={entry.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                      <div className="flex items-center space-x-4">
+                        <span className="text-sm text-gray-500">{entry.date}</span>
+                        <span className="font-medium">{entry.description}</span>
+                        <span className="text-sm bg-blue-100 text-blue-800 px-2 py-1 rounded">{entry.category}</span>
+                      </div>
+                      <div className="flex items-center space-x-3">
+                        <span className={`font-semibold ${entry.amount >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                          R{Math.abs(entry.amount).toLocaleString()}
+                        </span>
+                        <button
+                          onClick={() => deleteManualEntry(entry.id)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Dashboard Tab */}
+        {activeTab === 'dashboard' && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-sm p-4">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-4">
+                  <Calendar className="w-5 h-5 text-gray-500" />
+                  <select
+                    value={reportPeriod.kind}
+                    onChange={(e) => setReportPeriod(prev => ({ ...prev, kind: e.target.value }))}
+                    className="border rounded px-3 py-2"
+                  >
+                    {PERIOD_KINDS.map(kind => (
+                      <option key={kind.id} value={kind.id}>{kind.name}</option>
+                    ))}
+                  </select>
+                  {reportPeriod.kind === 'taxYear' && (
+                    <select
+                      value={reportPeriod.taxYear}
+                      onChange={(e) => setReportPeriod(prev => ({ ...prev, taxYear: parseInt(e.target.value, 10) }))}
+                      className="border rounded px-3 py-2"
+                    >
+                      {taxYears.map(year => (
+                        <option key={year} value={year}>{year - 1}/{String(year).substring(2)}</option>
+                      ))}
+                    </select>
+                  )}
+                  {(reportPeriod.kind === 'calendarYear' || reportPeriod.kind === 'quarter') && (
+                    <select
+                      value={reportPeriod.year}
+                      onChange={(e) => setReportPeriod(prev => ({ ...prev, year: parseInt(e.target.value, 10) }))}
+                      className="border rounded px-3 py-2"
+                    >
+                      {calendarYears.map(year => (
+                        <option key={year} value={year}>{year}</option>
+                      ))}
+                    </select>
+                  )}
+                  {reportPeriod.kind === 'quarter' && (
+                    <select
+                      value={reportPeriod.quarter}
+                      onChange={(e) => setReportPeriod(prev => ({ ...prev, quarter: parseInt(e.target.value, 10) }))}
+                      className="border rounded px-3 py-2"
+                    >
+                      {[1, 2, 3, 4].map(quarter => (
+                        <option key={quarter} value={quarter}>Q{quarter}</option>
+                      ))}
+                    </select>
+                  )}
+                  {reportPeriod.kind === 'custom' && (
+                    <>
+                      <input
+                        type="date"
+                        value={reportPeriod.start}
+                        onChange={(e) => setReportPeriod(prev => ({ ...prev, start: e.target.value }))}
+                        className="border rounded px-3 py-2"
+                      />
+                      <span className="text-gray-500">to</span>
+                      <input
+                        type="date"
+                        value={reportPeriod.end}
+                        onChange={(e) => setReportPeriod(prev => ({ ...prev, end: e.target.value }))}
+                        className="border rounded px-3 py-2"
+                      />
+                    </>
+                  )}
+                  {analytics.periodRange && reportPeriod.kind !== 'custom' && (
+                    <span className="text-sm text-gray-500">{analytics.periodRange.start} to {analytics.periodRange.end}</span>
+                  )}
+                  <Wallet className="w-5 h-5 text-gray-500" />
+                  <select
+                    value={accountFilter}
+                    onChange={(e) => setAccountFilter(e.target.value)}
+                    className="border rounded px-3 py-2"
+                  >
+                    <option value="">All accounts</option>
+                    {AccountRegistry.holders(accounts).length > 0 && (
+                      <optgroup label="Holder">
+                        {AccountRegistry.holders(accounts).map(holder => (
+                          <option key={holder} value={`holder:${holder}`}>{holder}</option>
+                        ))}
+                      </optgroup>
+                    )}
+                    {accounts.length > 0 && (
+                      <optgroup label="Account">
+                        {accounts.map(account => (
+                          <option key={account.id} value={`account:${account.id}`}>{AccountRegistry.label(account)}</option>
+                        ))}
+                      </optgroup>
+                    )}
+                  </select>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <Download className="w-4 h-4 text-gray-500" />
+                  {[
+                    { format: 'pdf', label: 'PDF report' },
+                    { format: 'xlsx', label: 'Excel' },
+                    { format: 'csv', label: 'CSV' }
+                  ].map(({ format, label }) => (
+                    <button
+                      key={format}
+                      onClick={() => exportReport(format)}
+                      disabled={exporting !== null || analytics.transactionCount === 0}
+                      className="text-sm border border-gray-300 rounded px-3 py-1 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      {exporting === format ? 'Exporting...' : label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="flex justify-end mt-2">
+                <div className="text-sm text-gray-600">
+                  {analytics.transactionCount} transactions analyzed
+                  {analytics.transfersExcluded > 0 && ` · ${analytics.transfersExcluded} transfers excluded`}
+                  {analytics.duplicatesExcluded > 0 && ` · ${analytics.duplicatesExcluded} duplicates excluded`}
+                </div>
+              </div>
+              {coverageGaps.length > 0 && (
+                <div className="mt-3 text-sm bg-yellow-50 border border-yellow-200 text-yellow-800 px-3 py-2 rounded space-y-1">
+                  <p className="font-medium">Missing statements in this period:</p>
+                  {coverageGaps.map(gap => {
+                    // Statements without an account are keyed by their own id
+                    const account = accounts.find(a => a.id === gap.key);
+                    const statement = statements.find(s => s.id === gap.key);
+                    return (
+                      <p key={gap.key}>
+                        {account ? AccountRegistry.label(account) : (statement ? statement.name : 'Unassigned')}: {gap.months.join(', ')}
+                      </p>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+
+            {budgetAlerts.length > 0 && (
+              <div className="space-y-2">
+                {budgetAlerts.map(row => (
+                  <div
+                    key={row.category}
+                    className={`flex items-center text-sm px-4 py-2 rounded border ${
+                      row.alert.level === 'over' ? 'bg-red-50 border-red-200 text-red-800' : 'bg-yellow-50 border-yellow-200 text-yellow-800'
+                    }`}
+                  >
+                    <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+                    {row.category} is {row.alert.label} for {budgetMonth}: R{Math.round(row.spent).toLocaleString()} of R{Math.round(row.available).toLocaleString()}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Key Metrics */}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">Total Income</p>
+                    <p className="text-2xl font-bold text-green-600">R{analytics.totalIncome.toLocaleString()}</p>
+                  </div>
+                  <DollarSign className="w-8 h-8 text-green-600" />
+                </div>
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">Total Expenses</p>
+                    <p className="text-2xl font-bold text-red-600">R{analytics.totalExpenses.toLocaleString()}</p>
+                  </div>
+                  <TrendingUp className="w-8 h-8 text-red-600" />
+                </div>
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">Net Cash Flow</p>
+                    <p className={`text-2xl font-bold ${analytics.netCashFlow >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      R{analytics.netCashFlow.toLocaleString()}
+                    </p>
+                  </div>
+                  <TrendingUp className="w-8 h-8 text-blue-600" />
+                </div>
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">Estimated Tax {analytics.taxEstimate.result.table.label}</p>
+                    <p className="text-2xl font-bold text-orange-600">R{Math.round(analytics.taxLiability).toLocaleString()}</p>
+                    <p className="text-xs text-gray-500">
+                      {analytics.taxEstimate.projection.monthsRemaining > 0
+                        ? `Actual to ${analytics.taxEstimate.projection.through} + ${analytics.taxEstimate.projection.monthsRemaining} months projected`
+                        : 'Actual income for the year'}
+                    </p>
+                  </div>
+                  <Calculator className="w-8 h-8 text-orange-600" />
+                </div>
+              </div>
+            </div>
+
+            {accountBalances.length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold mb-4">Account Balances</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {accountBalances.map(({ account, balance, asOf }) => (
+                    <div key={account.id} className="p-4 bg-gray-50 rounded-lg">
+                      <p className="text-sm font-medium text-gray-700">{AccountRegistry.label(account)}</p>
+                      <p className="text-xs text-gray-500 mb-2">
+                        {ACCOUNT_TYPES[account.type]}{account.holder && ` · ${account.holder}`}
+                      </p>
+                      {balance !== null ? (
+                        <>
+                          <p className={`text-xl font-bold ${balance >= 0 ? 'text-gray-900' : 'text-red-600'}`}>R{balance.toLocaleString()}</p>
+                          <p className="text-xs text-gray-500">as at {asOf}</p>
+                        </>
+                      ) : (
+                        <p className="text-sm text-gray-500">No balance on its statements</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
 
-    const monthlyData = {};
-    relevantTransactions.forEach(t => {
-      const month = t.date.substring(0, 7);
-      if (!monthlyData[month]) {
-        monthlyData[month] = { month, income: 0, expenses: 0 };
-      }
-      if (t.isIncome) {
-        monthlyData[month].income += t.amount;
-      } else if (t.amount < 0) {
-        monthlyData[month].expenses += Math.abs(t.amount);
-      }
-    });
+            {/* Charts */}
+            <div ref={dashboardChartsRef} className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold mb-1">Monthly Income vs Expenses</h3>
+                <p className="text-xs text-gray-500 mb-3">Click a month to see its transactions</p>
+                <ResponsiveContainer width="100%" height={300}>
+                  <AreaChart
+                    data={analytics.monthlyData}
+                    onClick={(state) => state && state.activeLabel && drillInto({ month: state.activeLabel })}
+                    className="cursor-pointer"
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="month" />
+                    <YAxis />
+                    <Tooltip formatter={(value) => [`R${value.toLocaleString()}`, '']} />
+                    <Legend />
+                    <Area type="monotone" dataKey="income" stackId="1" stroke="#10b981" fill="#10b981" fillOpacity={0.6} />
+                    <Area type="monotone" dataKey="expenses" stackId="2" stroke="#ef4444" fill="#ef4444" fillOpacity={0.6} />
+                  </AreaChart>
+                </ResponsiveContainer>
+              </div>
 
-    const monthlyArray = Object.values(monthlyData).sort((a, b) => a.month.localeCompare(b.month));
-    const annualIncome = income * (12 / (monthlyArray.length || 1));
-    const taxLiability = calculateTax(annualIncome);
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold mb-1">Expense Categories</h3>
+                <p className="text-xs text-gray-500 mb-3">Click a slice to see its transactions</p>
+                <ResponsiveContainer width="100%" height={300}>
+                  <RechartsPieChart>
+                    <Pie
+                      data={Object.entries(analytics.categoryBreakdown).map(([name, value]) => ({ name, value }))}
+                      cx="50%"
+                      cy="50%"
+                      labelLine={false}
+                      label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
+                      outerRadius={80}
+                      fill="#8884d8"
+                      dataKey="value"
+                      onClick={(slice) => drillInto({ category: slice.name, direction: 'expense' })}
+                      className="cursor-pointer"
+                    >
+                      {Object.entries(analytics.categoryBreakdown).map((entry, index) => (
+                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                      ))}
+                    </Pie>
+                    <Tooltip formatter={(value) => `R${value.toLocaleString()}`} />
+                  </RechartsPieChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
 
-    return {
-      totalIncome: income,
-      totalExpenses: expenses,
-      netCashFlow: income - expenses,
-      categoryBreakdown,
-      monthlyData: monthlyArray,
-      annualIncome,
-      taxLiability,
-      netIncome: annualIncome - taxLiability,
-      averageMonthlyIncome: income / (monthlyArray.length || 1),
-      averageMonthlyExpenses: expenses / (monthlyArray.length || 1),
-      transactionCount: relevantTransactions.length,
-      transfersExcluded: filteredTransactions.length - relevantTransactions.length
-    };
-  }, [transactions, manualEntries, dateRange, calculateTax]);
+            {/* Budgets */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center space-x-2">
+                  <PiggyBank className="w-5 h-5 text-gray-500" />
+                  <h3 className="text-lg font-semibold">Budget vs Actual</h3>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="month"
+                    value={budgetMonth}
+                    onChange={(e) => e.target.value && setBudgetMonth(e.target.value)}
+                    className="border rounded px-3 py-2 text-sm"
+                  />
+                  <button
+                    onClick={() => setBudgets(prev => BudgetPlanner.copyActuals(prev, budgetSpending, budgetMonth))}
+                    className="text-sm border border-gray-300 rounded px-3 py-2 hover:bg-gray-50"
+                  >
+                    Copy last month's actuals
+                  </button>
+                  {budgets.months[budgetMonth] && (
+                    <button
+                      onClick={() => setBudgets(prev => BudgetPlanner.clearMonth(prev, budgetMonth))}
+                      className="text-sm text-gray-600 hover:text-gray-800 px-2"
+                    >
+                      Use standing limits
+                    </button>
+                  )}
+                </div>
+              </div>
+              <p className="text-sm text-gray-600 mb-4">
+                {budgets.months[budgetMonth]
+                  ? `Limits below apply to ${budgetMonth} only.`
+                  : 'Limits below apply to every month until you set limits for a single month.'}
+                {' '}With roll-over on, what is left over (or overspent) carries into the next month.
+              </p>
+              <div className="space-y-3">
+                {budgetReport.map(row => (
+                  <div key={row.category} className="grid grid-cols-12 gap-3 items-center text-sm">
+                    <span className="col-span-2 font-medium">{row.category}</span>
+                    <div className="col-span-5">
+                      {row.available !== null ? (
+                        <div className="w-full bg-gray-200 rounded-full h-2">
+                          <div
+                            className={`h-2 rounded-full ${
+                              row.alert && row.alert.level === 'over' ? 'bg-red-500' : (row.alert ? 'bg-yellow-500' : 'bg-green-500')
+                            }`}
+                            style={{ width: `${Math.min(100, row.ratio * 100)}%` }}
+                          />
+                        </div>
+                      ) : (
+                        <span className="text-gray-400">No budget</span>
+                      )}
+                    </div>
+                    <span className="col-span-2 text-right text-gray-700">
+                      R{Math.round(row.spent).toLocaleString()}
+                      {row.available !== null && ` / R${Math.round(row.available).toLocaleString()}`}
+                      {row.carried !== 0 && (
+                        <span className="block text-xs text-gray-500">
+                          {row.carried > 0 ? '+' : '-'}R{Math.round(Math.abs(row.carried)).toLocaleString()} rolled over
+                        </span>
+                      )}
+                    </span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={row.limit === undefined ? '' : row.limit}
+                      onChange={(e) => setBudgets(prev => BudgetPlanner.setLimit(
+                        prev, row.category, e.target.value, prev.months[budgetMonth] ? budgetMonth : null
+                      ))}
+                      placeholder="Limit"
+                      className="col-span-2 border border-gray-300 rounded px-2 py-1 text-right"
+                    />
+                    <label className="col-span-1 flex items-center space-x-1 text-xs text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={!!budgets.rollover[row.category]}
+                        onChange={(e) => setBudgets(prev => BudgetPlanner.setRollover(prev, row.category, e.target.checked ? budgetMonth : null))}
+                      />
+                      <span>Roll over</span>
+                    </label>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
 
-  const COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff7300', '#8dd1e1', '#d084d0', '#87d068'];
+        {/* Categories Tab */}
+        {activeTab === 'categories' && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold">Transaction Ledger</h2>
+              <div className="text-sm text-gray-600">
+                {ledgerRows.length} of {transactions.length + manualEntries.length} transactions ·
+                {' '}in R{Math.round(ledgerRows.filter(t => t.amount > 0).reduce((sum, t) => sum + t.amount, 0)).toLocaleString()}
+                {' '}· out R{Math.round(ledgerRows.filter(t => t.amount < 0).reduce((sum, t) => sum + Math.abs(t.amount), 0)).toLocaleString()}
+              </div>
+            </div>
 
-  return (
-    <div className="min-h-screen bg-gray-50 p-4">
-      <div className="max-w-7xl mx-auto">
-        {/* Header */}
-        <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
-          <h1 className="text-3xl font-bold text-gray-900 mb-2">Bank Statement Financial Analyzer</h1>
-          <p className="text-gray-600">Upload bank statements to analyze income, expenses, and tax liability with South African tax calculations</p>
-        </div>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-3 text-sm">
+              <input
+                type="text"
+                value={ledgerFilter.search}
+                onChange={(e) => setLedgerFilter(prev => ({ ...prev, search: e.target.value }))}
+                placeholder="Search descriptions, categories, dates or amounts"
+                className="md:col-span-2 border border-gray-300 rounded px-3 py-2"
+              />
+              <select
+                value={ledgerFilter.category}
+                onChange={(e) => setLedgerFilter(prev => ({ ...prev, category: e.target.value }))}
+                className="border border-gray-300 rounded px-3 py-2"
+              >
+                <option value="">All categories</option>
+                {categories.filter(c => !c.parent).flatMap(parent => [
+                  <option key={parent.name} value={parent.name}>{parent.name}</option>,
+                  ...categories.filter(c => c.parent === parent.name).map(sub => (
+                    <option key={`${parent.name}|${sub.name}`} value={`${parent.name}|${sub.name}`}>
+                      {parent.name} › {sub.name}
+                    </option>
+                  ))
+                ])}
+              </select>
+              <select
+                value={ledgerFilter.account}
+                onChange={(e) => setLedgerFilter(prev => ({ ...prev, account: e.target.value }))}
+                className="border border-gray-300 rounded px-3 py-2"
+              >
+                <option value="">All accounts</option>
+                {accounts.map(account => (
+                  <option key={account.id} value={`account:${account.id}`}>{AccountRegistry.label(account)}</option>
+                ))}
+                {AccountRegistry.holders(accounts).map(holder => (
+                  <option key={holder} value={`holder:${holder}`}>All of {holder}'s accounts</option>
+                ))}
+              </select>
+              <select
+                value={ledgerFilter.direction}
+                onChange={(e) => setLedgerFilter(prev => ({ ...prev, direction: e.target.value }))}
+                className="border border-gray-300 rounded px-3 py-2"
+              >
+                <option value="all">Income and expenses</option>
+                <option value="income">Income only</option>
+                <option value="expense">Expenses only</option>
+              </select>
+              <select
+                value={ledgerFilter.source}
+                onChange={(e) => setLedgerFilter(prev => ({ ...prev, source: e.target.value }))}
+                className="border border-gray-300 rounded px-3 py-2"
+              >
+                <option value="">All sources</option>
+                {LEDGER_SOURCES.map(source => (
+                  <option key={source.id} value={source.id}>{source.name}</option>
+                ))}
+              </select>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="number"
+                  min="0"
+                  value={ledgerFilter.minAmount}
+                  onChange={(e) => setLedgerFilter(prev => ({ ...prev, minAmount: e.target.value }))}
+                  placeholder="Min R"
+                  className="w-full border border-gray-300 rounded px-3 py-2"
+                />
+                <span className="text-gray-500">to</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={ledgerFilter.maxAmount}
+                  onChange={(e) => setLedgerFilter(prev => ({ ...prev, maxAmount: e.target.value }))}
+                  placeholder="Max R"
+                  className="w-full border border-gray-300 rounded px-3 py-2"
+                />
+              </div>
+              <input
+                type="month"
+                value={ledgerFilter.month}
+                onChange={(e) => setLedgerFilter(prev => ({ ...prev, month: e.target.value }))}
+                className="border border-gray-300 rounded px-3 py-2"
+              />
+            </div>
 
-        {/* Navigation */}
-        <div className="bg-white rounded-lg shadow-sm mb-6">
-          <nav className="flex space-x-8 px-6">
-            {[
-              { id: 'upload', name: 'Upload', icon: Upload },
-              { id: 'manual', name: 'Manual Entry', icon: FileText },
-              { id: 'dashboard', name: 'Dashboard', icon: TrendingUp },
-              { id: 'categories', name: 'Categories', icon: PieChart },
-              { id: 'tax', name: 'Tax Analysis', icon: Calculator },
-              { id: 'forecast', name: 'Forecast', icon: Target }
-            ].map(({ id, name, icon: Icon }) => (
+            {(ledgerFilter.start || ledgerFilter.end) && (
+              <div className="mb-3 flex items-center space-x-2 text-sm">
+                <span className="bg-blue-50 text-blue-800 px-2 py-1 rounded">
+                  Dashboard period: {ledgerFilter.start} to {ledgerFilter.end}
+                </span>
+                <button
+                  onClick={() => setLedgerFilter(prev => ({ ...prev, start: '', end: '' }))}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  Show all dates
+                </button>
+              </div>
+            )}
+            {ledgerFilter.lowConfidence && (
+              <div className="mb-3 flex items-center space-x-2 text-sm">
+                <span className="bg-yellow-50 text-yellow-800 px-2 py-1 rounded">
+                  Scanned rows read below {OCR_REVIEW_CONFIDENCE}% OCR confidence: check the date and amount against the statement
+                </span>
+                <button
+                  onClick={() => setLedgerFilter(prev => ({ ...prev, lowConfidence: false }))}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  Show all
+                </button>
+              </div>
+            )}
+            {Object.keys(DEFAULT_LEDGER_FILTER).some(key => ledgerFilter[key] !== DEFAULT_LEDGER_FILTER[key]) && (
               <button
-                key={id}
-                onClick={() => setActiveTab(id)}
-                className={`flex items-center space-x-2 py-4 px-2 border-b-2 font-medium text-sm ${
-                  activeTab === id
-                    ? 'border-blue-500 text-blue-600'
-                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-                }`}
+                onClick={() => setLedgerFilter(DEFAULT_LEDGER_FILTER)}
+                className="mb-3 text-sm text-gray-600 hover:text-gray-800"
               >
-                <Icon className="w-4 h-4" />
-                <span>{name}</span>
+                Clear filters
               </button>
-            ))}
-          </nav>
-        </div>
+            )}
 
-        {/* Upload Tab */}
-        {activeTab === 'upload' && (
-          <div className="bg-white rounded-lg shadow-sm p-6">
-            <h2 className="text-xl font-semibold mb-4">Upload Bank Statements</h2>
-            <div
-              className={`border-2 border-dashed rounded-lg p-12 text-center transition-colors ${
-                loading 
-                  ? 'border-blue-400 bg-blue-50' 
-                  : 'border-gray-300 hover:border-blue-400'
-              }`}
-              onDrop={(e) => {
-                e.preventDefault();
-                if (!loading) {
-                  const files = Array.from(e.dataTransfer.files).filter(f => f.type === 'application/pdf');
-                  if (files.length > 0) {
-                    handleFileUpload(files);
-                  }
-                }
-              }}
-              onDragOver={(e) => e.preventDefault()}
-            >
-              {loading ? (
-                <>
-                  <div className="w-12 h-12 border-4 border-blue-200 border-t-blue-600 rounded-full animate-spin mx-auto mb-4"></div>
-                  <p className="text-lg text-blue-600 mb-2">Processing PDF files...</p>
-                  <p className="text-sm text-blue-500">Check console for detailed parsing logs</p>
-                </>
-              ) : (
-                <>
-                  <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-                  <p className="text-lg text-gray-600 mb-2">Drop PDF bank statements here</p>
-                  <p className="text-sm text-gray-500 mb-4">or click to browse</p>
-                  <input
-                    type="file"
-                    multiple
-                    accept=".pdf"
-                    onChange={(e) => {
-                      const files = Array.from(e.target.files);
-                      if (files.length > 0) {
-                        handleFileUpload(files);
-                      }
-                    }}
-                    className="hidden"
-                    id="file-upload"
-                    disabled={loading}
-                  />
-                  <label
-                    htmlFor="file-upload"
-                    className="bg-blue-600 text-white px-6 py-2 rounded-lg cursor-pointer hover:bg-blue-700 transition-colors"
+            {ruleSuggestion && (
+              <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded-lg flex items-center justify-between">
+                <p className="text-sm text-blue-800">
+                  Always file <span className="font-mono font-medium">{ruleSuggestion.merchant}</span> under{' '}
+                  <strong>{ruleSuggestion.rule.category}{ruleSuggestion.rule.subcategory ? ` › ${ruleSuggestion.rule.subcategory}` : ''}</strong>?
+                  {ruleSuggestion.similarCount > 0 && ` This also updates ${ruleSuggestion.similarCount} similar transaction(s).`}
+                </p>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={acceptRuleSuggestion}
+                    className="bg-blue-600 text-white px-3 py-1 rounded-md text-sm hover:bg-blue-700"
                   >
-                    Select PDF Files
-                  </label>
-                </>
-              )}
-            </div>
+                    Create rule
+                  </button>
+                  <button
+                    onClick={() => setRuleSuggestion(null)}
+                    className="px-3 py-1 text-sm bg-gray-100 rounded hover:bg-gray-200"
+                  >
+                    Just this one
+                  </button>
+                </div>
+              </div>
+            )}
             
-            <div className="mt-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
-              <h4 className="font-medium text-yellow-800 mb-2">🔧 Enhanced Debugging Parser</h4>
-              <ul className="text-sm text-yellow-700 space-y-1">
-                <li>• This version has enhanced debugging and more flexible pattern matching</li>
-                <li>• Check browser console (F12) for detailed step-by-step parsing logs</li>
-                <li>• The parser now attempts to find transactions even with imperfect data</li>
-                <li>• Report any issues with console logs for quick fixes</li>
-              </ul>
+            <div className="grid grid-cols-12 gap-3 px-2 py-2 text-xs font-medium text-gray-500 border-b">
+              {[
+                { key: 'date', label: 'Date', span: 'col-span-2' },
+                { key: 'description', label: 'Description', span: 'col-span-4' },
+                { key: 'amount', label: 'Amount', span: 'col-span-2 text-right' },
+                { key: 'category', label: 'Category', span: 'col-span-4' }
+              ].map(({ key, label, span }) => (
+                <button key={key} onClick={() => sortLedger(key)} className={`${span} text-left hover:text-gray-800`}>
+                  {label}{ledgerSort.key === key ? (ledgerSort.direction === 'asc' ? ' ▲' : ' ▼') : ''}
+                </button>
+              ))}
             </div>
-            
-            {statements.length > 0 && (
-              <div className="mt-6">
-                <h3 className="text-lg font-medium mb-3">Uploaded Statements ({transactions.length} transactions parsed)</h3>
-                <div className="space-y-2">
-                  {statements.map((file, index) => (
-                    <div key={index} className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg">
-                      <FileText className="w-5 h-5 text-gray-500" />
-                      <span className="text-sm text-gray-700">{file.name}</span>
-                      <CheckCircle className="w-5 h-5 text-green-500" />
-                    </div>
-                  ))}
-                </div>
-                
-                <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-                  <details>
-                    <summary className="cursor-pointer font-medium text-blue-800 mb-2">
-                      🔍 Enhanced Debug Info (Click to expand)
-                    </summary>
-                    <div className="text-sm text-blue-700 space-y-2">
-                      <p><strong>Total transactions found:</strong> {transactions.length}</p>
-                      <p><strong>Income transactions:</strong> {transactions.filter(t => t.isIncome).length}</p>
-                      <p><strong>Expense transactions:</strong> {transactions.filter(t => !t.isIncome && t.amount < 0).length}</p>
-                      
-                      {transactions.length > 0 && (
-                        <div className="mt-3">
-                          <p><strong>Sample transactions:</strong></p>
-                          <div className="bg-white p-2 rounded border max-h-40 overflow-y-auto">
-                            {transactions.slice(0, 10).map((t, i) => (
-                              <div key={i} className="text-xs py-1 border-b last:border-b-0">
-                                {t.date} | {t.description.substring(0, 30)}... | R{t.amount} | {t.source || 'Manual'}
-                              </div>
-                            ))}
+
+            {ledgerRows.length === 0 && (
+              <p className="text-sm text-gray-500 py-6 text-center">No transactions match these filters.</p>
+            )}
+            {(() => {
+              // Only the rows in view (plus a margin) are rendered; spacers keep the scrollbar true to size
+              const { start, end, paddingTop, paddingBottom } = TransactionLedger.visibleRange(ledgerScroll, ledgerRows.length);
+              return (
+                <div
+                  className="overflow-y-auto"
+                  style={{ maxHeight: LEDGER_VIEWPORT_HEIGHT }}
+                  onScroll={(e) => setLedgerScroll(e.currentTarget.scrollTop)}
+                >
+                  <div style={{ paddingTop, paddingBottom }}>
+                    {ledgerRows.slice(start, end).map(t => {
+                      const suggestion = categorySuggestions[t.id];
+                      return (
+                        <div
+                          key={t.id}
+                          className="grid grid-cols-12 gap-3 items-center px-2 border-b text-sm"
+                          style={{ height: LEDGER_ROW_HEIGHT }}
+                        >
+                          <span className="col-span-2 text-gray-500">{t.date}</span>
+                          <div className="col-span-4 truncate">
+                            <span className="font-medium" title={t.description}>{t.description}</span>
+                            {t.isManual && <span className="ml-2 text-xs text-gray-500">manual</span>}
+                            {t.isTransfer && <span className="ml-2 text-xs text-blue-600">transfer</span>}
+                            {t.isDuplicate && <span className="ml-2 text-xs text-orange-600">duplicate</span>}
+                            {typeof t.ocrConfidence === 'number' && (
+                              <span
+                                className={`ml-2 text-xs ${OCRExtractor.needsReview(t) ? 'text-yellow-700' : 'text-gray-500'}`}
+                                title={`Read by OCR from ${t.source}: "${t.rawData}"`}
+                              >
+                                OCR {t.ocrConfidence}%
+                              </span>
+                            )}
+                          </div>
+                          <span className={`col-span-2 font-semibold text-right ${t.amount >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            R{Math.abs(t.amount).toLocaleString()}
+                          </span>
+                          <div className="col-span-4 flex items-center space-x-2">
+                            <select
+                              value={`${t.category}|${t.subcategory || ''}`}
+                              onChange={(e) => {
+                                const [category, subcategory] = e.target.value.split('|');
+                                recategorizeTransaction(t, category, subcategory);
+                              }}
+                              className="border border-gray-300 rounded-md px-2 py-1 min-w-0 flex-1"
+                            >
+                              {categories.filter(c => !c.parent).flatMap(parent => [
+                                <option key={parent.name} value={`${parent.name}|`}>{parent.name}</option>,
+                                ...categories.filter(c => c.parent === parent.name).map(sub => (
+                                  <option key={`${parent.name}|${sub.name}`} value={`${parent.name}|${sub.name}`}>
+                                    {parent.name} › {sub.name}
+                                  </option>
+                                ))
+                              ])}
+                            </select>
+                            {suggestion && (
+                              <button
+                                onClick={() => recategorizeTransaction(t, suggestion.category, suggestion.subcategory)}
+                                className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded hover:bg-yellow-200 whitespace-nowrap"
+                                title={`Suggested from similar transactions: ${suggestion.category}${suggestion.subcategory ? ` › ${suggestion.subcategory}` : ''}`}
+                              >
+                                {suggestion.subcategory || suggestion.category}?
+                              </button>
+                            )}
                           </div>
                         </div>
-                      )}
-                      
-                      <p className="text-xs text-blue-600 mt-2">
-                        💡 Enhanced parser with flexible pattern matching. All parsing steps logged to console.
-                      </p>
-                    </div>
-                  </details>
+                      );
+                    })}
+                  </div>
                 </div>
-              </div>
-            )}
+              );
+            })()}
           </div>
         )}
 
-        {/* Manual Entry Tab */}
-        {activeTab === 'manual' && (
+        {/* Rules Tab */}
+        {activeTab === 'rules' && (
           <div className="space-y-6">
             <div className="bg-white rounded-lg shadow-sm p-6">
-              <h2 className="text-xl font-semibold mb-4">Add Manual Entry</h2>
-              <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+              <h2 className="text-xl font-semibold mb-4">{categoryRules.some(r => r.id === ruleDraft.id) ? 'Edit Rule' : 'Add Categorisation Rule'}</h2>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
-                  <input
-                    type="date"
-                    value={newEntry.date}
-                    onChange={(e) => setNewEntry(prev => ({ ...prev, date: e.target.value }))}
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                  <select
+                    value={ruleDraft.matchType}
+                    onChange={(e) => setRuleDraft(prev => ({ ...prev, matchType: e.target.value }))}
                     className="w-full border border-gray-300 rounded-md px-3 py-2"
-                  />
+                  >
+                    <option value="contains">contains</option>
+                    <option value="exact">is exactly</option>
+                    <option value="regex">matches regex</option>
+                  </select>
                 </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Text or pattern</label>
                   <input
                     type="text"
-                    value={newEntry.description}
-                    onChange={(e) => setNewEntry(prev => ({ ...prev, description: e.target.value }))}
+                    value={ruleDraft.pattern}
+                    onChange={(e) => setRuleDraft(prev => ({ ...prev, pattern: e.target.value }))}
                     className="w-full border border-gray-300 rounded-md px-3 py-2"
-                    placeholder="Transaction description"
+                    placeholder={ruleDraft.matchType === 'regex' ? '^POS PURCHASE .*CHECKERS' : 'WOOLWORTHS'}
                   />
                 </div>
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
                   <input
                     type="number"
-                    step="0.01"
-                    value={newEntry.amount}
-                    onChange={(e) => setNewEntry(prev => ({ ...prev, amount: e.target.value }))}
+                    value={ruleDraft.priority}
+                    onChange={(e) => setRuleDraft(prev => ({ ...prev, priority: e.target.value }))}
                     className="w-full border border-gray-300 rounded-md px-3 py-2"
-                    placeholder="0.00"
                   />
                 </div>
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Direction</label>
                   <select
-                    value={newEntry.type}
-                    onChange={(e) => setNewEntry(prev => ({ ...prev, type: e.target.value }))}
+                    value={ruleDraft.sign}
+                    onChange={(e) => setRuleDraft(prev => ({ ...prev, sign: e.target.value }))}
                     className="w-full border border-gray-300 rounded-md px-3 py-2"
                   >
-                    <option value="expense">Expense</option>
-                    <option value="income">Income</option>
+                    <option value="any">Money in or out</option>
+                    <option value="debit">Money out</option>
+                    <option value="credit">Money in</option>
                   </select>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Amount between</label>
+                  <div className="flex space-x-2">
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={ruleDraft.amountMin}
+                      onChange={(e) => setRuleDraft(prev => ({ ...prev, amountMin: e.target.value }))}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2"
+                      placeholder="Min"
+                    />
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={ruleDraft.amountMax}
+                      onChange={(e) => setRuleDraft(prev => ({ ...prev, amountMax: e.target.value }))}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2"
+                      placeholder="Max"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Dated between</label>
+                  <div className="flex space-x-2">
+                    <input
+                      type="date"
+                      value={ruleDraft.dateFrom}
+                      onChange={(e) => setRuleDraft(prev => ({ ...prev, dateFrom: e.target.value }))}
+                      className="w-full border border-gray-300 rounded-md px-2 py-2"
+                    />
+                    <input
+                      type="date"
+                      value={ruleDraft.dateTo}
+                      onChange={(e) => setRuleDraft(prev => ({ ...prev, dateTo: e.target.value }))}
+                      className="w-full border border-gray-300 rounded-md px-2 py-2"
+                    />
+                  </div>
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
-                  <select
-                    value={newEntry.category}
-                    onChange={(e) => setNewEntry(prev => ({ ...prev, category: e.target.value }))}
-                    className="w-full border border-gray-300 rounded-md px-3 py-2"
-                  >
-                    {Object.keys(EXPENSE_CATEGORIES).map(category => (
-                      <option key={category} value={category}>{category}</option>
-                    ))}
-                  </select>
+                  <div className="flex space-x-2">
+                    <select
+                      value={ruleDraft.category}
+                      onChange={(e) => setRuleDraft(prev => ({ ...prev, category: e.target.value, subcategory: '' }))}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    >
+                      {categories.filter(c => !c.parent).map(({ name }) => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={ruleDraft.subcategory}
+                      onChange={(e) => setRuleDraft(prev => ({ ...prev, subcategory: e.target.value }))}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    >
+                      <option value="">—</option>
+                      {categories.filter(c => c.parent === ruleDraft.category).map(({ name }) => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
               </div>
-              <div className="mt-4">
+              {ruleError && <p className="mt-2 text-sm text-red-600">{ruleError}</p>}
+              <div className="mt-4 flex space-x-2">
                 <button
-                  onClick={addManualEntry}
+                  onClick={saveRuleDraft}
                   className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700"
                 >
-                  Add Entry
+                  Save Rule
+                </button>
+                <button
+                  onClick={() => {
+                    setRuleDraft(CategoryRuleEngine.createRule());
+                    setRuleError(null);
+                  }}
+                  className="px-4 py-2 text-sm bg-gray-100 rounded hover:bg-gray-200"
+                >
+                  Clear
                 </button>
               </div>
             </div>
 
-            {manualEntries.length > 0 && (
-              <div className="bg-white rounded-lg shadow-sm p-6">
-                <h3 className="text-lg font-semibold mb-4">Manual Entries</h3>
-                <div className="space-y-2">
-                  {manualEntries.map(entry => (
-                    <div key={entry.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                      <div className="flex items-center space-x-4">
-                        <span className="text-sm text-gray-500">{entry.date}</span>
-                        <span className="font-medium">{entry.description}</span>
-                        <span className="text-sm bg-blue-100 text-blue-800 px-2 py-1 rounded">{entry.category}</span>
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold mb-1">Rules ({categoryRules.length})</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                The highest-priority matching rule sets the category. Changes are re-applied to all parsed transactions.
+              </p>
+              <div className="space-y-2">
+                {CategoryRuleEngine.sortRules(categoryRules).map(rule => (
+                  <div key={rule.id} className={`flex items-center justify-between p-3 rounded-lg ${rule.enabled ? 'bg-gray-50' : 'bg-gray-100 opacity-60'}`}>
+                    <div className="flex items-center space-x-4 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled}
+                        onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                      />
+                      <span className="text-gray-500 w-8">{rule.priority}</span>
+                      <span>
+                        {rule.matchType === 'regex' ? 'matches' : rule.matchType === 'exact' ? 'is' : 'contains'}{' '}
+                        <span className="font-mono font-medium">{rule.pattern}</span>
+                        {rule.sign !== 'any' && <span className="text-gray-500"> · {rule.sign === 'debit' ? 'money out' : 'money in'}</span>}
+                        {(rule.amountMin !== '' || rule.amountMax !== '') && (
+                          <span className="text-gray-500"> · R{rule.amountMin || 0}–{rule.amountMax ? `R${rule.amountMax}` : '∞'}</span>
+                        )}
+                        {(rule.dateFrom || rule.dateTo) && (
+                          <span className="text-gray-500"> · {rule.dateFrom || '…'} to {rule.dateTo || '…'}</span>
+                        )}
+                      </span>
+                      <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded">
+                        {rule.category}{rule.subcategory ? ` › ${rule.subcategory}` : ''}
+                      </span>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <button
+                        onClick={() => {
+                          setRuleDraft({ ...rule });
+                          setRuleError(null);
+                        }}
+                        className="text-blue-600 hover:text-blue-800 text-sm"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => deleteRule(rule.id)}
+                        className="text-red-600 hover:text-red-800 text-sm"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold mb-4">Categories</h3>
+              <div className="flex space-x-2 mb-4">
+                <input
+                  type="text"
+                  value={newCategory.name}
+                  onChange={(e) => setNewCategory(prev => ({ ...prev, name: e.target.value }))}
+                  className="border border-gray-300 rounded-md px-3 py-2"
+                  placeholder="New category name"
+                />
+                <select
+                  value={newCategory.parent}
+                  onChange={(e) => setNewCategory(prev => ({ ...prev, parent: e.target.value }))}
+                  className="border border-gray-300 rounded-md px-3 py-2"
+                >
+                  <option value="">Top-level category</option>
+                  {categories.filter(c => !c.parent).map(({ name }) => (
+                    <option key={name} value={name}>Subcategory of {name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={addCategory}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700"
+                >
+                  Add
+                </button>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {categories.filter(c => !c.parent).map(category => (
+                  <div key={category.name} className="p-3 bg-gray-50 rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium">{category.name}</span>
+                      {!['Income', 'Other'].includes(category.name) && (
+                        <button
+                          onClick={() => deleteCategory(category)}
+                          className="text-red-600 hover:text-red-800 text-xs"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                    {categories.filter(c => c.parent === category.name).map(sub => (
+                      <div key={sub.name} className="flex items-center justify-between ml-4 mt-1 text-sm text-gray-700">
+                        <span>› {sub.name}</span>
+                        <button
+                          onClick={() => deleteCategory(sub)}
+                          className="text-red-600 hover:text-red-800 text-xs"
+                        >
+                          Delete
+                        </button>
                       </div>
-                      <div className="flex items-center space-x-3">
-                        <span className={`font-semibold ${entry.amount >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                          R{Math.abs(entry.amount).toLocaleString()}
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Transfers Tab */}
+        {activeTab === 'transfers' && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-xl font-semibold mb-1">Inter-account Transfers</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                Money moved between your own accounts is left out of income and expenses. Matching amounts out of one
+                account and into another within {TRANSFER_WINDOW_DAYS} days are paired automatically; confirm or unpair them below.
+              </p>
+              {transferReview.pairs.length === 0 && (
+                <p className="text-sm text-gray-500">No matching transfer pairs found. Upload statements for more than one account to pair transfers.</p>
+              )}
+              <div className="space-y-2">
+                {transferReview.pairs.map(pair => (
+                  <div key={pair.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg text-sm">
+                    <div className="grid grid-cols-2 gap-6 flex-1">
+                      <div>
+                        <span className="text-gray-500 mr-2">{pair.outflow.date}</span>
+                        <span className="font-medium">{pair.outflow.description}</span>
+                        <span className="text-red-600 ml-2">-R{Math.abs(pair.outflow.amount).toLocaleString()}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-500 mr-2">{pair.inflow.date}</span>
+                        <span className="font-medium">{pair.inflow.description}</span>
+                        <span className="text-green-600 ml-2">+R{pair.inflow.amount.toLocaleString()}</span>
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-3 ml-4">
+                      {pair.status === 'confirmed' ? (
+                        <span className="flex items-center space-x-1 text-xs bg-green-100 text-green-800 px-2 py-1 rounded">
+                          <CheckCircle className="w-4 h-4" />
+                          <span>Confirmed</span>
                         </span>
+                      ) : (
                         <button
-                          onClick={() => deleteManualEntry(entry.id)}
-                          className="text-red-600 hover:text-red-800"
+                          onClick={() => setTransferPairStatus(pair.id, 'confirmed')}
+                          className="text-blue-600 hover:text-blue-800"
                         >
-                          Delete
+                          Confirm
                         </button>
+                      )}
+                      <button
+                        onClick={() => setTransferPairStatus(pair.id, 'rejected')}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Unpair
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {transferReview.patternOnly.length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold mb-1">Own-account References</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  These descriptions look like transfers between your own accounts, but the other side has not been uploaded.
+                </p>
+                <div className="space-y-2">
+                  {transferReview.patternOnly.map(t => (
+                    <div key={t.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg text-sm">
+                      <div>
+                        <span className="text-gray-500 mr-2">{t.date}</span>
+                        <span className="font-medium">{t.description}</span>
+                        <span className={`ml-2 ${t.amount >= 0 ? 'text-green-600' : 'text-red-600'}`}>R{t.amount.toLocaleString()}</span>
+                      </div>
+                      <button
+                        onClick={() => setTransferStatus(t.id, 'rejected')}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Not a transfer
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {transferReview.rejected.length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold mb-4">Marked as Not a Transfer</h3>
+                <div className="space-y-2">
+                  {transferReview.rejected.map(t => (
+                    <div key={t.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg text-sm">
+                      <div>
+                        <span className="text-gray-500 mr-2">{t.date}</span>
+                        <span className="font-medium">{t.description}</span>
+                        <span className={`ml-2 ${t.amount >= 0 ? 'text-green-600' : 'text-red-600'}`}>R{t.amount.toLocaleString()}</span>
                       </div>
+                      <button
+                        onClick={() => setTransferStatus(t.id, null)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Detect again
+                      </button>
                     </div>
                   ))}
                 </div>
@@ -835,151 +5525,545 @@ const BankStatementAnalyzer = () => {
           </div>
         )}
 
-        {/* Dashboard Tab */}
-        {activeTab === 'dashboard' && (
+        {activeTab === 'recurring' && (
           <div className="space-y-6">
-            <div className="bg-white rounded-lg shadow-sm p-4">
-              <div className="flex items-center justify-between">
-                <div className="flex items-center space-x-4">
-                  <Calendar className="w-5 h-5 text-gray-500" />
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              {[
+                { label: 'Active debit orders and subscriptions', value: recurringPayments.filter(r => r.status !== 'ended').length },
+                {
+                  label: 'Per month',
+                  value: `R${Math.round(recurringPayments.filter(r => r.status !== 'ended').reduce((sum, r) => sum + r.annualCost, 0) / 12).toLocaleString()}`
+                },
+                {
+                  label: 'Per year',
+                  value: `R${Math.round(recurringPayments.filter(r => r.status !== 'ended').reduce((sum, r) => sum + r.annualCost, 0)).toLocaleString()}`
+                }
+              ].map(({ label, value }) => (
+                <div key={label} className="bg-white rounded-lg shadow-sm p-6">
+                  <p className="text-sm font-medium text-gray-600">{label}</p>
+                  <p className="text-2xl font-bold text-gray-900">{value}</p>
+                </div>
+              ))}
+            </div>
+
+            {recurringFlags.length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold mb-4">Needs Attention</h3>
+                <div className="space-y-2">
+                  {recurringFlags.map(flag => (
+                    <div
+                      key={flag.id}
+                      className={`flex items-center text-sm px-3 py-2 rounded border ${
+                        flag.type === 'increase' ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-red-50 border-red-200 text-red-800'
+                      }`}
+                    >
+                      <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+                      {flag.message}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-xl font-semibold mb-1">Recurring Payments</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                Debits to the same merchant that repeat every week, month or year at a steady amount
+                (within {Math.round(RECURRING_AMOUNT_TOLERANCE * 100)}%). Transfers and duplicate lines are left out.
+              </p>
+              {recurringPayments.length === 0 ? (
+                <p className="text-sm text-gray-500">No recurring payments found yet. Upload three or more months of statements.</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">Merchant</th>
+                      <th className="py-2">Category</th>
+                      <th className="py-2">Frequency</th>
+                      <th className="py-2 text-right">Amount</th>
+                      <th className="py-2">Last paid</th>
+                      <th className="py-2">Next expected</th>
+                      <th className="py-2 text-right">Per year</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {recurringPayments.map(r => (
+                      <tr key={r.id} className={`border-b ${r.status === 'ended' ? 'text-gray-400' : ''}`}>
+                        <td className="py-2">
+                          <span className="font-medium">{r.merchant}</span>
+                          <span className="block text-xs text-gray-500">{r.count} payments since {r.first}</span>
+                        </td>
+                        <td className="py-2">{r.category}</td>
+                        <td className="py-2">{r.cadence.name}</td>
+                        <td className="py-2 text-right">
+                          R{r.amount.toFixed(2)}
+                          {r.priceIncrease && (
+                            <span className="block text-xs text-yellow-700">was R{r.priceIncrease.from.toFixed(2)}</span>
+                          )}
+                        </td>
+                        <td className="py-2">{r.last}</td>
+                        <td className="py-2">
+                          {r.status === 'ended' ? 'Stopped' : r.nextExpected}
+                          {r.status === 'overdue' && <span className="block text-xs text-red-600">Overdue</span>}
+                        </td>
+                        <td className="py-2 text-right">{r.status === 'ended' ? '—' : `R${Math.round(r.annualCost).toLocaleString()}`}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'tax' && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-xl font-semibold mb-4">Tax Analysis</h2>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Tax year</label>
+                  <select
+                    value={taxYear}
+                    onChange={(e) => setTaxYear(parseInt(e.target.value, 10))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                  >
+                    {taxYears.map(year => (
+                      <option key={year} value={year}>{year - 1}/{String(year).substring(2)} (Mar {year - 1} – Feb {year})</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Date of birth</label>
                   <input
                     type="date"
-                    value={dateRange.start}
-                    onChange={(e) => setDateRange(prev => ({ ...prev, start: e.target.value }))}
-                    className="border rounded px-3 py-2"
+                    value={taxProfile.dateOfBirth}
+                    onChange={(e) => setTaxProfile(prev => ({ ...prev, dateOfBirth: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
                   />
-                  <span className="text-gray-500">to</span>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">People on your medical scheme</label>
                   <input
-                    type="date"
-                    value={dateRange.end}
-                    onChange={(e) => setDateRange(prev => ({ ...prev, end: e.target.value }))}
-                    className="border rounded px-3 py-2"
+                    type="number"
+                    min="0"
+                    value={taxProfile.medicalMembers}
+                    onChange={(e) => setTaxProfile(prev => ({ ...prev, medicalMembers: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
                   />
-                  <button
-                    onClick={() => setDateRange({ start: '', end: '' })}
-                    className="px-4 py-2 text-sm bg-gray-100 rounded hover:bg-gray-200"
-                  >
-                    Clear
-                  </button>
-                </div>
-                <div className="text-sm text-gray-600">
-                  {analytics.transactionCount} transactions analyzed
                 </div>
+                <label className="flex items-center space-x-2 text-sm text-gray-700 mt-6">
+                  <input
+                    type="checkbox"
+                    checked={taxProfile.hasDisability}
+                    onChange={(e) => setTaxProfile(prev => ({ ...prev, hasDisability: e.target.checked }))}
+                  />
+                  <span>You or a dependant has a disability</span>
+                </label>
               </div>
+              {taxReport.result.isFallback && (
+                <div className="mt-4 text-sm bg-yellow-50 border border-yellow-200 text-yellow-800 px-3 py-2 rounded">
+                  Tax tables for this year are not available yet; the {taxReport.result.table.label} tables are used instead.
+                </div>
+              )}
+              {!taxProfile.dateOfBirth && (
+                <p className="mt-4 text-sm text-gray-500">Add your date of birth to apply the age 65 and 75 rebates and the higher interest exemption.</p>
+              )}
             </div>
 
-            {/* Key Metrics */}
-            <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               <div className="bg-white rounded-lg shadow-sm p-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm font-medium text-gray-600">Total Income</p>
-                    <p className="text-2xl font-bold text-green-600">R{analytics.totalIncome.toLocaleString()}</p>
+                <h3 className="text-lg font-semibold mb-1">Income and Deductions</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Pre-filled from transactions dated in the tax year, using the Interest, Medical aid and Retirement annuity
+                  subcategories. Type over a figure to correct it.
+                </p>
+                {taxReport.projection.monthsRemaining > 0 && (
+                  <label className="flex items-center space-x-2 text-sm text-gray-700 mb-4">
+                    <input
+                      type="checkbox"
+                      checked={taxProfile.includeProjection}
+                      onChange={(e) => setTaxProfile(prev => ({ ...prev, includeProjection: e.target.checked }))}
+                    />
+                    <span>
+                      Add a projection for the {taxReport.projection.monthsRemaining} month(s) after {taxReport.projection.through},
+                      at the average of the {taxReport.projection.monthsCovered} month(s) with statements
+                    </span>
+                  </label>
+                )}
+                <div className="space-y-3">
+                  <div className="grid grid-cols-4 gap-3 text-xs font-medium text-gray-500">
+                    <span />
+                    <span className="text-right">
+                      {taxReport.projection.through ? `Actual to ${taxReport.projection.through}` : 'Actual'}
+                    </span>
+                    <span className="text-right">Projected</span>
+                    <span>Your figure</span>
                   </div>
-                  <DollarSign className="w-8 h-8 text-green-600" />
+                  {TAX_INPUT_FIELDS.map(({ key, label }) => {
+                    const format = value => (key === 'medicalMonths' ? value : `R${Math.round(value).toLocaleString()}`);
+                    return (
+                      <div key={key} className="grid grid-cols-4 gap-3 items-center text-sm">
+                        <span className="text-gray-700">{label}</span>
+                        <span className="text-gray-500 text-right">{format(taxReport.projection.actual[key])}</span>
+                        <span className="text-gray-400 text-right italic">
+                          {taxProfile.includeProjection && taxReport.projection.monthsRemaining > 0
+                            ? `+${format(taxReport.projection.projected[key])}`
+                            : '—'}
+                        </span>
+                        <input
+                          type="number"
+                          step={key === 'medicalMonths' ? '1' : '0.01'}
+                          value={taxReport.overrides[key] === undefined ? '' : taxReport.overrides[key]}
+                          onChange={(e) => updateTaxOverride(key, e.target.value)}
+                          className="border border-gray-300 rounded-md px-2 py-1"
+                          placeholder={String(key === 'medicalMonths' ? taxReport.prefilled[key] : Math.round(taxReport.prefilled[key]))}
+                        />
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
 
               <div className="bg-white rounded-lg shadow-sm p-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm font-medium text-gray-600">Total Expenses</p>
-                    <p className="text-2xl font-bold text-red-600">R{analytics.totalExpenses.toLocaleString()}</p>
+                <h3 className="text-lg font-semibold mb-1">Tax Calculation ({taxReport.result.table.label})</h3>
+                <p className="text-xs text-gray-500 mb-4">
+                  {taxProfile.includeProjection && taxReport.projection.monthsRemaining > 0
+                    ? `Includes a projection for ${taxReport.projection.monthsRemaining} month(s) not yet on statements`
+                    : 'Based on actual figures only'}
+                </p>
+                <div className="space-y-2 text-sm">
+                  {[
+                    { label: 'Income (excluding interest)', value: taxReport.result.grossIncome },
+                    { label: 'Local interest', value: taxReport.result.localInterest },
+                    { label: 'Less: interest exemption', value: -taxReport.result.interestExemption },
+                    {
+                      label: `Less: retirement annuity deduction (s11F)${taxReport.result.retirementCapped ? ' — limited to 27.5% of income, max R350,000' : ''}`,
+                      value: -taxReport.result.retirementDeduction
+                    },
+                    { label: 'Taxable income', value: taxReport.result.taxableIncome, total: true },
+                    { label: 'Tax on taxable income', value: taxReport.result.normalTax },
+                    { label: 'Less: primary rebate', value: -taxReport.result.rebates.primary },
+                    { label: 'Less: secondary rebate (65 and older)', value: -taxReport.result.rebates.secondary },
+                    { label: 'Less: tertiary rebate (75 and older)', value: -taxReport.result.rebates.tertiary },
+                    { label: 'Less: medical scheme fees credit (s6A)', value: -Math.min(taxReport.result.schemeFeesCredit, taxReport.result.medicalCredits) },
+                    {
+                      label: 'Less: additional medical expenses credit (s6B)',
+                      value: -(taxReport.result.medicalCredits - Math.min(taxReport.result.schemeFeesCredit, taxReport.result.medicalCredits))
+                    },
+                    { label: 'Tax payable', value: taxReport.result.taxPayable, total: true }
+                  ].map(({ label, value, total }) => (
+                    <div key={label} className={`flex justify-between ${total ? 'font-semibold border-t pt-2' : 'text-gray-700'}`}>
+                      <span>{label}</span>
+                      <span className={value < 0 ? 'text-green-700' : ''}>
+                        {value < 0 ? '-' : ''}R{Math.round(Math.abs(value)).toLocaleString()}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                <div className="mt-4 grid grid-cols-2 gap-4 text-sm">
+                  <div className="p-3 bg-gray-50 rounded">
+                    <p className="text-gray-600">Effective rate</p>
+                    <p className="text-lg font-bold">{(taxReport.result.effectiveRate * 100).toFixed(1)}%</p>
+                  </div>
+                  <div className="p-3 bg-gray-50 rounded">
+                    <p className="text-gray-600">Marginal rate</p>
+                    <p className="text-lg font-bold">{(taxReport.result.marginalRate * 100).toFixed(0)}%</p>
                   </div>
-                  <TrendingUp className="w-8 h-8 text-red-600" />
                 </div>
+                {taxReport.result.taxableIncome <= taxReport.result.threshold && (
+                  <p className="mt-4 text-sm text-green-700">
+                    Taxable income is below the tax threshold of R{taxReport.result.threshold.toLocaleString()} for your age, so no tax is payable.
+                  </p>
+                )}
               </div>
+            </div>
 
-              <div className="bg-white rounded-lg shadow-sm p-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm font-medium text-gray-600">Net Cash Flow</p>
-                    <p className={`text-2xl font-bold ${analytics.netCashFlow >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                      R{analytics.netCashFlow.toLocaleString()}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold mb-1">Provisional Tax (IRP6)</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Income is split by the Income subcategories: Salary is taken as taxed through PAYE, the rest is not.
+                Payments to SARS are picked up from the Professional category.
+              </p>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div>
+                  <h4 className="font-medium mb-2">Income by source</h4>
+                  <div className="space-y-1 text-sm">
+                    {INCOME_SOURCES.map(source => (
+                      <div key={source.subcategory} className="flex justify-between text-gray-700">
+                        <span>{source.label}</span>
+                        <span>R{Math.round(provisionalTax.sources.totals[source.subcategory]).toLocaleString()}</span>
+                      </div>
+                    ))}
+                    {provisionalTax.sources.untagged > 0 && (
+                      <div className="flex justify-between text-yellow-800">
+                        <span>Untagged income (treated as non-PAYE)</span>
+                        <span>R{Math.round(provisionalTax.sources.untagged).toLocaleString()}</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between font-semibold border-t pt-2">
+                      <span>Non-PAYE income</span>
+                      <span>R{Math.round(provisionalTax.sources.nonPaye).toLocaleString()}</span>
+                    </div>
+                  </div>
+                  {provisionalTax.sources.untagged > 0 && (
+                    <p className="mt-2 text-xs text-yellow-800">
+                      Give income a Salary, Freelance, Rental or Interest subcategory on the Transactions tab for a more accurate split.
                     </p>
+                  )}
+                  <div className="mt-4 space-y-2 text-sm">
+                    {[
+                      { key: 'payeWithheld', label: 'PAYE withheld for the year', hint: 'Estimated from salary; use your IRP5 figure' },
+                      { key: 'basicAmount', label: 'Basic amount', hint: 'Taxable income of the previous year' },
+                      { key: 'irp6Estimate', label: 'Taxable income on your IRP6', hint: 'Defaults to this year\'s estimate' }
+                    ].map(({ key, label, hint }) => (
+                      <div key={key} className="flex items-center justify-between gap-4">
+                        <div>
+                          <p className="text-gray-700">{label}</p>
+                          <p className="text-xs text-gray-500">{hint}</p>
+                        </div>
+                        <input
+                          type="number"
+                          value={provisionalTax.overrides[key] === undefined ? '' : provisionalTax.overrides[key]}
+                          onChange={(e) => updateTaxOverride(key, e.target.value)}
+                          placeholder={String(Math.round(provisionalTax.defaults[key]))}
+                          className="w-32 border border-gray-300 rounded px-2 py-1 text-right"
+                        />
+                      </div>
+                    ))}
                   </div>
-                  <TrendingUp className="w-8 h-8 text-blue-600" />
                 </div>
-              </div>
-
-              <div className="bg-white rounded-lg shadow-sm p-6">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm font-medium text-gray-600">Estimated Annual Tax</p>
-                    <p className="text-2xl font-bold text-orange-600">R{analytics.taxLiability.toLocaleString()}</p>
+                <div>
+                  <h4 className="font-medium mb-2">Payments</h4>
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="py-1">Period</th>
+                        <th className="py-1">Due</th>
+                        <th className="py-1 text-right">Amount</th>
+                        <th className="py-1 text-right">Paid</th>
+                        <th className="py-1 text-right">Outstanding</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {provisionalTax.periods.map(period => (
+                        <tr key={period.key} className="border-t">
+                          <td className="py-1">{period.label}</td>
+                          <td className="py-1">{period.dueDate}</td>
+                          <td className="py-1 text-right">R{Math.round(period.due).toLocaleString()}</td>
+                          <td className="py-1 text-right">R{Math.round(period.paid).toLocaleString()}</td>
+                          <td className={`py-1 text-right font-medium ${period.outstanding > 0 ? 'text-red-600' : 'text-green-700'}`}>
+                            R{Math.round(period.outstanding).toLocaleString()}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {provisionalTax.periods.filter(p => p.outstanding > 0).map(period => (
+                    <div key={period.key} className="mt-3 flex items-center text-sm bg-yellow-50 border border-yellow-200 text-yellow-800 px-3 py-2 rounded">
+                      <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+                      R{Math.round(period.outstanding).toLocaleString()} still to pay for the {period.label.toLowerCase()}, due {period.dueDate}
+                    </div>
+                  ))}
+                  {provisionalTax.payments.length > 0 && (
+                    <p className="mt-3 text-xs text-gray-500">
+                      {provisionalTax.payments.length} SARS payment(s) found: {provisionalTax.payments.map(t => `${t.date} R${Math.round(Math.abs(t.amount)).toLocaleString()}`).join(', ')}
+                    </p>
+                  )}
+                  <div className={`mt-4 text-sm px-3 py-2 rounded border ${provisionalTax.safeHarbour.ok ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'}`}>
+                    {provisionalTax.safeHarbour.ok
+                      ? `Your IRP6 estimate meets the ${Math.round(provisionalTax.safeHarbour.rate * 100)}% test (at least R${Math.round(provisionalTax.safeHarbour.required).toLocaleString()}), so no underestimation penalty applies.`
+                      : `Your IRP6 estimate is below R${Math.round(provisionalTax.safeHarbour.required).toLocaleString()}, the ${Math.round(provisionalTax.safeHarbour.rate * 100)}% test for expected taxable income; SARS may add an underestimation penalty.`}
                   </div>
-                  <Calculator className="w-8 h-8 text-orange-600" />
                 </div>
               </div>
             </div>
+          </div>
+        )}
+
+        {activeTab === 'forecast' && !forecast && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-xl font-semibold mb-4">Financial Forecast</h2>
+            <p className="text-gray-600">Upload statements or add entries to project the next {FORECAST_MONTHS} months.</p>
+          </div>
+        )}
+
+        {activeTab === 'forecast' && forecast && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+              {[
+                { label: `Projected income (${FORECAST_MONTHS} months)`, value: `R${Math.round(forecast.totalIncome).toLocaleString()}` },
+                { label: `Projected expenses (${FORECAST_MONTHS} months)`, value: `R${Math.round(forecast.totalExpenses).toLocaleString()}` },
+                { label: 'Savings rate', value: `${(forecast.savingsRate * 100).toFixed(1)}%` },
+                {
+                  label: `Emergency fund (${EMERGENCY_FUND_MONTHS} months = R${Math.round(forecast.emergencyFund.target).toLocaleString()})`,
+                  value: forecast.startingBalance.known ? `${forecast.emergencyFund.monthsCovered.toFixed(1)} months` : 'No balance yet'
+                }
+              ].map(({ label, value }) => (
+                <div key={label} className="bg-white rounded-lg shadow-sm p-6">
+                  <p className="text-sm font-medium text-gray-600">{label}</p>
+                  <p className="text-2xl font-bold text-gray-900">{value}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold mb-1">
+                {forecast.startingBalance.known ? 'Projected Balance' : 'Projected Cumulative Cash Flow'}
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                {forecast.startingBalance.known
+                  ? `Starts from R${Math.round(forecast.startingBalance.amount).toLocaleString()} in your cheque and savings accounts. `
+                  : 'No account balance was found on your statements, so this starts from zero. '}
+                Debit orders follow their own schedule; other spending and income follow the average of the last
+                {' '}{Math.min(12, forecast.historyMonths)} month(s)
+                {forecast.hasSeasonality ? ', adjusted for the time of year.' : '. Upload a full year of statements to allow for seasonal months.'}
+                {' '}The shaded band shows the likely range.
+              </p>
+              <ResponsiveContainer width="100%" height={300}>
+                <ComposedChart data={forecast.months}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="month" />
+                  <YAxis />
+                  <Tooltip formatter={(value) => (Array.isArray(value)
+                    ? `R${Math.round(value[0]).toLocaleString()} to R${Math.round(value[1]).toLocaleString()}`
+                    : `R${Math.round(value).toLocaleString()}`)}
+                  />
+                  <Legend />
+                  <Area type="monotone" dataKey="balanceBand" name="Likely range" stroke="none" fill="#3b82f6" fillOpacity={0.15} />
+                  <Line type="monotone" dataKey="balance" name={forecast.hasScenarios ? 'With scenarios' : 'Balance'} stroke="#3b82f6" strokeWidth={2} dot={false} />
+                  {forecast.hasScenarios && (
+                    <Line type="monotone" dataKey="baselineBalance" name="Without scenarios" stroke="#9ca3af" strokeDasharray="5 5" dot={false} />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
 
-            {/* Charts */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               <div className="bg-white rounded-lg shadow-sm p-6">
                 <h3 className="text-lg font-semibold mb-4">Monthly Income vs Expenses</h3>
                 <ResponsiveContainer width="100%" height={300}>
-                  <AreaChart data={analytics.monthlyData}>
+                  <BarChart data={forecast.months}>
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis dataKey="month" />
                     <YAxis />
-                    <Tooltip formatter={(value) => [`R${value.toLocaleString()}`, '']} />
+                    <Tooltip formatter={(value) => `R${Math.round(value).toLocaleString()}`} />
                     <Legend />
-                    <Area type="monotone" dataKey="income" stackId="1" stroke="#10b981" fill="#10b981" fillOpacity={0.6} />
-                    <Area type="monotone" dataKey="expenses" stackId="2" stroke="#ef4444" fill="#ef4444" fillOpacity={0.6} />
-                  </AreaChart>
+                    <Bar dataKey="income" name="Income" fill="#10b981" />
+                    <Bar dataKey="expenses" name="Expenses" fill="#ef4444" />
+                  </BarChart>
                 </ResponsiveContainer>
+                {forecast.months.some(m => m.oneOffs.length > 0) && (
+                  <div className="mt-4 text-sm">
+                    <p className="font-medium mb-1">Known annual payments</p>
+                    {forecast.months.filter(m => m.oneOffs.length > 0).map(m => (
+                      <p key={m.month} className="text-gray-600">
+                        {m.month}: {m.oneOffs.map(item => `${item.recurring.merchant} R${Math.round(item.amount).toLocaleString()}`).join(', ')}
+                      </p>
+                    ))}
+                  </div>
+                )}
               </div>
 
               <div className="bg-white rounded-lg shadow-sm p-6">
-                <h3 className="text-lg font-semibold mb-4">Expense Categories</h3>
-                <ResponsiveContainer width="100%" height={300}>
-                  <RechartsPieChart>
-                    <Pie
-                      data={Object.entries(analytics.categoryBreakdown).map(([name, value]) => ({ name, value }))}
-                      cx="50%"
-                      cy="50%"
-                      labelLine={false}
-                      label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
-                      outerRadius={80}
-                      fill="#8884d8"
-                      dataKey="value"
+                <h3 className="text-lg font-semibold mb-1">What-if Scenarios</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  E.g. income +6% from March, or the bond debit order stopping once it is paid off.
+                </p>
+                <div className="grid grid-cols-2 gap-3 text-sm">
+                  <select
+                    value={scenarioDraft.kind}
+                    onChange={(e) => setScenarioDraft(prev => ({ ...prev, kind: e.target.value }))}
+                    className="border border-gray-300 rounded px-3 py-2"
+                  >
+                    {SCENARIO_KINDS.map(kind => (
+                      <option key={kind.id} value={kind.id}>{kind.name}</option>
+                    ))}
+                  </select>
+                  {scenarioDraft.kind === 'stopRecurring' ? (
+                    <select
+                      value={scenarioDraft.recurringId}
+                      onChange={(e) => setScenarioDraft(prev => ({ ...prev, recurringId: e.target.value }))}
+                      className="border border-gray-300 rounded px-3 py-2"
                     >
-                      {Object.entries(analytics.categoryBreakdown).map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                      <option value="">Choose a debit order...</option>
+                      {recurringPayments.filter(r => r.status !== 'ended').map(r => (
+                        <option key={r.id} value={r.id}>{r.merchant} (R{r.amount.toFixed(2)} {r.cadence.name.toLowerCase()})</option>
                       ))}
-                    </Pie>
-                    <Tooltip formatter={(value) => `R${value.toLocaleString()}`} />
-                  </RechartsPieChart>
-                </ResponsiveContainer>
+                    </select>
+                  ) : (
+                    <input
+                      type="number"
+                      value={scenarioDraft.value}
+                      onChange={(e) => setScenarioDraft(prev => ({ ...prev, value: e.target.value }))}
+                      placeholder={scenarioDraft.kind === 'oneOff' ? 'Amount (negative for a cost)' : 'Percentage, e.g. 6 or -10'}
+                      className="border border-gray-300 rounded px-3 py-2"
+                    />
+                  )}
+                  <input
+                    type="month"
+                    value={scenarioDraft.from}
+                    onChange={(e) => setScenarioDraft(prev => ({ ...prev, from: e.target.value }))}
+                    className="border border-gray-300 rounded px-3 py-2"
+                  />
+                  <button
+                    onClick={addScenario}
+                    className="bg-blue-600 text-white rounded px-3 py-2 hover:bg-blue-700"
+                  >
+                    Add scenario
+                  </button>
+                </div>
+                {scenarioError && <p className="mt-2 text-sm text-red-600">{scenarioError}</p>}
+                <div className="mt-4 space-y-2">
+                  {forecastScenarios.map(scenario => (
+                    <div key={scenario.id} className="flex items-center justify-between p-2 bg-gray-50 rounded text-sm">
+                      <label className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          checked={scenario.enabled}
+                          onChange={(e) => setForecastScenarios(prev => prev.map(s => (
+                            s.id === scenario.id ? { ...s, enabled: e.target.checked } : s
+                          )))}
+                        />
+                        <span>{CashFlowForecaster.describeScenario(scenario, recurringPayments)}</span>
+                      </label>
+                      <button
+                        onClick={() => setForecastScenarios(prev => prev.filter(s => s.id !== scenario.id))}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                </div>
               </div>
             </div>
           </div>
         )}
-
-        {/* Other tabs simplified for focus */}
-        {activeTab === 'categories' && (
-          <div className="bg-white rounded-lg shadow-sm p-6">
-            <h2 className="text-xl font-semibold mb-4">Transaction Categories</h2>
-            <p className="text-gray-600">Detailed category breakdown coming soon...</p>
-          </div>
-        )}
-
-        {activeTab === 'tax' && (
-          <div className="bg-white rounded-lg shadow-sm p-6">
-            <h2 className="text-xl font-semibold mb-4">Tax Analysis</h2>
-            <p className="text-gray-600">Tax calculations coming soon...</p>
-          </div>
-        )}
-
-        {activeTab === 'forecast' && (
-          <div className="bg-white rounded-lg shadow-sm p-6">
-            <h2 className="text-xl font-semibold mb-4">Financial Forecast</h2>
-            <p className="text-gray-600">Forecasting coming soon...</p>
-          </div>
-        )}
       </div>
     </div>
   );
 };
 
-export default BankStatementAnalyzer;
\ No newline at end of file
+export default BankStatementAnalyzer;
+
+// The pure modules, for the test suite
+export {
+  TransferDetector,
+  RecurringDetector,
+  ExportRowBuilder,
+  CSVStatementImporter,
+  OFXStatementImporter,
+  StatementImporterRegistry,
+  AccountRegistry,
+  ImportReview,
+  TAX_TABLES,
+  DEFAULT_TAX_PROFILE,
+  TaxEngine,
+  ProvisionalTaxEstimator,
+  ReportingPeriods,
+  DEFAULT_BUDGETS,
+  BudgetPlanner,
+  CashFlowForecaster,
+  ReportExporter
+};
@@ -0,0 +1,779 @@
+import { TransferDetector, RecurringDetector, ExportRowBuilder, CSVStatementImporter, OFXStatementImporter,
+  StatementImporterRegistry, AccountRegistry, ImportReview, TAX_TABLES, DEFAULT_TAX_PROFILE, TaxEngine,
+  ProvisionalTaxEstimator, ReportingPeriods, DEFAULT_BUDGETS, BudgetPlanner, CashFlowForecaster,
+  ReportExporter } from './App';
+
+// The worker client resolves pdfParser.worker.js through import.meta.url,
+// which only the bundler understands; none of these tests parse a PDF
+jest.mock('./pdfParserClient', () => ({ PDFParserWorker: {} }));
+
+beforeAll(() => {
+  // Several modules narrate their work to the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('TransferDetector.detect', () => {
+  const transaction = (id, accountId, date, description, amount) => ({ id, accountId, date, description, amount });
+  const byId = transactions => Object.fromEntries(transactions.map(t => [t.id, t]));
+
+  test('an unpaired transfer to a person stays an expense', () => {
+    const [payment] = TransferDetector.detect([transaction('t1', 'acc-1', '2025-01-05', 'Transfer to J Smith', -500)]);
+    expect(payment.isTransfer).toBe(false);
+    expect(payment.transferPairId).toBeFalsy();
+  });
+
+  test('excludes a transfer once the other side pairs with it', () => {
+    const result = byId(TransferDetector.detect([
+      transaction('t1', 'acc-1', '2025-01-05', 'Transfer to J Smith', -500),
+      transaction('t2', 'acc-2', '2025-01-06', 'Transfer from cheque', 500)
+    ]));
+    expect(result.t1).toMatchObject({ isTransfer: true, transferStatus: 'suggested', transferPairId: 't1~t2' });
+    expect(result.t2).toMatchObject({ isTransfer: true, transferPairId: 't1~t2' });
+  });
+
+  test('does not pair within one account or outside the window', () => {
+    const result = byId(TransferDetector.detect([
+      transaction('t1', 'acc-1', '2025-01-05', 'Payment to J Smith', -500),
+      transaction('t2', 'acc-1', '2025-01-05', 'Refund J Smith', 500),
+      transaction('t3', 'acc-2', '2025-01-12', 'Deposit', 500)
+    ]));
+    expect(Object.values(result).map(t => t.isTransfer)).toEqual([false, false, false]);
+  });
+
+  test('flags own-account wording for review until it is marked not a transfer', () => {
+    const [flagged] = TransferDetector.detect([transaction('t1', 'acc-1', '2025-01-05', 'FNB App Transfer to Savings', -2000)]);
+    expect(flagged.isTransfer).toBe(true);
+    expect(flagged.transferPairId).toBeFalsy();
+
+    const [rejected] = TransferDetector.setStatus([flagged], 't1', 'rejected');
+    expect(rejected).toMatchObject({ isTransfer: false, transferStatus: 'rejected' });
+  });
+});
+
+const csvPreview = (text, fileName = 'export.csv') => {
+  const rows = CSVStatementImporter.parseCSV(text, CSVStatementImporter.detectDelimiter(text));
+  return { fileName, bank: 'generic', headers: rows[0], rows: rows.slice(1), periodText: '' };
+};
+
+describe('ExportRowBuilder.readCell', () => {
+  test.each([
+    ['150', 150],
+    ['-42', -42],
+    ['123.5', 123.5],
+    ['1,234.56', 1234.56],
+    ['R 99', 99],
+    ['250 Dr', -250],
+    ['0.00', 0]
+  ])('reads the mapped amount %p', (text, expected) => {
+    expect(ExportRowBuilder.readCell(text, 'dot')).toBe(expected);
+  });
+
+  test('reads comma-format cells', () => {
+    expect(ExportRowBuilder.readCell('1 234,5', 'comma')).toBe(1234.5);
+    expect(ExportRowBuilder.readCell('-42', 'comma')).toBe(-42);
+  });
+
+  test.each([undefined, null, '', '   ', 'n/a', 'Opening balance'])('gives null for %p', cell => {
+    expect(ExportRowBuilder.readCell(cell, 'dot')).toBeNull();
+  });
+});
+
+describe('CSVStatementImporter.parsePreview', () => {
+  const mapping = { bank: 'generic', date: 'Date', description: 'Description', amount: 'Amount', debit: '', credit: '', balance: 'Balance' };
+
+  test('imports whole-rand and one-decimal amounts', () => {
+    const preview = csvPreview([
+      'Date,Description,Amount,Balance',
+      '2025-01-03,Salary,15000,15000',
+      '2025-01-05,Checkers Sandton,-42,14958',
+      '2025-01-09,Engen Rivonia,-123.5,14834.5'
+    ].join('\n'));
+
+    const statement = CSVStatementImporter.parsePreview(preview, mapping);
+    expect(statement.rejectedRows).toEqual([]);
+    expect(statement.transactions.map(t => [t.amount, t.balance])).toEqual([
+      [15000, 15000],
+      [-42, 14958],
+      [-123.5, 14834.5]
+    ]);
+  });
+
+  test('reads separate debit and credit columns', () => {
+    const preview = csvPreview([
+      'Date;Description;Debit;Credit',
+      '2025/01/03;Salary;;15000',
+      '2025/01/05;Checkers Sandton;42,50;'
+    ].join('\n'));
+
+    const statement = CSVStatementImporter.parsePreview(preview, { ...mapping, amount: '', balance: '', debit: 'Debit', credit: 'Credit' });
+    expect(statement.transactions.map(t => t.amount)).toEqual([15000, -42.5]);
+  });
+
+  test('still skips rows without an amount', () => {
+    const preview = csvPreview('Date,Description,Amount,Balance\n2025-01-03,Opening balance,,15000');
+    const statement = CSVStatementImporter.parsePreview(preview, mapping);
+    expect(statement.transactions).toEqual([]);
+    expect(statement.rejectedRows).toEqual([expect.objectContaining({ source: 'CSV Row 1', reason: 'No amount found' })]);
+  });
+});
+
+describe('OFXStatementImporter.parseFile', () => {
+  const ofxFile = (name, text) => ({ name, text: async () => text });
+
+  test('reads amounts with a decimal comma', async () => {
+    const statement = await OFXStatementImporter.parseFile(ofxFile('absa.ofx', `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKACCTFROM><ACCTID>4071234567<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST><DTSTART>20250101<DTEND>20250131
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250105<TRNAMT>-1234,56<FITID>A1<NAME>Debit order Discovery</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250125<TRNAMT>30000,00<FITID>A2<NAME>Salary ACME</STMTTRN>
+</BANKTRANLIST><LEDGERBAL><BALAMT>28765,44<DTASOF>20250131</LEDGERBAL></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`));
+
+    expect(statement.transactions.map(t => t.amount)).toEqual([-1234.56, 30000]);
+    expect(statement.closingBalance).toBe(28765.44);
+  });
+
+  test('reads amounts with a decimal point', async () => {
+    const statement = await OFXStatementImporter.parseFile(ofxFile('fnb.ofx', `<OFX>
+<STMTTRN><DTPOSTED>20250105120000[+2:SAST]<TRNAMT>-49.99<FITID>F1<NAME>Netflix</STMTTRN>
+</OFX>`));
+
+    expect(statement.transactions[0]).toMatchObject({ date: '2025-01-05', amount: -49.99 });
+  });
+});
+
+describe('AccountRegistry.resolve', () => {
+  const cheque = { id: 'acc-1', bank: 'fnb', number: '62012345678', type: 'cheque', holder: '', name: 'Household' };
+  const card = { id: 'acc-2', bank: 'fnb', number: '****7890', type: 'creditCard', holder: 'T Nkosi', name: '' };
+  const savings = { id: 'acc-3', bank: 'capitec', number: null, type: 'savings', holder: '', name: '' };
+  const accounts = [cheque, card, savings];
+
+  test('matches an existing account by bank and number', () => {
+    const result = AccountRegistry.resolve(accounts, {
+      bank: 'fnb', accountInfo: { number: '62012345678', type: 'cheque', holder: 'MR J SMITH' }
+    });
+    expect(result.account).toEqual({ ...cheque, holder: 'MR J SMITH' });
+    expect(result.accounts).toHaveLength(3);
+    expect(result.accounts[0]).toBe(result.account);
+  });
+
+  test('matches a masked card number and keeps the holder already set', () => {
+    const result = AccountRegistry.resolve(accounts, { bank: 'fnb', accountInfo: { number: '****7890', holder: 'Thandi Nkosi' } });
+    expect(result.account).toEqual(card);
+  });
+
+  test('matches an export without a number to the bank\'s unnumbered account of that type', () => {
+    const result = AccountRegistry.resolve(accounts, { bank: 'capitec', accountInfo: { number: null, type: 'savings' } });
+    expect(result.account.id).toBe('acc-3');
+  });
+
+  test('adds an account it has not seen', () => {
+    const result = AccountRegistry.resolve(accounts, { bank: 'absa', accountInfo: { number: '4071234567', type: null } });
+    expect(result.account).toMatchObject({ bank: 'absa', number: '4071234567', type: 'cheque' });
+    expect(result.accounts).toEqual([...accounts, result.account]);
+  });
+
+  test('does not match the same number at another bank', () => {
+    const result = AccountRegistry.resolve(accounts, { bank: 'nedbank', accountInfo: { number: '62012345678' } });
+    expect(result.account.id).not.toBe('acc-1');
+    expect(result.accounts).toHaveLength(4);
+  });
+});
+
+describe('StatementImporterRegistry.addStatements', () => {
+  const file = { name: 'fnb-jan.pdf' };
+  const line = (date, description, amount, balance, row) => ({ date, description, amount, balance, source: `Page 1, Row ${row}` });
+  const parsed = {
+    name: 'fnb-jan.pdf',
+    bank: 'fnb',
+    accountInfo: { number: '62012345678', type: 'cheque', holder: null },
+    period: { start: '2025-01-01', end: '2025-01-31' },
+    transactions: [
+      line('2025-01-05', 'POS Purchase Checkers', -100.01, 899.99, 3),
+      line('2025-01-20', 'Refund Takealot', 120, 1019.99, 4),
+      line('2025-01-25', 'Salary ACME', 3000, 4019.99, 5)
+    ]
+  };
+  const stored = (id, accountId, lines) =>
+    StatementImporterRegistry.prepareStatement(file, { ...parsed, transactions: lines }, id, [], accountId);
+
+  const oldParse = stored('stmt-1', 'acc-1', [parsed.transactions[0], parsed.transactions[2]]);
+  const february = stored('stmt-2', 'acc-1', [line('2025-02-05', 'POS Purchase Pick n Pay', -250, 3769.99, 3)]);
+  const workspace = {
+    accounts: [{ id: 'acc-1', bank: 'fnb', number: '62012345678', type: 'cheque', holder: '', name: '' }],
+    statements: [oldParse.record, february.record],
+    transactions: [...oldParse.transactions, ...february.transactions]
+  };
+
+  test('a re-parse replaces the old statement and its transactions', () => {
+    const result = StatementImporterRegistry.addStatements(workspace, [{ file, statement: parsed, replaces: 'stmt-1' }], [], 1700000000000);
+
+    expect(result.accounts).toBe(workspace.accounts);
+    expect(result.statements.map(s => [s.id, s.accountId, s.transactionCount])).toEqual([['stmt-1', 'acc-1', 3], ['stmt-2', 'acc-1', 1]]);
+    expect(result.transactions.map(t => t.id).sort()).toEqual(['stmt-1-0', 'stmt-1-1', 'stmt-1-2', 'stmt-2-0']);
+    expect(result.transactions.filter(t => t.isDuplicate)).toEqual([]);
+  });
+
+  test('a new import of the same file keeps the stored statement alongside it', () => {
+    const result = StatementImporterRegistry.addStatements(workspace, [{ file, statement: parsed }], [], 1700000000000);
+
+    expect(result.statements.map(s => s.id)).toEqual(['stmt-1', 'stmt-2', '1700000000000-0']);
+    expect(result.records[0].accountId).toBe('acc-1');
+    expect(result.transactions).toHaveLength(6);
+  });
+});
+
+describe('ImportReview', () => {
+  const statement = {
+    name: 'fnb-jan.pdf',
+    bank: 'fnb',
+    period: { start: '2025-01-01', end: '2025-01-31' },
+    openingBalance: 1000,
+    closingBalance: 3899.99,
+    transactions: [
+      { date: '2025-01-05', description: 'POS Purchase Checkers', amount: -100.01, balance: 899.99, source: 'Page 1, Row 3' },
+      { date: '2025-01-25', description: 'Salary ACME', amount: 3000, balance: 3899.99, source: 'Page 1, Row 5' }
+    ],
+    rejectedRows: [
+      { source: 'Page 1, Row 4', rawData: '20 Jan Refund Takealot', reason: 'No valid amounts found', expected: false }
+    ]
+  };
+  const review = () => ImportReview.create('review-1', { name: 'fnb-jan.pdf' }, statement);
+
+  test('a split keeps the row total and the printed balance on its last part', () => {
+    const split = ImportReview.splitRow(review(), '0');
+    expect(split.rows.map(row => [row.key, row.amount, row.sign])).toEqual([
+      ['0.1', '50.01', 'debit'], ['0.2', '50.00', 'debit'], ['1', '3000.00', 'credit']
+    ]);
+
+    const imported = ImportReview.toStatement(split);
+    expect(imported.transactions.map(t => t.balance)).toEqual([null, 899.99, 3899.99]);
+    expect(imported.reconciliation).toMatchObject({ status: 'reconciled', total: 2899.99 });
+  });
+
+  test('restores a skipped line as a row to complete by hand', () => {
+    let restored = ImportReview.restoreRejected(review(), 0);
+    expect(restored.rejectedRows).toEqual([]);
+    const row = restored.rows[2];
+    expect(row).toMatchObject({ key: 'rejected-Page 1, Row 4', date: '2025-01-01', amount: '', edited: true });
+    expect(ImportReview.rowError(row)).toBe('Enter an amount above zero');
+
+    restored = ImportReview.updateRow(restored, row.key, { date: '2025-01-20', amount: '120.00', sign: 'credit' });
+    expect(ImportReview.hasErrors(restored)).toBe(false);
+    expect(ImportReview.toStatement(restored).transactions[2]).toMatchObject({
+      date: '2025-01-20', amount: 120, type: 'credit', description: '20 Jan Refund Takealot', reviewed: true
+    });
+  });
+
+  test.each([
+    [{ amount: '-50.00' }, 'Leave out the sign and choose debit or credit'],
+    [{ amount: '+50.00' }, 'Leave out the sign and choose debit or credit'],
+    [{ amount: '0' }, 'Enter an amount above zero'],
+    [{ amount: 'fifty' }, 'Enter an amount above zero'],
+    [{ date: '2025-02-30x' }, 'Enter a valid date'],
+    [{ amount: '-50.00', accepted: false }, null]
+  ])('validates %p', (changes, error) => {
+    const edited = ImportReview.updateRow(review(), '0', changes);
+    expect(ImportReview.rowError(edited.rows[0])).toBe(error);
+  });
+
+  test('a sign change flips the imported amount', () => {
+    const edited = ImportReview.updateRow(review(), '0', { sign: 'credit' });
+    expect(ImportReview.toStatement(edited).transactions[0]).toMatchObject({ amount: 100.01, type: 'credit', reviewed: true });
+  });
+});
+
+// Figures from the SARS tax tables for individuals, 2022/23 to 2025/26
+describe('TaxEngine', () => {
+  test.each([
+    [2023, '2022/23', 16425, 9000, 2997, 91250, 141250, 157900],
+    [2024, '2023/24', 17235, 9444, 3145, 95750, 148217, 165689],
+    [2025, '2024/25', 17235, 9444, 3145, 95750, 148217, 165689],
+    [2026, '2025/26', 17235, 9444, 3145, 95750, 148217, 165689]
+  ])('%i tables carry the published rebates and thresholds', (year, label, primary, secondary, tertiary, under65, age65to74, age75plus) => {
+    const table = TAX_TABLES[year];
+    expect(table.label).toBe(label);
+    expect(table.rebates).toEqual({ primary, secondary, tertiary });
+    expect(table.thresholds).toEqual({ under65, age65to74, age75plus });
+    expect(table.interestExemption).toEqual({ under65: 23800, age65plus: 34500 });
+  });
+
+  test.each([2023, 2024, 2025, 2026])('%i brackets run on from each other', year => {
+    const { brackets } = TAX_TABLES[year];
+    brackets.slice(1).forEach((bracket, index) => {
+      const previous = brackets[index];
+      expect(bracket.min).toBe(previous.max);
+      expect(bracket.baseAmount).toBeCloseTo(previous.baseAmount + (previous.max - previous.min) * previous.rate, 0);
+    });
+  });
+
+  test.each([2023, 2024, 2025, 2026])('%i thresholds are where tax meets the rebates', year => {
+    const table = TAX_TABLES[year];
+    [[40, table.thresholds.under65], [70, table.thresholds.age65to74], [80, table.thresholds.age75plus]].forEach(([age, threshold]) => {
+      expect(TaxEngine.calculate({ grossIncome: threshold, age }, year).taxPayable).toBeLessThan(1);
+      expect(TaxEngine.calculate({ grossIncome: threshold + 1000, age }, year).taxPayable).toBeGreaterThan(0);
+    });
+  });
+
+  test.each([
+    [2025, 500000, 77362 + 129500 * 0.31 - 17235],
+    [2026, 1000000, 251258 + 142100 * 0.41 - 17235],
+    [2026, 2000000, 644489 + 183000 * 0.45 - 17235],
+    [2023, 500000, 115762 + 11300 * 0.36 - 16425]
+  ])('tax for %i on R%i', (year, income, expected) => {
+    expect(TaxEngine.calculate({ grossIncome: income, age: 40 }, year).taxPayable).toBeCloseTo(expected, 2);
+  });
+
+  test('adds the secondary and tertiary rebates by age', () => {
+    expect(TaxEngine.calculate({ grossIncome: 400000, age: 64 }, 2026).totalRebates).toBe(17235);
+    expect(TaxEngine.calculate({ grossIncome: 400000, age: 65 }, 2026).totalRebates).toBe(17235 + 9444);
+    expect(TaxEngine.calculate({ grossIncome: 400000, age: 75 }, 2026).totalRebates).toBe(17235 + 9444 + 3145);
+  });
+
+  test('exempts local interest up to the limit for the age', () => {
+    const under65 = TaxEngine.calculate({ grossIncome: 300000, localInterest: 30000, age: 40 }, 2026);
+    expect(under65.interestExemption).toBe(23800);
+    expect(under65.taxableIncome).toBe(306200);
+
+    const over65 = TaxEngine.calculate({ grossIncome: 300000, localInterest: 30000, age: 66 }, 2026);
+    expect(over65.interestExemption).toBe(30000);
+    expect(over65.taxableIncome).toBe(300000);
+  });
+
+  test('caps retirement annuity deductions at 27.5% of income', () => {
+    const result = TaxEngine.calculate({ grossIncome: 400000, retirementContributions: 150000, age: 40 }, 2026);
+    expect(result.retirementDeduction).toBeCloseTo(110000, 2);
+    expect(result.retirementCapped).toBe(true);
+    expect(result.taxableIncome).toBeCloseTo(290000, 2);
+  });
+
+  test('caps retirement annuity deductions at R350 000 a year', () => {
+    const result = TaxEngine.calculate({ grossIncome: 2000000, retirementContributions: 600000, age: 40 }, 2026);
+    expect(result.retirementDeduction).toBe(350000);
+  });
+
+  test('gives medical scheme fees credits per member and month', () => {
+    const table = TAX_TABLES[2026];
+    expect(TaxEngine.medicalSchemeFeesCredit(table, 1, 12)).toBe(364 * 12);
+    expect(TaxEngine.medicalSchemeFeesCredit(table, 2, 12)).toBe(728 * 12);
+    expect(TaxEngine.medicalSchemeFeesCredit(table, 4, 6)).toBe((728 + 2 * 246) * 6);
+    expect(TaxEngine.medicalSchemeFeesCredit(table, 0, 12)).toBe(0);
+  });
+
+  test('medical credits reduce tax to nil but are not refunded', () => {
+    const result = TaxEngine.calculate({ grossIncome: 100000, medicalSchemeFees: 60000, medicalMembers: 4, medicalMonths: 12, age: 40 }, 2026);
+    expect(result.taxPayable).toBe(0);
+    expect(result.medicalCredits).toBeCloseTo(100000 * 0.18 - 17235, 2);
+  });
+
+  test('splits dates into the March to February tax year', () => {
+    expect(TaxEngine.taxYearFor('2025-02-28')).toBe(2025);
+    expect(TaxEngine.taxYearFor('2025-03-01')).toBe(2026);
+    expect(TaxEngine.taxYearRange(2024)).toEqual({ start: '2023-03-01', end: '2024-02-29' });
+  });
+
+  test('takes the age on the last day of the tax year', () => {
+    expect(TaxEngine.ageAtYearEnd('1960-02-28', 2025)).toBe(65);
+    expect(TaxEngine.ageAtYearEnd('1960-03-01', 2025)).toBe(64);
+    expect(TaxEngine.ageAtYearEnd('', 2025)).toBeNull();
+  });
+
+  test('falls back to the nearest table for years without one', () => {
+    expect(TaxEngine.tableFor(2030)).toEqual({ table: TAX_TABLES[2026], isFallback: true });
+    expect(TaxEngine.tableFor(2020)).toEqual({ table: TAX_TABLES[2023], isFallback: true });
+    expect(TaxEngine.tableFor(2026).isFallback).toBe(false);
+  });
+});
+
+describe('ReportingPeriods', () => {
+  const TODAY = '2025-06-15';
+  const period = changes => ({ ...ReportingPeriods.defaultPeriod(TODAY), ...changes });
+
+  test('defaults to all dates in the current tax year and quarter', () => {
+    expect(ReportingPeriods.defaultPeriod(TODAY)).toEqual({ kind: 'all', year: 2025, taxYear: 2026, quarter: 2, start: '', end: '' });
+    expect(ReportingPeriods.range(period({}), TODAY)).toBeNull();
+  });
+
+  test('runs a tax year from 1 March to the end of February', () => {
+    expect(ReportingPeriods.range(period({ kind: 'taxYear', taxYear: 2026 }), TODAY))
+      .toEqual({ start: '2025-03-01', end: '2026-02-28', label: '2025/26 tax year' });
+    expect(ReportingPeriods.range(period({ kind: 'taxYear', taxYear: 2028 }), TODAY))
+      .toEqual({ start: '2027-03-01', end: '2028-02-29', label: '2027/28 tax year' });
+  });
+
+  test('resolves calendar years, quarters and rolling months', () => {
+    expect(ReportingPeriods.range(period({ kind: 'calendarYear', year: 2024 }), TODAY))
+      .toEqual({ start: '2024-01-01', end: '2024-12-31', label: '2024' });
+    expect(ReportingPeriods.range(period({ kind: 'quarter', year: 2024, quarter: 1 }), TODAY))
+      .toEqual({ start: '2024-01-01', end: '2024-03-31', label: 'Q1 2024' });
+    expect(ReportingPeriods.range(period({ kind: 'quarter', year: 2024, quarter: 4 }), TODAY).end).toBe('2024-12-31');
+    expect(ReportingPeriods.range(period({ kind: 'rolling12' }), TODAY))
+      .toEqual({ start: '2024-06-16', end: TODAY, label: '12 months to today' });
+  });
+
+  test('needs both ends of a custom range', () => {
+    expect(ReportingPeriods.range(period({ kind: 'custom', start: '2025-01-01' }), TODAY)).toBeNull();
+    expect(ReportingPeriods.range(period({ kind: 'custom', start: '2025-01-01', end: '2025-01-31' }), TODAY).label)
+      .toBe('2025-01-01 to 2025-01-31');
+  });
+
+  test('lists months across a year end', () => {
+    expect(ReportingPeriods.monthsBetween('2024-11-20', '2025-02-03')).toEqual(['2024-11', '2024-12', '2025-01', '2025-02']);
+    expect(ReportingPeriods.monthsBetween('2025-03-01', '2025-03-31')).toEqual(['2025-03']);
+  });
+
+  test('finds months without a statement, up to today', () => {
+    const range = ReportingPeriods.range(period({ kind: 'taxYear', taxYear: 2026 }), TODAY);
+    const statements = [
+      { id: 's1', accountId: 'cheque', period: { start: '2025-03-01', end: '2025-03-31' } },
+      { id: 's2', accountId: 'cheque', period: { start: '2025-05-01', end: '2025-05-31' } },
+      { id: 's3', accountId: 'card', period: null }
+    ];
+    const transactions = [
+      { statementId: 's3', date: '2025-03-10' },
+      { statementId: 's3', date: '2025-06-02' }
+    ];
+    expect(ReportingPeriods.coverageGaps(range, statements, transactions, TODAY)).toEqual([
+      { key: 'cheque', months: ['2025-04', '2025-06'] }
+    ]);
+    expect(ReportingPeriods.coverageGaps(null, statements, transactions, TODAY)).toEqual([]);
+  });
+});
+
+describe('TaxEngine.projectYear', () => {
+  const salary = date => ({ date, description: 'Salary ACME', amount: 30000, isIncome: true, category: 'Income', subcategory: 'Salary' });
+
+  test('averages from the first month with statements', () => {
+    const projection = TaxEngine.projectYear(['2025-07-25', '2025-08-25', '2025-09-25'].map(salary), 2026, '2025-09-30');
+    expect(projection).toMatchObject({ through: '2025-09-25', monthsCovered: 3, monthsRemaining: 5 });
+    expect(projection.projected.grossIncome).toBe(150000);
+    expect(projection.total.grossIncome).toBe(240000);
+  });
+
+  test('starts no earlier than the tax year', () => {
+    const dates = ['2025-01-25', '2025-02-25', '2025-03-25', '2025-04-25', '2025-05-25'];
+    const projection = TaxEngine.projectYear(dates.map(salary), 2026, '2025-05-31');
+    expect(projection).toMatchObject({ monthsCovered: 3, monthsRemaining: 9 });
+    expect(projection.total.grossIncome).toBe(360000);
+  });
+
+  test('does not project a year that has ended', () => {
+    const projection = TaxEngine.projectYear(['2025-07-25', '2025-08-25'].map(salary), 2026, '2026-03-15');
+    expect(projection.monthsRemaining).toBe(0);
+    expect(projection.total.grossIncome).toBe(60000);
+  });
+});
+
+describe('ProvisionalTaxEstimator', () => {
+  // A freelancer earning R50 000 a month through the 2025/26 tax year:
+  // R600 000 taxable, R152 867 before the R17 235 primary rebate
+  const ANNUAL_TAX = 121475 + (600000 - 512800) * 0.36 - 17235;
+  const AFTER_YEAR_END = '2026-04-01';
+  const profile = { ...DEFAULT_TAX_PROFILE, dateOfBirth: '1985-06-01', includeProjection: false };
+
+  const freelanceYear = ReportingPeriods.monthsBetween('2025-03-01', '2026-02-28').map(month => ({
+    date: `${month}-25`, description: 'Client payment', amount: 50000, isIncome: true, category: 'Income', subcategory: 'Freelance'
+  }));
+  const sarsPayment = (date, amount) => ({
+    date, description: 'SARS PROVISIONAL TAX', amount: -amount, isIncome: false, category: 'Professional', subcategory: 'Tax'
+  });
+
+  const estimate = (transactions, overrides = {}) => {
+    const taxProfile = { ...profile, overrides: { 2026: overrides } };
+    const report = TaxEngine.buildReport(transactions, 2026, taxProfile, AFTER_YEAR_END);
+    return ProvisionalTaxEstimator.estimate(transactions, 2026, report, taxProfile, AFTER_YEAR_END);
+  };
+
+  test('falls due on 31 August and the last day of February', () => {
+    expect(ProvisionalTaxEstimator.dueDates(2026)).toEqual({ first: '2025-08-31', second: '2026-02-28' });
+    expect(ProvisionalTaxEstimator.dueDates(2028)).toEqual({ first: '2027-08-31', second: '2028-02-29' });
+  });
+
+  test('splits the year\'s tax over the two periods', () => {
+    const result = estimate(freelanceYear);
+    expect(result.annualTax).toBeCloseTo(ANNUAL_TAX, 2);
+    expect(result.sources.nonPaye).toBe(600000);
+    expect(result.periods.map(period => period.due)).toEqual([ANNUAL_TAX / 2, ANNUAL_TAX / 2].map(value => expect.closeTo(value, 2)));
+  });
+
+  test('takes PAYE already withheld off both periods', () => {
+    const result = estimate(freelanceYear, { payeWithheld: '40000' });
+    expect(result.inputs.payeWithheld).toBe(40000);
+    expect(result.periods[0].due).toBeCloseTo(ANNUAL_TAX / 2 - 20000, 2);
+    expect(result.periods[1].due).toBeCloseTo(ANNUAL_TAX / 2 - 20000, 2);
+  });
+
+  test('matches SARS payments to the period they were made in', () => {
+    const result = estimate([...freelanceYear, sarsPayment('2025-08-25', 30000), sarsPayment('2026-02-20', 50000)]);
+    expect(result.payments).toHaveLength(2);
+    expect(result.periods[0]).toMatchObject({ paid: 30000, outstanding: expect.closeTo(ANNUAL_TAX / 2 - 30000, 2) });
+    expect(result.periods[1]).toMatchObject({ paid: 50000, outstanding: expect.closeTo(ANNUAL_TAX / 2 - 50000, 2) });
+  });
+
+  test('carries a first-period overpayment into the second period', () => {
+    const result = estimate([...freelanceYear, sarsPayment('2025-08-25', 80000)]);
+    expect(result.periods[0].outstanding).toBe(0);
+    expect(result.periods[1].outstanding).toBeCloseTo(ANNUAL_TAX - 80000, 2);
+  });
+
+  test('checks the second-period estimate against the 90% and 80% rules', () => {
+    expect(ProvisionalTaxEstimator.safeHarbour(500000, 600000, 550000)).toEqual({ rate: 0.9, required: 540000, ok: false });
+    expect(ProvisionalTaxEstimator.safeHarbour(500000, 600000, 450000)).toEqual({ rate: 0.9, required: 450000, ok: true });
+    expect(ProvisionalTaxEstimator.safeHarbour(1600000, 2000000, 0)).toEqual({ rate: 0.8, required: 1600000, ok: true });
+  });
+});
+
+describe('BudgetPlanner', () => {
+  const spend = (date, category, amount) => ({ date, category, amount: -amount, isIncome: false });
+  const spending = BudgetPlanner.spendByMonth([
+    spend('2025-01-10', 'Groceries', 4000),
+    spend('2025-01-20', 'Groceries', 1000),
+    spend('2025-02-05', 'Groceries', 6500),
+    spend('2025-03-05', 'Groceries', 4100),
+    spend('2025-03-08', 'Transport', 900),
+    { ...spend('2025-03-09', 'Transport', 5000), isTransfer: true },
+    { date: '2025-03-25', category: 'Income', amount: 30000, isIncome: true }
+  ]);
+  const report = (budgets, month) => Object.fromEntries(
+    BudgetPlanner.monthReport(budgets, spending, month, ['Groceries', 'Transport', 'Dining']).map(row => [row.category, row])
+  );
+
+  test('totals spending per month and category, leaving out income and transfers', () => {
+    expect(spending).toEqual({
+      '2025-01': { Groceries: 5000 },
+      '2025-02': { Groceries: 6500 },
+      '2025-03': { Groceries: 4100, Transport: 900 }
+    });
+  });
+
+  test('alerts at 80% and over budget', () => {
+    const budgets = BudgetPlanner.setLimit(BudgetPlanner.setLimit(DEFAULT_BUDGETS, 'Groceries', '5000'), 'Transport', '1000');
+    const march = report(budgets, '2025-03');
+    expect(march.Groceries).toMatchObject({ available: 5000, remaining: 900, alert: expect.objectContaining({ level: 'warning' }) });
+    expect(march.Transport).toMatchObject({ ratio: 0.9, alert: expect.objectContaining({ level: 'warning' }) });
+    expect(march.Dining).toMatchObject({ limit: undefined, available: null, alert: null });
+    expect(report(budgets, '2025-02').Groceries.alert.level).toBe('over');
+  });
+
+  test('a one-month limit overrides the standing one', () => {
+    let budgets = BudgetPlanner.setLimit(DEFAULT_BUDGETS, 'Groceries', '5000');
+    budgets = BudgetPlanner.setLimit(budgets, 'Groceries', '9000', '2025-02');
+    expect(report(budgets, '2025-02').Groceries).toMatchObject({ limit: 9000, isMonthOnly: true, alert: null });
+    expect(report(BudgetPlanner.clearMonth(budgets, '2025-02'), '2025-02').Groceries.limit).toBe(5000);
+  });
+
+  test('rolls unspent budget and overspend forward', () => {
+    let budgets = BudgetPlanner.setLimit(DEFAULT_BUDGETS, 'Groceries', '5000');
+    budgets = BudgetPlanner.setRollover(budgets, 'Groceries', '2025-01');
+    // January spent exactly the limit, February went R1 500 over
+    expect(report(budgets, '2025-02').Groceries.carried).toBe(0);
+    expect(report(budgets, '2025-03').Groceries).toMatchObject({ carried: -1500, available: 3500, alert: expect.objectContaining({ level: 'over' }) });
+    expect(report(BudgetPlanner.setRollover(budgets, 'Groceries', null), '2025-03').Groceries.carried).toBe(0);
+  });
+
+  test('copies last month\'s actuals across a year end', () => {
+    const december = { '2024-12': { Groceries: 4321.6 } };
+    expect(BudgetPlanner.previousMonth('2025-01')).toBe('2024-12');
+    expect(BudgetPlanner.copyActuals(DEFAULT_BUDGETS, december, '2025-01').months).toEqual({ '2025-01': { Groceries: 4322 } });
+  });
+
+  test('clears a limit set to blank', () => {
+    const budgets = BudgetPlanner.setLimit(DEFAULT_BUDGETS, 'Groceries', '5000');
+    expect(BudgetPlanner.setLimit(budgets, 'Groceries', '').limits).toEqual({});
+    expect(BudgetPlanner.setLimit(budgets, 'Groceries', '-20').limits).toEqual({ Groceries: 0 });
+  });
+});
+
+describe('RecurringDetector', () => {
+  let nextId = 1;
+  const debit = (date, description, amount) => ({ id: `t${nextId++}`, date, description, amount: -amount, category: 'Entertainment' });
+  const monthly = (description, amount, months, day = '05') => months.map(month => debit(`2025-${month}-${day}`, description, amount));
+
+  test('finds weekly, monthly and annual cadences', () => {
+    const recurring = RecurringDetector.detect([
+      ...monthly('NETFLIX.COM', 199, ['01', '02', '03', '04', '05', '06']),
+      ...['06-02', '06-09', '06-16', '06-23', '06-30'].map(day => debit(`2025-${day}`, 'PLANET FITNESS', 95)),
+      debit('2024-06-01', 'HOLLARD CAR INSURANCE ANNUAL', 6200),
+      debit('2025-06-01', 'HOLLARD CAR INSURANCE ANNUAL', 6400),
+      debit('2025-03-14', 'WOOLWORTHS ROSEBANK', 812.4)
+    ], '2025-06-30');
+
+    expect(recurring.map(r => [r.merchant, r.cadence.id, r.status])).toEqual(expect.arrayContaining([
+      [expect.stringMatching(/netflix/i), 'monthly', 'active'],
+      [expect.stringMatching(/planet fitness/i), 'weekly', 'active'],
+      [expect.stringMatching(/hollard/i), 'annual', 'active']
+    ]));
+    expect(recurring).toHaveLength(3);
+    const netflix = recurring.find(r => r.cadence.id === 'monthly');
+    expect(netflix).toMatchObject({ amount: 199, annualCost: 199 * 12, nextExpected: '2025-07-05', count: 6 });
+  });
+
+  test('keeps the day of the month when adding months', () => {
+    const monthlyCadence = { id: 'monthly', days: 30.44 };
+    expect(RecurringDetector.addCadence('2025-01-31', monthlyCadence)).toBe('2025-02-28');
+    expect(RecurringDetector.addCadence('2024-01-31', monthlyCadence)).toBe('2024-02-29');
+    expect(RecurringDetector.addCadence('2025-11-15', monthlyCadence, 3)).toBe('2026-02-15');
+  });
+
+  test('reports a price increase', () => {
+    const [series] = RecurringDetector.detect([
+      ...monthly('SPOTIFY', 59.99, ['01', '02', '03']),
+      ...monthly('SPOTIFY', 69.99, ['04', '05'])
+    ], '2025-05-31');
+    expect(series.priceIncrease).toEqual({ from: 59.99, to: 69.99, date: '2025-04-05', change: expect.closeTo(10 / 59.99, 5) });
+    expect(RecurringDetector.flags([series]).map(flag => flag.type)).toEqual(['increase']);
+  });
+
+  test('flags a missed debit order between payments and an overdue one', () => {
+    const [gap] = RecurringDetector.detect(monthly('DISCOVERY LIFE', 850, ['01', '02', '04', '05', '06']), '2025-06-30');
+    expect(gap.missed).toEqual(['2025-03-05']);
+    expect(gap.status).toBe('active');
+
+    const [overdue] = RecurringDetector.detect([
+      ...monthly('DISCOVERY LIFE', 850, ['01', '02', '03', '04']),
+      debit('2025-05-28', 'WOOLWORTHS ROSEBANK', 410)
+    ], '2025-05-31');
+    expect(overdue).toMatchObject({ status: 'overdue', missed: ['2025-05-05'], nextExpected: '2025-06-05' });
+    expect(RecurringDetector.flags([overdue]).map(flag => flag.type)).toEqual(['missed']);
+  });
+
+  test('ends a series three cycles after the last payment', () => {
+    const [series] = RecurringDetector.detect([
+      ...monthly('SHOWMAX', 99, ['01', '02', '03']),
+      debit('2025-06-28', 'WOOLWORTHS ROSEBANK', 410)
+    ], '2025-06-30');
+    expect(series).toMatchObject({ status: 'ended', nextExpected: null });
+    expect(RecurringDetector.flags([series])).toEqual([]);
+  });
+
+  test('flags a merchant debiting twice in one cycle', () => {
+    const [series] = RecurringDetector.detect([
+      ...monthly('DSTV', 899, ['01', '02', '03', '04']),
+      debit('2025-03-07', 'DSTV', 899)
+    ], '2025-04-30');
+    expect(series.duplicates).toEqual([{ date: '2025-03-07', amount: 899, ids: expect.any(Array) }]);
+    expect(series.count).toBe(4);
+  });
+
+  test('ignores irregular amounts and dates', () => {
+    expect(RecurringDetector.detect([
+      debit('2025-01-03', 'CHECKERS SANDTON', 1200),
+      debit('2025-01-19', 'CHECKERS SANDTON', 310),
+      debit('2025-02-27', 'CHECKERS SANDTON', 2300),
+      debit('2025-03-02', 'CHECKERS SANDTON', 95)
+    ], '2025-03-31')).toEqual([]);
+  });
+});
+
+describe('CashFlowForecaster', () => {
+  // October to December 2025: R30 000 salary, R10 000 groceries and a R199 subscription
+  const transactions = ['10', '11', '12'].flatMap(month => [
+    { id: `salary-${month}`, date: `2025-${month}-25`, description: 'SALARY ACME', amount: 30000, isIncome: true, category: 'Income' },
+    { id: `groceries-${month}`, date: `2025-${month}-12`, description: 'CHECKERS SANDTON', amount: -10000, category: 'Groceries' },
+    { id: `netflix-${month}`, date: `2025-${month}-05`, description: 'NETFLIX.COM', amount: -199, category: 'Entertainment' }
+  ]);
+  let recurring;
+  beforeAll(() => {
+    recurring = RecurringDetector.detect(transactions, '2025-12-31').filter(r => r.description === 'NETFLIX.COM');
+  });
+  const balances = [
+    { account: { type: 'cheque' }, balance: 5000 },
+    { account: { type: 'creditCard' }, balance: -12000 }
+  ];
+  const forecast = scenarios => CashFlowForecaster.forecast({ transactions, recurring, balances, scenarios });
+  const scenario = changes => ({ ...CashFlowForecaster.createScenario(changes.kind), ...changes });
+
+  test('adds months across a year end', () => {
+    expect(CashFlowForecaster.addMonths('2025-11', 2)).toBe('2026-01');
+    expect(CashFlowForecaster.addMonths('2025-12', 12)).toBe('2026-12');
+  });
+
+  test('projects twelve months from the month after the last statement', () => {
+    const result = forecast();
+    expect(result.months.map(m => m.month)).toEqual(ReportingPeriods.monthsBetween('2026-01-01', '2026-12-31'));
+    expect(result.months[0]).toMatchObject({ income: 30000, recurring: 199, expenses: 10199, net: 19801, balance: 24801 });
+    expect(result.months[11].balance).toBeCloseTo(5000 + 12 * 19801, 2);
+    expect(result.startingBalance).toEqual({ amount: 5000, known: true });
+    expect(result.hasSeasonality).toBe(false);
+  });
+
+  test('applies scenarios from their month on and keeps the baseline', () => {
+    const result = forecast([
+      scenario({ kind: 'incomeChange', value: '-10', from: '2026-06' }),
+      scenario({ kind: 'stopRecurring', recurringId: recurring[0].id, from: '2026-03' }),
+      scenario({ kind: 'oneOff', value: '-20000', from: '2026-04' }),
+      scenario({ kind: 'expenseChange', value: '50', enabled: false })
+    ]);
+    const byMonth = Object.fromEntries(result.months.map(m => [m.month, m]));
+    expect(byMonth['2026-02']).toMatchObject({ income: 30000, recurring: 199 });
+    expect(byMonth['2026-03']).toMatchObject({ income: 30000, recurring: 0, expenses: 10000 });
+    expect(byMonth['2026-04'].expenses).toBe(30000);
+    expect(byMonth['2026-05'].expenses).toBe(10000);
+    expect(byMonth['2026-06'].income).toBe(27000);
+    expect(byMonth['2026-12'].baselineBalance).toBeCloseTo(5000 + 12 * 19801, 2);
+    expect(result.hasScenarios).toBe(true);
+  });
+
+  test('spreads weekly costs over the month and puts annual ones in their month', () => {
+    const weekly = { id: 'gym', status: 'active', amount: 60, cadence: { id: 'weekly', perYear: 52 }, last: '2025-12-29' };
+    const annual = { id: 'insurance', status: 'active', amount: 6400, cadence: { id: 'annual', perYear: 1 }, last: '2025-04-10' };
+    const ended = { id: 'showmax', status: 'ended', amount: 99, cadence: { id: 'monthly', perYear: 12 }, last: '2025-06-05' };
+    expect(CashFlowForecaster.recurringInMonth([weekly, annual, ended], '2026-04').map(item => item.amount)).toEqual([260, 6400]);
+    expect(CashFlowForecaster.recurringInMonth([weekly, annual, ended], '2026-05').map(item => item.amount)).toEqual([260]);
+  });
+
+  test('starts from zero without a cheque or savings balance', () => {
+    expect(CashFlowForecaster.startingBalance([{ account: { type: 'creditCard' }, balance: -12000 }])).toEqual({ amount: 0, known: false });
+    expect(CashFlowForecaster.forecast({ transactions: [], recurring: [], balances: [] })).toBeNull();
+  });
+
+  test('validates scenarios before they are added', () => {
+    expect(CashFlowForecaster.validateScenario(scenario({ kind: 'incomeChange', value: '' }))).toBe('Enter an amount or percentage');
+    expect(CashFlowForecaster.validateScenario(scenario({ kind: 'oneOff', value: '5000' }))).toBe('Pick the month of the one-off amount');
+    expect(CashFlowForecaster.validateScenario(scenario({ kind: 'stopRecurring' }))).toBe('Pick the debit order that stops');
+    expect(CashFlowForecaster.validateScenario(scenario({ kind: 'expenseChange', value: '-5' }))).toBeNull();
+  });
+});
+
+describe('ReportExporter', () => {
+  test('downloads through a link in the document and revokes its URL afterwards', () => {
+    jest.useFakeTimers();
+    URL.createObjectURL = jest.fn(() => 'blob:report');
+    URL.revokeObjectURL = jest.fn();
+    let linkInDocument = false;
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      linkInDocument = document.body.contains(this);
+    });
+
+    ReportExporter.download(new Blob(['Date,Amount']), 'report.csv');
+    expect(linkInDocument).toBe(true);
+    expect(document.querySelector('a[download]')).toBeNull();
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:report');
+
+    click.mockRestore();
+    jest.useRealTimers();
+  });
+
+  test('leaves out charts that have no size', async () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<svg class="recharts-surface"></svg><svg class="recharts-surface"></svg>';
+    expect(await ReportExporter.chartImages(container)).toEqual([]);
+    expect(await ReportExporter.chartImages(null)).toEqual([]);
+  });
+
+  test('writes formula-like text as text in CSV, but keeps negative amounts as numbers', () => {
+    expect(ReportExporter.toCSV([
+      ['=HYPERLINK("http://example.com")', '+27 82 555 0100', '-R50 refund', '@SUM(A1)', -1234.56],
+      ['Checkers, Sandton', 'Woolworths', 'said "hi"', 'R50', 350]
+    ])).toBe([
+      `"'=HYPERLINK(""http://example.com"")",'+27 82 555 0100,'-R50 refund,'@SUM(A1),-1234.56`,
+      '"Checkers, Sandton",Woolworths,"said ""hi""",R50,350'
+    ].join('\r\n'));
+  });
+});
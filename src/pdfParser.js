@@ -0,0 +1,1177 @@
+// ============================================================================
+// PDF STATEMENT PARSER - text extraction, layout detection and reconciliation
+// ============================================================================
+// Runs inside pdfParser.worker.js so a long statement never blocks the page.
+// App.js imports the detectors as well: the CSV, OFX and QIF importers reuse
+// the bank, period and account detection.
+
+// PDF Text Extraction Module
+const PDFTextExtractor = {
+  pdfjsLib: null,
+
+  // pdf.js ships in the app bundle. We already run inside a worker, so pdf.js
+  // is handed its worker module directly and does its parsing in this thread.
+  async loadPDFJS() {
+    if (!this.pdfjsLib) {
+      const [pdfjsLib, pdfjsWorker] = await Promise.all([
+        import('pdfjs-dist'),
+        import('pdfjs-dist/build/pdf.worker')
+      ]);
+      self.pdfjsWorker = pdfjsWorker; // eslint-disable-line no-restricted-globals
+      this.pdfjsLib = pdfjsLib;
+    }
+    return this.pdfjsLib;
+  },
+
+  // pdf.js reports encrypted files with a PasswordException: code 1 when a
+  // password is needed, 2 when the one given is wrong
+  async openDocument(file, password) {
+    const arrayBuffer = await file.arrayBuffer();
+    try {
+      // Scanned pages are rendered for OCR off-screen, without a DOM for fonts or canvases
+      return await this.pdfjsLib.getDocument({
+        data: arrayBuffer,
+        password: password || undefined,
+        canvasFactory: OffscreenCanvasFactory,
+        disableFontFace: true
+      }).promise;
+    } catch (error) {
+      if (error.name !== 'PasswordException') throw error;
+      const passwordError = new Error(error.code === 2 ? 'Incorrect password' : 'This PDF is password protected');
+      passwordError.passwordRequired = true;
+      passwordError.incorrectPassword = error.code === 2;
+      throw passwordError;
+    }
+  },
+
+  // onProgress({ stage: 'extract' | 'ocr', page, pages }) fires as each page
+  // is read. Pages without a text layer are read by OCR and marked ocr: true
+  async extractPositionedText(file, password = null, onProgress = null) {
+    await this.loadPDFJS();
+    const pdf = await this.openDocument(file, password);
+    
+    console.log('=== PDF TEXT EXTRACTION ===');
+    console.log('PDF loaded, pages:', pdf.numPages);
+    
+    const allPages = [];
+    
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const textContent = await page.getTextContent();
+      
+      let textItems = textContent.items.map(item => ({
+        text: item.str.trim(),
+        x: Math.round(item.transform[4]),
+        y: Math.round(item.transform[5]),
+        width: Math.round(item.width),
+        height: Math.round(item.height)
+      })).filter(item => item.text.length > 0);
+      
+      let ocr = false;
+      if (textItems.length === 0) {
+        if (!OCRExtractor.isAvailable()) {
+          throw new Error('this looks like a scanned statement, and this browser cannot run OCR on it');
+        }
+        console.log(`🔎 Page ${pageNum} has no text layer, running OCR`);
+        if (onProgress) onProgress({ stage: 'ocr', page: pageNum, pages: pdf.numPages });
+        textItems = await OCRExtractor.recognizePage(page);
+        ocr = true;
+      }
+      
+      console.log(`Page ${pageNum}: ${textItems.length} text items extracted${ocr ? ' by OCR' : ''}`);
+      if (onProgress) onProgress({ stage: 'extract', page: pageNum, pages: pdf.numPages });
+      
+      allPages.push({
+        pageNum,
+        textItems,
+        ocr,
+        rawTextContent: textContent
+      });
+    }
+    
+    return allPages;
+  }
+};
+
+// OCR Module
+// Scanned statements have no text layer: getTextContent returns nothing and
+// such a page used to yield no transactions at all. Those pages are rendered
+// and read by tesseract.js instead. Its worker, engine and English data are
+// bundled with the app (pdfParser.worker.js passes their URLs to configure),
+// so the page image never leaves the browser.
+const OCR_RENDER_SCALE = 2;
+
+// OCR transactions read below this confidence (0-100) are flagged for review
+const OCR_REVIEW_CONFIDENCE = 80;
+
+// pdf.js draws into canvases from this factory; its default one needs a DOM
+const OffscreenCanvasFactory = {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  },
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  },
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+};
+
+const OCRExtractor = {
+  assets: null,
+  workerPromise: null,
+
+  // assets: { workerPath, corePath, langData } URLs of the bundled engine files
+  configure(assets) {
+    this.assets = assets;
+  },
+
+  isAvailable() {
+    return this.assets !== null && typeof OffscreenCanvas !== 'undefined';
+  },
+
+  // One tesseract worker is started on the first scanned page and reused
+  getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = (async () => {
+        const { workerPath, corePath, langData } = this.assets;
+        const [{ createWorker }, response] = await Promise.all([import('tesseract.js'), fetch(langData)]);
+        const data = new Uint8Array(await response.arrayBuffer());
+        return createWorker([{ code: 'eng', data }], 1, { workerPath, corePath, cacheMethod: 'none' });
+      })();
+      // A failed start (e.g. offline before the assets were cached) is retried next time
+      this.workerPromise.catch(() => { this.workerPromise = null; });
+    }
+    return this.workerPromise;
+  },
+
+  async renderPage(page) {
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const { canvas, context } = OffscreenCanvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas;
+  },
+
+  // Tesseract boxes are rendered pixels measured from the top left; text
+  // items are PDF points from the bottom left with y on the baseline
+  wordsToTextItems(words, pageHeight, scale = OCR_RENDER_SCALE) {
+    return words.map(word => ({
+      text: word.text.trim(),
+      x: Math.round(word.bbox.x0 / scale),
+      y: Math.round(pageHeight - word.bbox.y1 / scale),
+      width: Math.round((word.bbox.x1 - word.bbox.x0) / scale),
+      height: Math.round((word.bbox.y1 - word.bbox.y0) / scale),
+      confidence: Math.round(word.confidence)
+    })).filter(item => item.text.length > 0);
+  },
+
+  async recognizePage(page) {
+    const worker = await this.getWorker();
+    const canvas = await this.renderPage(page);
+    const { data } = await worker.recognize(canvas);
+    console.log(`🔎 OCR read ${data.words.length} words (confidence ${Math.round(data.confidence)}%)`);
+    return this.wordsToTextItems(data.words, page.getViewport({ scale: 1 }).height);
+  },
+
+  // A transaction is only as certain as the least certain word its date and
+  // amounts were read from; rows from a text layer have no score
+  rowConfidence(row, indexes) {
+    const scores = indexes.map(index => row[index].confidence).filter(score => typeof score === 'number');
+    return scores.length > 0 ? Math.min(...scores) : null;
+  },
+
+  // Rows the user corrected during the import review are marked reviewed
+  needsReview(transaction) {
+    return typeof transaction.ocrConfidence === 'number' && !transaction.reviewed &&
+      transaction.ocrConfidence < OCR_REVIEW_CONFIDENCE;
+  }
+};
+
+// Text Processing Module
+const TextProcessor = {
+  groupTextIntoRows(textItems, pageNum, tolerance = 8) {  // Increased tolerance
+    const sortedItems = textItems.sort((a, b) => {
+      if (Math.abs(a.y - b.y) < tolerance) {
+        return a.x - b.x;
+      }
+      return b.y - a.y;
+    });
+    
+    const rows = [];
+    let currentRow = [];
+    let lastY = null;
+    
+    sortedItems.forEach(item => {
+      if (lastY === null || Math.abs(item.y - lastY) < tolerance) {
+        currentRow.push(item);
+      } else {
+        if (currentRow.length > 0) {
+          rows.push([...currentRow]);
+        }
+        currentRow = [item];
+      }
+      lastY = item.y;
+    });
+    
+    if (currentRow.length > 0) {
+      rows.push(currentRow);
+    }
+    
+    console.log(`Page ${pageNum} - Grouped into ${rows.length} rows`);
+    return rows;
+  },
+
+  debugRows(rows, pageNum, maxRows = 10) {
+    console.log(`\n=== PAGE ${pageNum} ROW ANALYSIS ===`);
+    rows.slice(0, maxRows).forEach((row, index) => {
+      const rowText = row.map(item => item.text).join(' | ');
+      console.log(`Row ${index + 1}: "${rowText}"`);
+    });
+  }
+};
+
+// Amount Formats
+// How a document writes one thousand two hundred and thirty-four rand fifty-six.
+// Thousands may be grouped with a space, including the non-breaking and narrow
+// no-break spaces some PDF generators use.
+const AMOUNT_FORMATS = {
+  dot: { id: 'dot', name: '1,234.56', decimal: '.', thousands: ', \u00a0\u202f' },
+  comma: { id: 'comma', name: '1 234,56', decimal: ',', thousands: ' .\u00a0\u202f' }
+};
+
+// Pattern Detection Module
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const PatternDetector = {
+  // More flexible date patterns for SA banks
+  datePatterns: [
+    /^\d{1,2}[-\/\s]\d{1,2}[-\/\s]\d{4}$/,    // DD/MM/YYYY
+    /^\d{4}[-\/\s]\d{1,2}[-\/\s]\d{1,2}$/,    // YYYY/MM/DD  
+    /^\d{1,2}\s+\w{3}\s+\d{4}$/,              // DD MMM YYYY
+    /^\w{3}\s+\d{1,2},?\s+\d{4}$/,            // MMM DD, YYYY
+    /^\d{1,2}\s+\w+\s+\d{4}$/,                // DD Month YYYY
+    /^\d{2}\s\w{3}$/,                         // DD MMM
+    /^\d{1,2}\s\w{3}$/,                       // D MMM
+    /^\d{2}\/\d{2}$/,                         // DD/MM
+    /^\d{1,2}\/\d{1,2}$/                      // D/M
+  ],
+
+  isDate(text) {
+    const cleanText = text.trim();
+    return this.datePatterns.some(pattern => pattern.test(cleanText));
+  },
+
+  isAmount(text, format = null) {
+    const amount = this.parseAmount(text, format);
+    return amount !== null && Math.abs(amount) >= 0.01;
+  },
+
+  // Splits an amount into { value, negative, suffix, cents }: value is
+  // unsigned, negative is set by a leading or trailing "-" or by brackets,
+  // suffix is 'cr' or 'dr' and cents says two decimals were printed.
+  // format is an AMOUNT_FORMATS id; without one each token is read on its own
+  // terms. Returns null for anything that is not an amount.
+  readAmount(text, format = null) {
+    let token = String(text).trim();
+    let negative = false;
+    let suffix = null;
+
+    const suffixMatch = token.match(/^(.*[\d)])\s*(cr|dr)\.?$/i);
+    if (suffixMatch) {
+      token = suffixMatch[1];
+      suffix = suffixMatch[2].toLowerCase();
+    }
+
+    const bracketMatch = token.match(/^\((.*)\)$/);
+    if (bracketMatch) {
+      token = bracketMatch[1].trim();
+      negative = true;
+    }
+
+    // Signs sit on either side of the currency symbol ("-R 12.50", "R-12.50") or trail ("12.50-")
+    token = token.replace(/^([-+]?)\s*(?:R|ZAR)\s*/i, '$1');
+    if (/^[-+]/.test(token)) {
+      negative = negative || token[0] === '-';
+      token = token.slice(1).trim();
+    } else if (/\d\s*-$/.test(token)) {
+      negative = true;
+      token = token.slice(0, -1).trim();
+    }
+
+    const { decimal, thousands } = AMOUNT_FORMATS[format || this.guessAmountFormat(token)];
+    const match = token.match(new RegExp(`^(\\d{1,3}(?:[${thousands}]\\d{3})+|\\d+)(?:\\${decimal}(\\d{1,2}))?$`));
+    if (!match) return null;
+
+    const whole = match[1].replace(/\D/g, '');
+    const value = parseFloat(`${whole}.${match[2] || '0'}`);
+    return { value, negative, suffix, cents: Boolean(match[2]) && match[2].length === 2 };
+  },
+
+  // Signed amount: negative for "-", brackets or a "Dr" suffix. Zero and
+  // non-amounts give null.
+  parseAmount(amountStr, format = null) {
+    const amount = this.readAmount(amountStr, format);
+    if (!amount || amount.value <= 0) return null;
+    const negative = amount.suffix ? amount.suffix === 'dr' : amount.negative;
+    return negative ? -amount.value : amount.value;
+  },
+
+  // A decimal comma followed by one or two digits can only be a comma format:
+  // thousands groups always have three digits
+  guessAmountFormat(token) {
+    return /,\d{1,2}$/.test(token) ? 'comma' : 'dot';
+  },
+
+  // Picks the format most amounts in a document use, counting only amounts
+  // with cents since "1,234" and "1.234" could be either
+  detectAmountFormat(texts) {
+    const votes = { dot: 0, comma: 0 };
+    texts.forEach(text => {
+      String(text).split(/\s{2,}|\t|;|\|/).forEach(token => {
+        const amount = token.trim().replace(/\s*(cr|dr)\.?$/i, '').replace(/[)-]+$/, '');
+        if (/\d\.\d{2}$/.test(amount)) votes.dot++;
+        else if (/\d,\d{2}$/.test(amount)) votes.comma++;
+      });
+    });
+    const format = votes.comma > votes.dot ? 'comma' : 'dot';
+    console.log(`🔢 Amount format: ${AMOUNT_FORMATS[format].name} (${votes.dot} vs ${votes.comma} votes)`);
+    return format;
+  },
+
+  standardizeDate(dateStr, period = null) {
+    try {
+      let date;
+      
+      if (/^\d{1,2}[-\/\s]\d{1,2}[-\/\s]\d{4}$/.test(dateStr)) {
+        const parts = dateStr.split(/[-\/\s]/);
+        date = new Date(parts[2], parts[1] - 1, parts[0]);
+      } else if (/^\d{1,2}\s\w{3}$/.test(dateStr)) {
+        date = this.resolveShortDate(dateStr, period);
+      } else {
+        date = new Date(dateStr);
+      }
+      
+      if (isNaN(date)) {
+        return dateStr;
+      }
+      
+      return this.toISODate(date);
+    } catch (error) {
+      return dateStr;
+    }
+  },
+
+  // "DD MMM" carries no year: pick the year that lands the date inside the
+  // statement period, so a Dec-Jan statement splits across the year boundary
+  resolveShortDate(dateStr, period) {
+    const [day, monthName] = dateStr.trim().split(/\s+/);
+    const month = MONTH_NAMES.indexOf(monthName.substring(0, 3).toLowerCase());
+    if (month === -1) return new Date(NaN);
+
+    const fallbackYear = period ? period.yearHint : new Date().getFullYear();
+    if (!period || !period.start || !period.end) {
+      return new Date(fallbackYear, month, parseInt(day, 10));
+    }
+
+    const startYear = parseInt(period.start.substring(0, 4), 10);
+    const endYear = parseInt(period.end.substring(0, 4), 10);
+    const candidates = [];
+    for (let year = endYear; year >= startYear; year--) {
+      candidates.push(new Date(year, month, parseInt(day, 10)));
+    }
+
+    const inside = candidates.find(date => {
+      const iso = this.toISODate(date);
+      return iso >= period.start && iso <= period.end;
+    });
+    return inside || new Date(fallbackYear, month, parseInt(day, 10));
+  },
+
+  // Formats in local time; toISOString() would shift SAST midnight to the previous day
+  toISODate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+};
+
+// Bank Profile Module
+// Each profile describes one bank's statement layout: how to recognise it from
+// page-1 text, how its dates look, how debits/credits are signed and which
+// rows are table headers, page furniture or balance lines rather than transactions.
+const MONTH_TOKEN = '(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)';
+
+const BANK_PROFILES = {
+  standard: {
+    id: 'standard',
+    name: 'Standard Bank',
+    identifiers: [/standard bank/i, /\bsbsa\b/i, /standardbank\.co\.za/i],
+    passwordHint: "Usually the account holder's ID number (passport number if you have no SA ID)",
+    dateFormat: 'DD MMM',
+    rowDatePatterns: [new RegExp(`^\\d{1,2}\\s+${MONTH_TOKEN}\\b`, 'i')],
+    signConvention: 'signed',       // debits carry a trailing or leading "-"
+    amountFormat: null,             // an AMOUNT_FORMATS id, or null to detect it per document
+    amountLayout: 'balanceLast',    // ... | Debits | Credits | Date | Balance
+    feesInBalance: true,            // a fee column's charge is already in its row's balance
+    columns: {
+      description: ['details', 'description'],
+      fee: ['service fee'],
+      debit: ['debits'],
+      credit: ['credits'],
+      date: ['date'],
+      balance: ['balance']
+    },
+    footerPatterns: [/customer care/i, /standardbank\.co\.za/i, /authorised financial services/i]
+  },
+  fnb: {
+    id: 'fnb',
+    name: 'FNB',
+    identifiers: [/first national bank/i, /\bfnb\b/i, /fnb\.co\.za/i],
+    passwordHint: "Usually the account holder's ID number, as set for emailed statements",
+    dateFormat: 'DD MMM',
+    rowDatePatterns: [new RegExp(`^\\d{1,2}\\s+${MONTH_TOKEN}\\b`, 'i')],
+    signConvention: 'crSuffix',     // credits end in "Cr", everything else is a debit
+    amountFormat: 'dot',
+    amountLayout: 'amountThenBalance', // Amount | Balance | Accrued Bank Charges
+    feesInBalance: false,           // accrued charges are debited later, as their own row
+    columns: {
+      date: ['date'],
+      description: ['description'],
+      amount: ['amount'],
+      balance: ['balance'],
+      fee: ['accrued bank charges', 'bank charges']
+    },
+    footerPatterns: [/fnb\.co\.za/i, /a division of firstrand/i, /licensed financial services/i]
+  },
+  absa: {
+    id: 'absa',
+    name: 'ABSA',
+    identifiers: [/\babsa\b/i, /absa\.co\.za/i],
+    passwordHint: "Usually the account holder's ID number (passport number if you have no SA ID)",
+    dateFormat: 'DD/MM/YYYY',
+    rowDatePatterns: [/^\d{1,2}\/\d{1,2}\/\d{4}$/],
+    signConvention: 'signed',
+    amountFormat: null,
+    amountLayout: 'balanceLast',    // Charge | Debit Amount | Credit Amount | Balance
+    feesInBalance: true,
+    columns: {
+      date: ['date'],
+      description: ['transaction description', 'description'],
+      fee: ['charge'],
+      debit: ['debit amount'],
+      credit: ['credit amount'],
+      balance: ['balance']
+    },
+    footerPatterns: [/absa\.co\.za/i, /authorised financial services provider/i, /our privacy notice/i]
+  },
+  nedbank: {
+    id: 'nedbank',
+    name: 'Nedbank',
+    identifiers: [/nedbank/i, /nedbank\.co\.za/i],
+    passwordHint: "Usually the account holder's ID number",
+    dateFormat: 'DD/MM/YYYY',
+    rowDatePatterns: [/^\d{2}\/\d{2}\/\d{4}$/],
+    signConvention: 'signed',
+    amountFormat: null,
+    amountLayout: 'balanceLast',    // Fees | Debits | Credits | Balance
+    feesInBalance: true,
+    columns: {
+      date: ['tran date', 'date'],
+      description: ['description'],
+      fee: ['fees'],
+      debit: ['debits'],
+      credit: ['credits'],
+      balance: ['balance']
+    },
+    footerPatterns: [/nedbank\.co\.za/i, /see money differently/i, /registered credit provider/i]
+  },
+  capitec: {
+    id: 'capitec',
+    name: 'Capitec',
+    identifiers: [/capitec/i, /capitecbank\.co\.za/i],
+    passwordHint: "Usually the account holder's ID number",
+    dateFormat: 'DD/MM/YYYY',
+    rowDatePatterns: [/^\d{2}\/\d{2}\/\d{4}$/],
+    signConvention: 'signed',
+    amountFormat: null,
+    amountLayout: 'balanceLast',    // Money In | Money Out | Fee | Balance
+    feesInBalance: true,
+    columns: {
+      date: ['posting date', 'transaction date', 'date'],
+      description: ['description'],
+      credit: ['money in'],
+      debit: ['money out'],
+      fee: ['fee'],
+      balance: ['balance']
+    },
+    footerPatterns: [/capitecbank\.co\.za/i, /authorised financial services/i]
+  },
+  generic: {
+    id: 'generic',
+    name: 'Unknown bank',
+    identifiers: [],
+    passwordHint: "Usually the account holder's ID number",
+    dateFormat: 'auto',
+    rowDatePatterns: [],
+    signConvention: 'signed',
+    amountFormat: null,
+    amountLayout: 'balanceLast',
+    feesInBalance: true,
+    columns: {
+      date: ['date'],
+      description: ['description', 'details', 'transaction'],
+      debit: ['debit', 'debits'],
+      credit: ['credit', 'credits'],
+      amount: ['amount'],
+      balance: ['balance']
+    },
+    footerPatterns: []
+  }
+};
+
+// Rows every bank prints that are never transactions
+const COMMON_FOOTER_PATTERNS = [
+  /^page\s*\d+(\s*(of|\/)\s*\d+)?$/i,
+  /\bpage\s+\d+\s+of\s+\d+\b/i,
+  /vat\s+reg(istration)?\s+no/i,
+  /^continued( on next page)?$/i
+];
+
+const BALANCE_ROW_PATTERNS = [
+  /opening balance/i,
+  /closing balance/i,
+  /balance brought forward/i,
+  /brought forward/i,
+  /carried forward/i
+];
+
+const BankProfileDetector = {
+  detectBank(firstPageText) {
+    let best = BANK_PROFILES.generic;
+    let bestScore = 0;
+
+    Object.values(BANK_PROFILES).forEach(profile => {
+      const score = profile.identifiers.filter(pattern => pattern.test(firstPageText)).length;
+      if (score > bestScore) {
+        best = profile;
+        bestScore = score;
+      }
+    });
+
+    console.log(`🏦 Detected bank profile: ${best.name} (score ${bestScore})`);
+    return best;
+  },
+
+  detectFromPages(pages) {
+    const firstPage = pages[0];
+    const firstPageText = firstPage ? firstPage.textItems.map(item => item.text).join(' ') : '';
+    return this.detectBank(firstPageText);
+  }
+};
+
+// Statement Period Module
+// Reads "Statement from 01 Dec 2025 to 31 Jan 2026" style headers so that
+// short "DD MMM" dates can be placed in the right year.
+const PERIOD_DATE = '(\\d{1,2}\\s+[A-Za-z]{3,9}\\s+\\d{4}|\\d{1,2}\\/\\d{1,2}\\/\\d{4}|\\d{4}[-\\/]\\d{2}[-\\/]\\d{2})';
+
+const PERIOD_PATTERNS = [
+  new RegExp(`(?:statement\\s+)?(?:period|from)\\s*:?\\s*(?:from\\s+)?${PERIOD_DATE}\\s*(?:to|until|-|–)\\s*${PERIOD_DATE}`, 'i'),
+  new RegExp(`${PERIOD_DATE}\\s*(?:to|-|–)\\s*${PERIOD_DATE}`, 'i')
+];
+
+const StatementPeriodDetector = {
+  detectPeriod(pages) {
+    const text = pages.map(page => page.textItems.map(item => item.text).join(' ')).join(' ');
+
+    for (const pattern of PERIOD_PATTERNS) {
+      const match = text.match(pattern);
+      if (!match) continue;
+
+      const start = PatternDetector.standardizeDate(match[1]);
+      const end = PatternDetector.standardizeDate(match[2]);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(start) && /^\d{4}-\d{2}-\d{2}$/.test(end) && start <= end) {
+        console.log(`📅 Statement period: ${start} to ${end}`);
+        return { start, end, yearHint: parseInt(end.substring(0, 4), 10) };
+      }
+    }
+
+    // No period printed: fall back to the latest year mentioned on the statement
+    const years = (text.match(/\b20\d{2}\b/g) || []).map(y => parseInt(y, 10));
+    const yearHint = years.length > 0 ? Math.max(...years) : new Date().getFullYear();
+    console.log(`📅 No statement period found, assuming ${yearHint}`);
+    return { start: null, end: null, yearHint };
+  },
+
+  isOutsidePeriod(isoDate, period) {
+    if (!period || !period.start || !period.end) return false;
+    return isoDate < period.start || isoDate > period.end;
+  }
+};
+
+// Account Detection Module
+// Reads the account number, account type and holder printed in a statement
+// header so that statements from the same account can be grouped.
+const ACCOUNT_TYPES = {
+  cheque: 'Cheque',
+  savings: 'Savings',
+  creditCard: 'Credit card',
+  homeLoan: 'Home loan'
+};
+
+// The earliest match in the header wins; transaction lines such as
+// "CREDIT CARD PAYMENT" can appear on any type of statement
+const ACCOUNT_TYPE_PATTERNS = [
+  { type: 'homeLoan', pattern: /\bhome\s*loan\b|\bbond account\b|\bmortgage\b/i },
+  { type: 'creditCard', pattern: /\bcredit\s*card\b|\bcard account\b/i },
+  { type: 'savings', pattern: /\bsavings?\b|\bmoney market\b|\bfixed deposit\b|\bnotice deposit\b/i },
+  { type: 'cheque', pattern: /\bcheque\b|\bcurrent account\b|\btransaction account\b|\bgold account\b|\beasy account\b/i }
+];
+
+const ACCOUNT_HEADER_LENGTH = 800;
+
+const ACCOUNT_NUMBER_PATTERNS = [
+  /\b(?:account|acc|acct)\.?\s*(?:number|no\.?|nr|#)\s*:?\s*(\d{4,}(?:[ -]\d{3,})*)(?![\d/.:])/i,
+  /\bcard\s*(?:number|no\.?)\s*:?\s*(\d{4}[\d*xX ]{8,18}\d{4})\b/i
+];
+
+const ACCOUNT_HOLDER_PATTERNS = [
+  /\baccount\s*(?:holder|name)\s*:?\s*([A-Za-z][A-Za-z'.-]*(?:\s+[A-Za-z][A-Za-z'.-]*){0,3})/i,
+  /\b((?:MR|MRS|MS|MISS|DR|PROF)\.?(?:\s+[A-Z][A-Z'.-]*){1,3})\b/
+];
+
+// Header labels that can follow a holder's name on the same line
+const HOLDER_STOP_WORDS = /^(card|account|acc|number|no|statement|address|branch|date|period|page|tel|vat|po|box)$/i;
+
+const AccountDetector = {
+  // Masked card numbers keep only their last four digits
+  normalizeNumber(value) {
+    const compact = value.replace(/[\s-]/g, '');
+    return /[*xX]/.test(compact) ? `****${compact.slice(-4)}` : compact;
+  },
+
+  readHolder(value) {
+    const words = value.trim().split(/\s+/);
+    const end = words.findIndex((word, index) => index > 0 && HOLDER_STOP_WORDS.test(word.replace(/\.$/, '')));
+    return (end === -1 ? words : words.slice(0, end)).join(' ');
+  },
+
+  detectType(header) {
+    let best = null;
+    ACCOUNT_TYPE_PATTERNS.forEach(({ type, pattern }) => {
+      const match = header.match(pattern);
+      if (match && (!best || match.index < best.index)) best = { type, index: match.index };
+    });
+    return best ? best.type : null;
+  },
+
+  detectFromText(text) {
+    const header = text.substring(0, ACCOUNT_HEADER_LENGTH);
+    const numberMatch = ACCOUNT_NUMBER_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+    const holderMatch = ACCOUNT_HOLDER_PATTERNS.map(pattern => header.match(pattern)).find(Boolean);
+
+    const info = {
+      number: numberMatch ? this.normalizeNumber(numberMatch[1]) : null,
+      type: this.detectType(header),
+      holder: holderMatch ? this.readHolder(holderMatch[1]) : null
+    };
+    console.log(`👤 Account: ${info.number || 'no number'}, ${info.type || 'unknown type'}, ${info.holder || 'no holder'}`);
+    return info;
+  },
+
+  detectFromPages(pages) {
+    const firstPage = pages[0];
+    return this.detectFromText(firstPage ? firstPage.textItems.map(item => item.text).join(' ') : '');
+  }
+};
+
+// Column Detection Module
+// Builds a column layout from a statement's table header row so that each
+// token in a transaction row can be assigned to its column by x-position.
+const NUMERIC_COLUMNS = ['debit', 'credit', 'amount', 'balance', 'fee'];
+
+const ColumnDetector = {
+  matchColumn(text, profile, exact = false) {
+    const lowerText = text.toLowerCase().trim();
+    let match = null;
+
+    Object.entries(profile.columns).forEach(([key, aliases]) => {
+      aliases.forEach(alias => {
+        const isMatch = lowerText === alias ||
+          (!exact && (lowerText.startsWith(`${alias} `) || lowerText.endsWith(` ${alias}`)));
+        if (isMatch && (!match || alias.length > match.alias.length)) {
+          match = { key, alias };
+        }
+      });
+    });
+
+    return match ? match.key : null;
+  },
+
+  buildLayout(headerRow, profile) {
+    const columns = [];
+
+    // Header labels such as "Debit" "Amount" may come through as separate items
+    for (let i = 0; i < headerRow.length; i++) {
+      const item = headerRow[i];
+      const next = headerRow[i + 1];
+      const pairKey = next ? this.matchColumn(`${item.text} ${next.text}`, profile, true) : null;
+      const key = pairKey || this.matchColumn(item.text, profile);
+      if (!key) continue;
+
+      const right = pairKey ? next.x + next.width : item.x + item.width;
+      if (!columns.some(c => c.key === key)) {
+        columns.push({ key, left: item.x, right, center: (item.x + right) / 2 });
+      }
+      if (pairKey) i++;
+    }
+
+    const hasNumericColumn = columns.some(c => NUMERIC_COLUMNS.includes(c.key));
+    if (columns.length < 2 || !hasNumericColumn) {
+      return null;
+    }
+
+    columns.sort((a, b) => a.left - b.left);
+    console.log(`📐 Column layout: ${columns.map(c => `${c.key}@${c.left}-${c.right}`).join(', ')}`);
+    return { columns };
+  },
+
+  detectLayout(rows, profile) {
+    for (const row of rows) {
+      const rowText = row.map(item => item.text).join(' ');
+      if (TransactionDetector.isHeaderRow(rowText, profile)) {
+        const layout = this.buildLayout(row, profile);
+        if (layout) return layout;
+      }
+    }
+    return null;
+  },
+
+  // Amounts are right-aligned under their header, text is left-aligned
+  columnForItem(item, layout, isAmount) {
+    const candidates = layout.columns.filter(c => NUMERIC_COLUMNS.includes(c.key) === isAmount);
+    if (candidates.length === 0) return null;
+
+    const itemRight = item.x + item.width;
+    const distance = column => isAmount
+      ? Math.abs(itemRight - column.right)
+      : (item.x >= column.left ? item.x - column.left : Infinity);
+
+    const best = candidates.reduce((closest, column) =>
+      distance(column) < distance(closest) ? column : closest
+    );
+    return distance(best) === Infinity ? candidates[0].key : best.key;
+  }
+};
+
+// Transaction Detection Module
+const TransactionDetector = {
+  isHeaderRow(rowText, profile = BANK_PROFILES.generic) {
+    // A header row names several of the profile's columns and carries no amounts
+    const lowerText = rowText.toLowerCase();
+    const labels = Object.values(profile.columns).flat();
+    const labelHits = labels.filter(label => lowerText.includes(label)).length;
+    const hasAmount = rowText.split(/\s+/).some(token => this.readAmountToken(token, profile) !== null);
+
+    return labelHits >= 2 && !hasAmount;
+  },
+
+  isFooterRow(rowText, profile = BANK_PROFILES.generic) {
+    return [...COMMON_FOOTER_PATTERNS, ...profile.footerPatterns].some(pattern => pattern.test(rowText));
+  },
+
+  isBalanceRow(rowText) {
+    return BALANCE_ROW_PATTERNS.some(pattern => pattern.test(rowText));
+  },
+
+  // Reads "Opening balance 1,234.56" style rows. One row may carry both the
+  // opening and closing figures (statement summary boxes).
+  readBalanceRow(row, pageNum, profile = BANK_PROFILES.generic) {
+    const rowText = row.map(item => item.text).join(' ');
+    if (!this.isBalanceRow(rowText)) return [];
+
+    const markers = [];
+    let pendingKind = null;
+
+    row.forEach(item => {
+      const text = item.text.trim();
+      if (/opening balance|brought forward/i.test(text)) {
+        pendingKind = 'opening';
+      } else if (/closing balance|carried forward/i.test(text)) {
+        pendingKind = 'closing';
+      }
+
+      const value = this.readAmountToken(text, profile);
+      if (value !== null && pendingKind) {
+        markers.push({ kind: pendingKind, value, source: `Page ${pageNum}` });
+        pendingKind = null;
+      }
+    });
+
+    return markers;
+  },
+
+  isRowDate(text, profile) {
+    if (profile.rowDatePatterns.length === 0) {
+      return PatternDetector.isDate(text);
+    }
+    return profile.rowDatePatterns.some(pattern => pattern.test(text));
+  },
+
+  // Reads one amount cell in the profile's amountFormat (resolved per document
+  // by parseFile) and applies its sign convention
+  readAmountToken(text, profile) {
+    const amount = PatternDetector.readAmount(text, profile.amountFormat);
+
+    // Statement amounts always print cents; bare integers are references
+    if (!amount || !amount.cents || amount.value < 0.01) {
+      return null;
+    }
+
+    if (amount.suffix === 'cr') return amount.value;
+    if (amount.suffix === 'dr') return -amount.value;
+    if (profile.signConvention === 'crSuffix') return -amount.value;
+    return amount.negative ? -amount.value : amount.value;
+  },
+
+  // Picks the transaction amount and running balance out of a row's amount cells
+  selectAmounts(amounts, profile) {
+    if (amounts.length === 1) {
+      return { amount: amounts[0], balance: null };
+    }
+    if (profile.amountLayout === 'amountThenBalance') {
+      return { amount: amounts[0], balance: amounts[1] };
+    }
+    return { amount: amounts[amounts.length - 2], balance: amounts[amounts.length - 1] };
+  },
+
+  // Uses the header-derived column layout to read the signed amount and balance
+  assignAmountsByColumn(amounts, row, layout) {
+    const byColumn = {};
+    amounts.forEach(a => {
+      const key = ColumnDetector.columnForItem(row[a.index], layout, true);
+      if (key && !byColumn[key]) byColumn[key] = a;
+    });
+
+    let amount = null;
+    if (byColumn.debit) {
+      amount = { ...byColumn.debit, value: -Math.abs(byColumn.debit.value) };
+    } else if (byColumn.credit) {
+      amount = { ...byColumn.credit, value: Math.abs(byColumn.credit.value) };
+    } else if (byColumn.amount) {
+      amount = byColumn.amount;
+    } else if (byColumn.fee) {
+      amount = { ...byColumn.fee, value: -Math.abs(byColumn.fee.value) };
+    } else {
+      return { amount: null, balance: byColumn.balance || null, fee: null, columns: Object.keys(byColumn) };
+    }
+
+    const fee = byColumn.fee && amount.index !== byColumn.fee.index ? -Math.abs(byColumn.fee.value) : null;
+    return { amount, balance: byColumn.balance || null, fee, columns: Object.keys(byColumn) };
+  },
+
+  // Rows that are not transactions are listed in rejected (when given) with
+  // the reason, for the import review. expected marks rows every statement
+  // has (headers, footers, balance lines) as opposed to ones worth a look.
+  detectTransactionInRow(row, rowIndex, pageNum, profile = BANK_PROFILES.generic, layout = null, period = null, rejected = null) {
+    const rowText = row.map(item => item.text).join(' ');
+    const source = `Page ${pageNum}, Row ${rowIndex + 1}`;
+    const reject = (reason, expected = false) => {
+      console.log(`❌ ${expected ? 'Skipped' : 'Rejected'}: ${reason}`);
+      if (rejected) rejected.push({ source, rawData: rowText.substring(0, 200), reason, expected });
+      return null;
+    };
+    
+    console.log(`\n--- Analyzing Row ${rowIndex + 1} on Page ${pageNum} ---`);
+    console.log(`Row text: "${rowText}"`);
+    
+    // Skip obviously non-transaction rows
+    if (this.isHeaderRow(rowText, profile)) {
+      return reject('Header row', true);
+    }
+
+    if (this.isFooterRow(rowText, profile)) {
+      return reject('Page header/footer', true);
+    }
+
+    if (this.isBalanceRow(rowText)) {
+      return reject('Balance row', true);
+    }
+    
+    if (row.length < 2) {
+      return reject(`Too simple (${rowText.length} chars, ${row.length} items)`, true);
+    }
+    
+    // Dates are sometimes split over two text items ("05" "Jan")
+    const dates = [];
+    row.forEach((item, index) => {
+      const text = item.text.trim();
+      const joined = index < row.length - 1 ? `${text} ${row[index + 1].text.trim()}` : null;
+      if (this.isRowDate(text, profile)) {
+        dates.push({ text, index, span: 1 });
+      } else if (joined && this.isRowDate(joined, profile)) {
+        dates.push({ text: joined, index, span: 2 });
+      }
+    });
+    
+    if (dates.length === 0) {
+      // Text lines without figures are addresses, notices and wrapped descriptions
+      const hasAmount = row.some(item => this.readAmountToken(item.text.trim(), profile) !== null);
+      return reject(`No ${profile.name} date pattern`, !hasAmount);
+    }
+    
+    const dateIndexes = new Set();
+    dates.forEach(d => {
+      for (let i = 0; i < d.span; i++) dateIndexes.add(d.index + i);
+    });
+    
+    const transactionAmounts = [];
+    const descriptions = [];
+    
+    row.forEach((item, index) => {
+      if (dateIndexes.has(index)) return;
+      const text = item.text.trim();
+      const amount = this.readAmountToken(text, profile);
+      
+      if (amount !== null && Math.abs(amount) >= 0.01) {
+        transactionAmounts.push({ value: amount, text, index });
+        console.log(`💰 Found amount: "${text}" = ${amount}`);
+      } else if (layout && ColumnDetector.columnForItem(item, layout, false) === 'date') {
+        // Secondary date columns (e.g. Capitec posting date) are not description
+        return;
+      } else if (text.length > 1) {
+        descriptions.push({ text, index });
+      }
+    });
+    
+    console.log(`📊 Found: ${dates.length} dates, ${transactionAmounts.length} amounts, ${descriptions.length} descriptions`);
+    
+    // Require at least one amount to create a transaction
+    if (transactionAmounts.length === 0) {
+      return reject('No valid amounts found');
+    }
+    
+    const primaryDate = dates[0].text;
+    
+    const description = descriptions
+      .map(d => d.text)
+      .join(' ')
+      .substring(0, 100)
+      .trim() || 'Transaction';
+    
+    const assigned = layout
+      ? this.assignAmountsByColumn(transactionAmounts, row, layout)
+      : { ...this.selectAmounts(transactionAmounts, profile), fee: null, columns: [] };
+    const { amount, balance, fee } = assigned;
+    
+    if (!amount) {
+      return reject('Only a balance was found');
+    }
+    
+    const date = PatternDetector.standardizeDate(primaryDate, period);
+    const outsidePeriod = StatementPeriodDetector.isOutsidePeriod(date, period);
+    if (outsidePeriod) {
+      console.log(`⚠️ Date ${date} falls outside the statement period`);
+    }
+    
+    const ocrConfidence = OCRExtractor.rowConfidence(row, [
+      ...dateIndexes, amount.index, ...(balance ? [balance.index] : [])
+    ]);
+    
+    const transaction = {
+      date,
+      outsidePeriod,
+      description: description,
+      amount: amount.value,
+      balance: balance ? balance.value : null,
+      fee,
+      type: amount.value >= 0 ? 'credit' : 'debit',
+      bank: profile.id,
+      source,
+      rawData: rowText.substring(0, 200),
+      ocrConfidence,
+      debug: {
+        originalAmounts: transactionAmounts.map(a => a.text),
+        selectedAmount: amount.text,
+        selectedBalance: balance ? balance.text : null,
+        columns: assigned.columns,
+        dateFound: primaryDate
+      }
+    };
+    
+    console.log(`✅ Created transaction: ${transaction.date} | ${description.substring(0, 30)}... | R${amount.value}`);
+    return transaction;
+  },
+
+  parseTransactionsFromRows(rows, pageNum, profile = BANK_PROFILES.generic, layout = null, period = null, rejected = null) {
+    console.log(`\n=== ${profile.name.toUpperCase()} TRANSACTION DETECTION PAGE ${pageNum} ===`);
+    const transactions = [];
+    
+    rows.forEach((row, rowIndex) => {
+      const result = this.detectTransactionInRow(row, rowIndex, pageNum, profile, layout, period, rejected);
+      if (result) {
+        transactions.push(result);
+      }
+    });
+    
+    console.log(`📈 Page ${pageNum} result: ${transactions.length} transactions found`);
+    return transactions;
+  }
+};
+
+// Statement Reconciliation Module
+// Checks opening balance + transactions = closing balance, and walks the
+// running-balance column to find the rows where the chain breaks.
+const BALANCE_TOLERANCE = 0.01;
+
+const StatementReconciler = {
+  roundCents(value) {
+    return Math.round(value * 100) / 100;
+  },
+
+  // Net effect of one parsed row on the account balance
+  rowEffect(transaction, profile = BANK_PROFILES.generic) {
+    const fee = profile.feesInBalance ? (transaction.fee || 0) : 0;
+    return transaction.amount + fee;
+  },
+
+  reconcile(statement) {
+    const { transactions, openingBalance, closingBalance } = statement;
+    const profile = BANK_PROFILES[statement.bank] || BANK_PROFILES.generic;
+    const breaks = [];
+
+    // Without a printed opening balance, derive it from the first running balance
+    const firstWithBalance = transactions.find(t => t.balance !== null);
+    let runningBalance = openingBalance !== null
+      ? openingBalance
+      : (transactions[0] && transactions[0] === firstWithBalance
+        ? this.roundCents(firstWithBalance.balance - this.rowEffect(firstWithBalance, profile))
+        : null);
+
+    const checkedTransactions = transactions.map(t => {
+      if (runningBalance === null) {
+        runningBalance = t.balance;
+        return { ...t, balanceBreak: false };
+      }
+
+      const expected = this.roundCents(runningBalance + this.rowEffect(t, profile));
+      if (t.balance === null) {
+        runningBalance = expected;
+        return { ...t, balanceBreak: false };
+      }
+
+      const difference = this.roundCents(t.balance - expected);
+      const balanceBreak = Math.abs(difference) > BALANCE_TOLERANCE;
+      if (balanceBreak) {
+        breaks.push({ source: t.source, description: t.description, expected, printed: t.balance, difference });
+        console.log(`⚠️ Balance chain breaks at ${t.source}: expected R${expected}, statement shows R${t.balance}`);
+      }
+
+      // Continue from the printed balance so one bad row is not reported twice
+      runningBalance = t.balance;
+      return { ...t, balanceBreak, expectedBalance: balanceBreak ? expected : undefined };
+    });
+
+    const total = this.roundCents(transactions.reduce((sum, t) => sum + this.rowEffect(t, profile), 0));
+    let status = 'unknown';
+    let difference = null;
+
+    if (openingBalance !== null && closingBalance !== null) {
+      difference = this.roundCents(closingBalance - (openingBalance + total));
+      status = Math.abs(difference) <= BALANCE_TOLERANCE && breaks.length === 0 ? 'reconciled' : 'mismatch';
+    } else if (breaks.length > 0) {
+      status = 'mismatch';
+    }
+
+    console.log(`🧮 Reconciliation: ${status}${difference !== null ? ` (difference R${difference})` : ''}, ${breaks.length} chain breaks`);
+
+    return {
+      transactions: checkedTransactions,
+      reconciliation: { status, difference, total, breaks }
+    };
+  }
+};
+
+// Main PDF Parser
+const BankStatementPDFParser = {
+  async parseFile(file, { password = null, onProgress = null } = {}) {
+    try {
+      console.log(`\n=== PARSING FILE: ${file.name} ===`);
+      
+      const pages = await PDFTextExtractor.extractPositionedText(file, password, onProgress);
+      const bankProfile = BankProfileDetector.detectFromPages(pages);
+      const profile = {
+        ...bankProfile,
+        amountFormat: bankProfile.amountFormat ||
+          PatternDetector.detectAmountFormat(pages.flatMap(page => page.textItems.map(item => item.text)))
+      };
+      const period = StatementPeriodDetector.detectPeriod(pages);
+      const accountInfo = AccountDetector.detectFromPages(pages);
+      let allTransactions = [];
+      let balanceMarkers = [];
+      const rejectedRows = [];
+      let layout = null;
+      
+      for (const page of pages) {
+        const { pageNum, textItems } = page;
+        const rows = TextProcessor.groupTextIntoRows(textItems, pageNum);
+        // Continuation pages without a header row reuse the previous layout
+        layout = ColumnDetector.detectLayout(rows, profile) || layout;
+        const pageTransactions = TransactionDetector.parseTransactionsFromRows(rows, pageNum, profile, layout, period, rejectedRows);
+        allTransactions.push(...pageTransactions);
+        rows.forEach(row => balanceMarkers.push(...TransactionDetector.readBalanceRow(row, pageNum, profile)));
+        if (onProgress) onProgress({ stage: 'detect', page: pageNum, pages: pages.length });
+      }
+      
+      const openingMarker = balanceMarkers.find(m => m.kind === 'opening');
+      const closingMarker = [...balanceMarkers].reverse().find(m => m.kind === 'closing');
+      
+      const statement = {
+        name: file.name,
+        bank: profile.id,
+        period: period.start ? { start: period.start, end: period.end } : null,
+        accountInfo,
+        transactions: allTransactions,
+        openingBalance: openingMarker ? openingMarker.value : null,
+        closingBalance: closingMarker ? closingMarker.value : null,
+        ocrPages: pages.filter(page => page.ocr).map(page => page.pageNum),
+        rejectedRows
+      };
+      const { transactions, reconciliation } = StatementReconciler.reconcile(statement);
+      
+      console.log(`\n🎯 FINAL RESULT: ${transactions.length} transactions found`);
+      return { ...statement, transactions, reconciliation };
+      
+    } catch (error) {
+      // The upload flow asks for the password and tries again
+      if (error.passwordRequired) throw error;
+      console.error('PDF parsing error:', error);
+      throw new Error(`Failed to parse PDF: ${error.message}`);
+    }
+  }
+};
+
+export {
+  AMOUNT_FORMATS,
+  PatternDetector,
+  BANK_PROFILES,
+  BankProfileDetector,
+  StatementPeriodDetector,
+  ACCOUNT_TYPES,
+  AccountDetector,
+  ColumnDetector,
+  TransactionDetector,
+  OCR_REVIEW_CONFIDENCE,
+  OCRExtractor,
+  BALANCE_TOLERANCE,
+  StatementReconciler,
+  BankStatementPDFParser
+};
@@ -0,0 +1,337 @@
+import {
+  AMOUNT_FORMATS, PatternDetector, BANK_PROFILES, BankProfileDetector, StatementPeriodDetector, AccountDetector,
+  ColumnDetector, TransactionDetector, StatementReconciler
+} from './pdfParser';
+
+// Lines are taken from real statements and exports (names and account numbers
+// changed), laid out the way PDF.js returns them: one text item per cell.
+const row = (...cells) => cells.map((text, index) => ({ text, x: 40 + index * 100, y: 500, width: 90, height: 8 }));
+
+const JANUARY = { start: '2025-01-01', end: '2025-01-31' };
+
+beforeAll(() => {
+  // The parser narrates every row to the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('PatternDetector.parseAmount', () => {
+  test.each([
+    ['1,234.56', 1234.56],
+    ['R1,234.56', 1234.56],
+    ['R 1 234.56', 1234.56],
+    ['12 345 678.90', 12345678.9],
+    ['350.00', 350],
+    ['+350.00', 350],
+    ['-1,500.00', -1500],
+    ['1,500.00-', -1500],
+    ['-R 49.99', -49.99],
+    ['R-49.99', -49.99]
+  ])('reads the dot format %p', (text, expected) => {
+    expect(PatternDetector.parseAmount(text, 'dot')).toBe(expected);
+  });
+
+  test.each([
+    ['1 234,56', 1234.56],
+    ['1\u00a0234,56', 1234.56], // non-breaking space
+    ['1\u202f234,56', 1234.56], // narrow no-break space
+    ['1.234,56', 1234.56],
+    ['R 12 345,67', 12345.67],
+    ['49,99', 49.99],
+    ['-1 500,00', -1500],
+    ['1 500,00-', -1500]
+  ])('reads the comma format %p', (text, expected) => {
+    expect(PatternDetector.parseAmount(text, 'comma')).toBe(expected);
+  });
+
+  test.each([
+    ['(1 234,56)', -1234.56],
+    ['(1,234.56)', -1234.56],
+    ['1 234,56 Dr', -1234.56],
+    ['1,234.56Dr', -1234.56],
+    ['1,234.56 DR', -1234.56],
+    ['1,234.56Cr', 1234.56],
+    ['10 234,56 Cr', 10234.56],
+    ['(1,234.56) Cr', 1234.56]
+  ])('reads brackets and Cr/Dr suffixes in %p', (text, expected) => {
+    expect(PatternDetector.parseAmount(text)).toBe(expected);
+  });
+
+  test('reads each token on its own terms without a format', () => {
+    expect(PatternDetector.parseAmount('1 234,56')).toBe(1234.56);
+    expect(PatternDetector.parseAmount('1,234.56')).toBe(1234.56);
+    expect(PatternDetector.parseAmount('1,234')).toBe(1234);
+  });
+
+  test('does not read a comma-format amount 100 times too large', () => {
+    expect(PatternDetector.parseAmount('1 234,56', 'comma')).not.toBe(123456);
+    expect(PatternDetector.parseAmount('12,50', 'dot')).toBeNull();
+    expect(PatternDetector.parseAmount('1.234', 'comma')).toBe(1234);
+  });
+
+  test.each(['ADDRESS', 'DR SMITH', 'Cr', 'Dr', '', '0.00', '0,00', '05/01/2025', '1,2,3', '12.345.67'])(
+    'rejects %p', text => {
+      expect(PatternDetector.parseAmount(text)).toBeNull();
+    }
+  );
+
+  test('"dr" inside a word does not make an amount negative', () => {
+    expect(PatternDetector.parseAmount('R100.00', 'dot')).toBe(100);
+    expect(PatternDetector.isAmount('DRAKENSBERG')).toBe(false);
+  });
+});
+
+describe('PatternDetector.readAmount', () => {
+  test('reports whether cents were printed', () => {
+    expect(PatternDetector.readAmount('1 234,56', 'comma').cents).toBe(true);
+    expect(PatternDetector.readAmount('1 234,5', 'comma').cents).toBe(false);
+    expect(PatternDetector.readAmount('4521', 'dot').cents).toBe(false);
+  });
+
+  test('keeps the suffix apart from the sign', () => {
+    expect(PatternDetector.readAmount('1,234.56Cr', 'dot')).toEqual({ value: 1234.56, negative: false, suffix: 'cr', cents: true });
+    expect(PatternDetector.readAmount('(12,00)', 'comma')).toEqual({ value: 12, negative: true, suffix: null, cents: true });
+  });
+});
+
+describe('PatternDetector.detectAmountFormat', () => {
+  test('detects a comma-decimal statement', () => {
+    const page = ['Datum', '05/01/2025', 'Debietorder Discovery Life', '1 234,56-', '12 345,67', 'Bankkoste', '7,50-', '12 338,17'];
+    expect(PatternDetector.detectAmountFormat(page)).toBe('comma');
+  });
+
+  test('detects a dot-decimal statement', () => {
+    const page = ['05 Jan', 'POS Purchase Checkers Sandton', '1,234.56', '10,234.56Cr', '06 Jan', 'Monthly Account Fee', '69.00', '10,165.56Cr'];
+    expect(PatternDetector.detectAmountFormat(page)).toBe('dot');
+  });
+
+  test('ignores amounts without cents and falls back to dots', () => {
+    expect(PatternDetector.detectAmountFormat(['1,234', '1.234', 'Page 1 of 3'])).toBe('dot');
+  });
+
+  test('reads a semicolon-delimited export line', () => {
+    expect(PatternDetector.detectAmountFormat(['2025/01/05;Checkers Sandton;-1 234,56;10 234,56'])).toBe('comma');
+  });
+
+  test('every format names a known decimal mark', () => {
+    Object.values(AMOUNT_FORMATS).forEach(format => {
+      expect(['.', ',']).toContain(format.decimal);
+      expect(format.thousands).not.toContain(format.decimal);
+    });
+  });
+});
+
+describe('StatementPeriodDetector.detectPeriod', () => {
+  const pages = (...lines) => [{ pageNum: 1, textItems: lines.map(text => ({ text })) }];
+
+  test('reads a period that spans December and January', () => {
+    expect(StatementPeriodDetector.detectPeriod(pages('Cheque Account', 'Statement from 15 Dec 2025 to 14 Jan 2026')))
+      .toEqual({ start: '2025-12-15', end: '2026-01-14', yearHint: 2026 });
+  });
+
+  test('reads slash-dated periods', () => {
+    expect(StatementPeriodDetector.detectPeriod(pages('Statement period: 01/12/2025 - 31/01/2026')))
+      .toEqual({ start: '2025-12-01', end: '2026-01-31', yearHint: 2026 });
+  });
+
+  test('falls back to the latest year printed when there is no period', () => {
+    expect(StatementPeriodDetector.detectPeriod(pages('Tax invoice 2024', 'Issued 03 Feb 2025')))
+      .toEqual({ start: null, end: null, yearHint: 2025 });
+  });
+});
+
+describe('PatternDetector.resolveShortDate', () => {
+  const DEC_JAN = { start: '2025-12-15', end: '2026-01-14', yearHint: 2026 };
+  const resolve = (text, period) => PatternDetector.toISODate(PatternDetector.resolveShortDate(text, period));
+
+  test('places each side of the year boundary in its own year', () => {
+    expect(resolve('28 Dec', DEC_JAN)).toBe('2025-12-28');
+    expect(resolve('05 Jan', DEC_JAN)).toBe('2026-01-05');
+  });
+
+  test('uses the year hint for a date outside the period', () => {
+    expect(resolve('20 Jan', DEC_JAN)).toBe('2026-01-20');
+    expect(StatementPeriodDetector.isOutsidePeriod('2026-01-20', DEC_JAN)).toBe(true);
+  });
+
+  test('flags a transaction dated outside the period', () => {
+    const transaction = TransactionDetector.detectTransactionInRow(
+      row('20 Jan', 'POS Purchase Engen Rivonia', '650.00', '4,350.00Cr'), 0, 1, BANK_PROFILES.fnb, null, DEC_JAN
+    );
+    expect(transaction).toMatchObject({ date: '2026-01-20', outsidePeriod: true });
+  });
+});
+
+describe('BankProfileDetector', () => {
+  const page = (...rows) => ({ pageNum: 1, textItems: rows.flat() });
+
+  test.each([
+    ['Standard Bank of South Africa Limited Reg. No. 1962/000738/06 standardbank.co.za', 'standard'],
+    ['First National Bank - a division of FirstRand Bank Limited. fnb.co.za', 'fnb'],
+    ['Absa Bank Limited Reg No 1986/004794/06 absa.co.za Cheque Account Statement', 'absa'],
+    ['Nedbank Limited Reg No 1951/000009/06 nedbank.co.za see money differently', 'nedbank'],
+    ['Capitec Bank Limited capitecbank.co.za Main Account Statement', 'capitec'],
+    ['Tyme Bank Everyday Account Statement', 'generic']
+  ])('recognises %p', (header, expected) => {
+    expect(BankProfileDetector.detectBank(header).id).toBe(expected);
+  });
+
+  test('reads the bank from the first page only', () => {
+    const profile = BankProfileDetector.detectFromPages([
+      page(row('Nedbank Limited'), row('Statement of account')),
+      page(row('Transfer from FNB Cheque'))
+    ]);
+    expect(profile.id).toBe('nedbank');
+  });
+
+  test('FNB: a detected statement reconciles with accrued bank charges', () => {
+    const rows = [
+      row('First National Bank', 'Gold Business Account'),
+      row('Date', 'Description', 'Amount', 'Balance', 'Accrued Bank Charges'),
+      row('02 Jan', 'POS Purchase Checkers Sandton', '1,234.56', '8,765.44Cr', '3.50'),
+      row('31 Jan', '#Monthly Account Fee', '3.50', '8,761.94Cr')
+    ];
+    const profile = BankProfileDetector.detectFromPages([page(...rows)]);
+    const layout = ColumnDetector.detectLayout(rows, profile);
+    const transactions = TransactionDetector.parseTransactionsFromRows(rows, 1, profile, layout, JANUARY);
+
+    expect(profile.id).toBe('fnb');
+    expect(transactions).toHaveLength(2);
+    const { reconciliation } = StatementReconciler.reconcile({
+      bank: profile.id, transactions, openingBalance: 10000, closingBalance: 8761.94
+    });
+    expect(reconciliation.status).toBe('reconciled');
+  });
+});
+
+describe('TransactionDetector.readAmountToken', () => {
+  const absa = { ...BANK_PROFILES.absa, amountFormat: 'comma' };
+
+  test('applies the FNB Cr-suffix convention', () => {
+    expect(TransactionDetector.readAmountToken('30,000.00Cr', BANK_PROFILES.fnb)).toBe(30000);
+    expect(TransactionDetector.readAmountToken('1,234.56', BANK_PROFILES.fnb)).toBe(-1234.56);
+  });
+
+  test('reads signed comma-format amounts', () => {
+    expect(TransactionDetector.readAmountToken('1 234,56-', absa)).toBe(-1234.56);
+    expect(TransactionDetector.readAmountToken('(1 234,56)', absa)).toBe(-1234.56);
+    expect(TransactionDetector.readAmountToken('1 234,56', absa)).toBe(1234.56);
+    expect(TransactionDetector.readAmountToken('1 234,56 Dr', absa)).toBe(-1234.56);
+  });
+
+  test('skips references and years, which print no cents', () => {
+    expect(TransactionDetector.readAmountToken('2025', absa)).toBeNull();
+    expect(TransactionDetector.readAmountToken('4521', BANK_PROFILES.fnb)).toBeNull();
+  });
+});
+
+describe('TransactionDetector.detectTransactionInRow', () => {
+  test('FNB: amount then balance, credits marked Cr', () => {
+    const profile = { ...BANK_PROFILES.fnb, amountFormat: 'dot' };
+    const debit = TransactionDetector.detectTransactionInRow(
+      row('05 Jan', 'POS Purchase Checkers Sandton 412345*1234 02 Jan', '1,234.56', '10,234.56Cr'), 0, 1, profile, null, JANUARY
+    );
+    expect(debit).toMatchObject({ date: '2025-01-05', amount: -1234.56, balance: 10234.56, type: 'debit' });
+
+    const salary = TransactionDetector.detectTransactionInRow(
+      row('25 Jan', 'Salary ACME (Pty) Ltd', '30,000.00Cr', '40,234.56Cr'), 1, 1, profile, null, JANUARY
+    );
+    expect(salary).toMatchObject({ amount: 30000, balance: 40234.56, type: 'credit' });
+  });
+
+  test('Standard Bank: space-grouped thousands with trailing minus debits', () => {
+    const profile = { ...BANK_PROFILES.standard, amountFormat: 'dot' };
+    const transaction = TransactionDetector.detectTransactionInRow(
+      row('07 Jan', 'IB PAYMENT TO CITY OF JHB', '2 345.67-', '07 01', '12 654.33'), 0, 2, profile, null, JANUARY
+    );
+    expect(transaction).toMatchObject({ date: '2025-01-07', amount: -2345.67, balance: 12654.33 });
+  });
+
+  test('comma-format statement: debit order with a trailing minus', () => {
+    const profile = { ...BANK_PROFILES.absa, amountFormat: 'comma' };
+    const transaction = TransactionDetector.detectTransactionInRow(
+      row('05/01/2025', 'Debietorder Discovery Life 123456789', '1 234,56-', '12 345,67'), 0, 1, profile, null, JANUARY
+    );
+    expect(transaction).toMatchObject({ date: '2025-01-05', amount: -1234.56, balance: 12345.67 });
+  });
+
+  test('comma-format statement: bracketed negative balance', () => {
+    const profile = { ...BANK_PROFILES.nedbank, amountFormat: 'comma' };
+    const transaction = TransactionDetector.detectTransactionInRow(
+      row('15/01/2025', 'Kaartaankoop Woolworths Rosebank', '(850,00)', '(1 120,45)'), 0, 1, profile, null, JANUARY
+    );
+    expect(transaction).toMatchObject({ amount: -850, balance: -1120.45 });
+  });
+
+  test('records why a line was rejected', () => {
+    const rejected = [];
+    const profile = { ...BANK_PROFILES.absa, amountFormat: 'comma' };
+    const result = TransactionDetector.detectTransactionInRow(
+      row('20/01/2025', 'Verwysing 2025012045'), 3, 1, profile, null, JANUARY, rejected
+    );
+    expect(result).toBeNull();
+    expect(rejected).toEqual([
+      expect.objectContaining({ source: 'Page 1, Row 4', reason: 'No valid amounts found', expected: false })
+    ]);
+  });
+});
+
+describe('AccountDetector.detectFromText', () => {
+  test('reads an unmasked account number, type and holder', () => {
+    expect(AccountDetector.detectFromText(
+      'Gold Cheque Account MR J SMITH 12 Oak Street Account Number: 6201 234 5678 Statement Date 31 Jan 2025'
+    )).toEqual({ number: '62012345678', type: 'cheque', holder: 'MR J SMITH' });
+  });
+
+  test('keeps only the last four digits of a masked card number', () => {
+    expect(AccountDetector.detectFromText(
+      'Credit Card Statement Account Holder: Thandi Nkosi Card Number 4512 **** **** 7890'
+    )).toEqual({ number: '****7890', type: 'creditCard', holder: 'Thandi Nkosi' });
+  });
+
+  test('takes the earliest account type in the header', () => {
+    expect(AccountDetector.detectFromText('Savings Account Statement 05 Jan CREDIT CARD PAYMENT').type).toBe('savings');
+  });
+
+  test('returns nulls when the header prints none of them', () => {
+    expect(AccountDetector.detectFromText('Transaction history export')).toEqual({ number: null, type: null, holder: null });
+  });
+});
+
+describe('StatementReconciler.reconcile', () => {
+  // Lays the rows out under their header the way parseFile does
+  const parse = (profile, header, rows) => {
+    const layout = ColumnDetector.buildLayout(header, profile);
+    return TransactionDetector.parseTransactionsFromRows(rows, 1, profile, layout, JANUARY);
+  };
+
+  test('FNB: accrued bank charges are not in the running balance', () => {
+    const transactions = parse(BANK_PROFILES.fnb, row('Date', 'Description', 'Amount', 'Balance', 'Accrued Bank Charges'), [
+      row('02 Jan', 'POS Purchase Checkers Sandton', '1,234.56', '8,765.44Cr', '3.50'),
+      row('25 Jan', 'Salary ACME (Pty) Ltd', '30,000.00Cr', '38,765.44Cr'),
+      row('31 Jan', '#Monthly Account Fee', '3.50', '38,761.94Cr')
+    ]);
+    expect(transactions[0]).toMatchObject({ amount: -1234.56, balance: 8765.44, fee: -3.5 });
+
+    const { reconciliation } = StatementReconciler.reconcile({
+      bank: 'fnb', transactions, openingBalance: 10000, closingBalance: 38761.94
+    });
+    expect(reconciliation).toMatchObject({ status: 'reconciled', difference: 0, total: 28761.94, breaks: [] });
+  });
+
+  test('Nedbank: a row\'s fee is deducted in its own balance', () => {
+    const profile = { ...BANK_PROFILES.nedbank, amountFormat: 'dot' };
+    const transactions = parse(profile, row('Tran date', 'Description', 'Fees', 'Debits', 'Credits', 'Balance'), [
+      row('05/01/2025', 'ATM cash withdrawal Rosebank', '10.00', '500.00', '', '1,490.00')
+    ]);
+    expect(transactions[0]).toMatchObject({ amount: -500, balance: 1490, fee: -10 });
+
+    const { reconciliation } = StatementReconciler.reconcile({
+      bank: 'nedbank', transactions, openingBalance: 2000, closingBalance: 1490
+    });
+    expect(reconciliation).toMatchObject({ status: 'reconciled', total: -510 });
+  });
+});
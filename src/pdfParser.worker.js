@@ -0,0 +1,32 @@
+import { BankStatementPDFParser, OCRExtractor } from './pdfParser';
+
+// The OCR engine files are emitted by the bundler alongside the app
+OCRExtractor.configure({
+  workerPath: new URL('tesseract.js/dist/worker.min.js', import.meta.url).href,
+  corePath: new URL('tesseract.js-core/tesseract-core-lstm.wasm.js', import.meta.url).href,
+  langData: new URL('@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', import.meta.url).href
+});
+
+// PDF parsing worker
+// Receives { id, file, password } per statement and replies with progress
+// messages, then either the parsed statement or the error. Password errors
+// keep their flags so the upload flow can ask for the password.
+const workerScope = self; // eslint-disable-line no-restricted-globals
+
+workerScope.onmessage = async ({ data: { id, file, password } }) => {
+  try {
+    const statement = await BankStatementPDFParser.parseFile(file, {
+      password,
+      onProgress: progress => workerScope.postMessage({ id, type: 'progress', progress })
+    });
+    workerScope.postMessage({ id, type: 'result', statement });
+  } catch (error) {
+    workerScope.postMessage({
+      id,
+      type: 'error',
+      message: error.message,
+      passwordRequired: Boolean(error.passwordRequired),
+      incorrectPassword: Boolean(error.incorrectPassword)
+    });
+  }
+};
@@ -0,0 +1,84 @@
+// ============================================================================
+// PDF WORKER CLIENT - runs pdfParser.worker.js from the page
+// ============================================================================
+// Kept apart from App.js: the worker URL is resolved by the bundler through
+// import.meta.url, which only bundled code can load.
+
+// PDF Worker Client
+// PDF statements are parsed off the main thread by pdfParser.worker.js. One
+// worker is shared by every upload; cancel() terminates it mid-file, rejects
+// whatever is still pending and the next parse starts a fresh worker.
+const PDFParserWorker = {
+  worker: null,
+  pending: new Map(),
+  nextId: 1,
+
+  start() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./pdfParser.worker.js', import.meta.url));
+      this.worker.onmessage = ({ data }) => this.receive(data);
+      this.worker.onerror = event => {
+        event.preventDefault();
+        this.stop(new Error(`PDF worker failed: ${event.message || 'could not start'}`));
+      };
+    }
+    return this.worker;
+  },
+
+  receive({ id, type, progress, statement, message, passwordRequired, incorrectPassword }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    if (type === 'progress') {
+      if (request.onProgress) request.onProgress(progress);
+      return;
+    }
+
+    this.pending.delete(id);
+    if (type === 'result') {
+      request.resolve(statement);
+    } else {
+      const error = new Error(message);
+      error.passwordRequired = passwordRequired;
+      error.incorrectPassword = incorrectPassword;
+      request.reject(error);
+    }
+  },
+
+  // Resolves to the statement BankStatementPDFParser.parseFile builds;
+  // onProgress({ stage: 'extract' | 'detect', page, pages }) follows each page
+  parse(file, { password = null, onProgress = null } = {}) {
+    const worker = this.start();
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, file, password });
+    });
+  },
+
+  stop(error) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.pending.forEach(request => request.reject(error));
+    this.pending.clear();
+  },
+
+  // Share of an upload batch done: reading pages is the first half of each
+  // file, finding transactions the second
+  batchPercent({ fileIndex, fileCount, stage, page, pages }) {
+    const fileDone = pages > 0 ? (page / pages + (stage === 'detect' ? 1 : 0)) / 2 : 0;
+    return Math.round(((fileIndex + fileDone) / fileCount) * 100);
+  },
+
+  cancel() {
+    const error = new Error('Import cancelled');
+    error.cancelled = true;
+    this.stop(error);
+  }
+};
+
+export {
+  PDFParserWorker
+};